@@ -0,0 +1,360 @@
+-- QuietRoute wheelchair profile
+-- Based on OSRM's foot.lua: keeps step-free ways with a firm, smooth surface,
+-- avoids kerbs and steep inclines, and travels at about 3 km/h
+
+api_version = 4
+
+Set = require('lib/set')
+Sequence = require('lib/sequence')
+WayHandlers = require("lib/way_handlers")
+find_access_tag = require("lib/access").find_access_tag
+
+function setup()
+  local wheelchair_speed = 3
+
+  return {
+    properties = {
+      weight_name                   = 'duration',
+      max_speed_for_map_matching    = 30/3.6, -- kmph -> m/s
+      call_tagless_node_function    = false,
+      traffic_signal_penalty        = 2,
+      u_turn_penalty                = 2,
+      continue_straight_at_waypoint = false,
+      use_turn_restrictions         = false,
+    },
+
+    default_mode            = mode.walking,
+    default_speed           = wheelchair_speed,
+    oneway_handling         = 'specific',     -- respect 'oneway:foot' but not 'oneway'
+
+    barrier_blacklist = Set {
+      'yes',
+      'wall',
+      'fence',
+      'stile',
+      'turnstile',
+      'kissing_gate',
+      'cycle_barrier',
+      'full-height_turnstile',
+      'block'
+    },
+
+    access_tag_whitelist = Set {
+      'yes',
+      'foot',
+      'permissive',
+      'designated',
+      'destination'
+    },
+
+    access_tag_blacklist = Set {
+      'no',
+      'agricultural',
+      'forestry',
+      'private',
+      'delivery',
+    },
+
+    restricted_access_tag_list = Set { },
+
+    restricted_highway_whitelist = Set { },
+
+    construction_whitelist = Set {},
+
+    access_tags_hierarchy = Sequence {
+      'wheelchair',
+      'foot',
+      'access'
+    },
+
+    -- tags disallow access to in combination with highway=service
+    service_access_tag_blacklist = Set { },
+
+    restrictions = Sequence {
+      'foot'
+    },
+
+    -- list of suffixes to suppress in name change instructions
+    suffix_list = Set {
+      'N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW', 'North', 'South', 'West', 'East'
+    },
+
+    avoid = Set {
+      'impassable',
+      'proposed',
+      'construction'
+    },
+
+    speeds = Sequence {
+      highway = {
+        primary         = wheelchair_speed,
+        primary_link    = wheelchair_speed,
+        secondary       = wheelchair_speed,
+        secondary_link  = wheelchair_speed,
+        tertiary        = wheelchair_speed,
+        tertiary_link   = wheelchair_speed,
+        unclassified    = wheelchair_speed,
+        residential     = wheelchair_speed,
+        road            = wheelchair_speed,
+        living_street   = wheelchair_speed,
+        service         = wheelchair_speed,
+        track           = wheelchair_speed,
+        path            = wheelchair_speed,
+        pedestrian      = wheelchair_speed,
+        footway         = wheelchair_speed,
+        pier            = wheelchair_speed
+        -- no steps: not passable in a wheelchair
+      },
+
+      railway = {
+        platform        = wheelchair_speed
+      },
+
+      amenity = {
+        parking         = wheelchair_speed,
+        parking_entrance= wheelchair_speed
+      },
+
+      man_made = {
+        pier            = wheelchair_speed
+      },
+
+      leisure = {
+        track           = wheelchair_speed
+      }
+    },
+
+    route_speeds = {
+      ferry = 5
+    },
+
+    bridge_speeds = {
+    },
+
+    -- Loose or rough surfaces are impassable (0) or slow
+    surface_speeds = {
+      fine_gravel = 2,
+      gravel = 0,
+      pebblestone = 0,
+      mud = 0,
+      sand = 0,
+      grass = 0,
+      dirt = 1,
+      ground = 1,
+      earth = 1,
+      unpaved = 1,
+      compacted = 2,
+      cobblestone = 1,
+      sett = 1.5,
+      paving_stones = 2.5
+    },
+
+    smoothness_speeds = {
+      very_bad = 0,
+      horrible = 0,
+      very_horrible = 0,
+      impassable = 0,
+      bad = 1.5
+    },
+
+    tracktype_speeds = {
+      grade3 = 1,
+      grade4 = 0,
+      grade5 = 0
+    },
+
+    -- Kerb height (m) above which a crossing is not usable
+    max_kerb_height = 0.03,
+
+    -- Steepest incline (%) a manual wheelchair can manage
+    max_incline = 6
+  }
+end
+
+function process_node(profile, node, result)
+  -- parse access and barrier tags
+  local access = find_access_tag(node, profile.access_tags_hierarchy)
+  if access then
+    if profile.access_tag_blacklist[access] then
+      result.barrier = true
+    end
+  else
+    local barrier = node:get_value_by_key("barrier")
+    if barrier then
+      --  make an exception for rising bollard barriers
+      local bollard = node:get_value_by_key("bollard")
+      local rising_bollard = bollard and "rising" == bollard
+
+      if profile.barrier_blacklist[barrier] and not rising_bollard then
+        result.barrier = true
+      end
+    end
+  end
+
+  -- raised kerbs without a dropped or flush section block the crossing
+  local kerb = node:get_value_by_key("kerb")
+  if kerb == "raised" or kerb == "rolled" then
+    result.barrier = true
+  end
+
+  local kerb_height = tonumber(node:get_value_by_key("kerb:height") or "")
+  if kerb_height and kerb_height > profile.max_kerb_height then
+    result.barrier = true
+  end
+
+  -- check if node is a traffic light
+  local tag = node:get_value_by_key("highway")
+  if "traffic_signals" == tag then
+    result.traffic_lights = true
+  end
+end
+
+-- reject ways with a steep incline
+function handle_incline(profile, way, result, data)
+  local incline = way:get_value_by_key("incline")
+  if not incline then
+    return
+  end
+
+  local percent = tonumber((incline:gsub("%%", "")))
+  if percent and math.abs(percent) > profile.max_incline then
+    return false
+  end
+end
+
+-- slow down or reject rough surfaces
+function handle_wheelchair_surface(profile, way, result, data)
+  local surface = way:get_value_by_key("surface")
+  local smoothness = way:get_value_by_key("smoothness")
+  local tracktype = way:get_value_by_key("tracktype")
+
+  local speed = result.forward_speed
+  if surface and profile.surface_speeds[surface] then
+    speed = math.min(speed, profile.surface_speeds[surface])
+  end
+  if smoothness and profile.smoothness_speeds[smoothness] then
+    speed = math.min(speed, profile.smoothness_speeds[smoothness])
+  end
+  if tracktype and profile.tracktype_speeds[tracktype] then
+    speed = math.min(speed, profile.tracktype_speeds[tracktype])
+  end
+
+  if speed <= 0 then
+    return false
+  end
+
+  if result.forward_speed > 0 then
+    result.forward_speed = speed
+  end
+  if result.backward_speed > 0 then
+    result.backward_speed = speed
+  end
+end
+
+-- main entry point for processsing a way
+function process_way(profile, way, result)
+  -- the intial filtering of ways based on presence of tags
+  -- affects processing times significantly, because all ways
+  -- have to be checked.
+  -- to increase performance, prefetching and intial tag check
+  -- is done in directly instead of via a handler.
+
+  -- in general we should  try to abort as soon as
+  -- possible if the way is not routable, to avoid doing
+  -- unnecessary work. this implies we should check things that
+  -- commonly forbids access early, and handle edge cases later.
+
+  -- data table for storing intermediate values during processing
+  local data = {
+    -- prefetch tags
+    highway = way:get_value_by_key('highway'),
+    bridge = way:get_value_by_key('bridge'),
+    route = way:get_value_by_key('route'),
+    leisure = way:get_value_by_key('leisure'),
+    man_made = way:get_value_by_key('man_made'),
+    railway = way:get_value_by_key('railway'),
+    platform = way:get_value_by_key('platform'),
+    amenity = way:get_value_by_key('amenity'),
+    public_transport = way:get_value_by_key('public_transport')
+  }
+
+  -- perform an quick initial check and abort if the way is
+  -- obviously not routable. here we require at least one
+  -- of the prefetched tags to be present, ie. the data table
+  -- cannot be empty
+  if next(data) == nil then     -- is the data table empty?
+    return
+  end
+
+  local handlers = Sequence {
+    -- set the default mode for this profile. if can be changed later
+    -- in case it turns we're e.g. on a ferry
+    WayHandlers.default_mode,
+
+    -- check various tags that could indicate that the way is not
+    -- routable. this includes things like status=impassable,
+    -- toll=yes and oneway=reversible
+    WayHandlers.blocked_ways,
+
+    -- determine access status by checking our hierarchy of
+    -- access tags, e.g: wheelchair, foot, access
+    WayHandlers.access,
+
+    -- check whether forward/backward directons are routable
+    WayHandlers.oneway,
+
+    -- check whether forward/backward directons are routable
+    WayHandlers.destinations,
+
+    -- check whether we're using a special transport mode
+    WayHandlers.ferries,
+    WayHandlers.movables,
+
+    -- compute speed taking into account way type, maxspeed tags, etc.
+    WayHandlers.speed,
+
+    -- reject steep ways, then slow down or reject rough surfaces
+    handle_incline,
+    handle_wheelchair_surface,
+
+    -- handle turn lanes and road classification, used for guidance
+    WayHandlers.classification,
+
+    -- handle various other flags
+    WayHandlers.roundabouts,
+    WayHandlers.startpoint,
+
+    -- set name, ref and pronunciation
+    WayHandlers.names,
+
+    -- set weight properties of the way
+    WayHandlers.weights
+  }
+
+  WayHandlers.run(profile, way, result, data, handlers)
+end
+
+function process_turn (profile, turn)
+  turn.duration = 0.
+
+  if turn.direction_modifier == direction_modifier.u_turn then
+     turn.duration = turn.duration + profile.properties.u_turn_penalty
+  end
+
+  if turn.has_traffic_light then
+     turn.duration = profile.properties.traffic_signal_penalty
+  end
+  if profile.properties.weight_name == 'routability' then
+      -- penalize turns from non-local access only segments onto local access only tags
+      if not turn.source_restricted and turn.target_restricted then
+          turn.weight = turn.weight + 3000
+      end
+  end
+end
+
+return {
+  setup = setup,
+  process_way =  process_way,
+  process_node = process_node,
+  process_turn = process_turn
+}
@@ -0,0 +1,27 @@
+/**
+ * QuietRoute Database Pool
+ * PostgreSQL connection settings shared by the API server and import scripts
+ */
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+/**
+ * Create a connection pool from the DB_* environment variables
+ * @param {Object} options - Extra pg.Pool options
+ * @returns {pg.Pool}
+ */
+export function createPool(options = {}) {
+  return new Pool({
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 5432,
+    database: process.env.DB_NAME || 'quietroute',
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD || 'postgres',
+    ...options
+  });
+}
@@ -4,6 +4,44 @@
 -- Enable PostGIS extension
 CREATE EXTENSION IF NOT EXISTS postgis;
 
+-- ===================
+-- USERS TABLE
+-- Accounts for signing in; reports from signed-in users are attributed to them
+-- ===================
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL, -- Lower-cased
+    password_hash TEXT, -- 'scrypt$<salt>$<hash>'; NULL for accounts only signed in to by email link
+    display_name VARCHAR(100),
+    email_verified_at TIMESTAMP WITH TIME ZONE, -- First sign-in by email link; until then the email is unproven
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Existing databases: emails are verified by using a sign-in link
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Signed-in sessions: only a SHA-256 hash of each bearer token is kept
+CREATE TABLE IF NOT EXISTS sessions (
+    token_hash CHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+
+-- Emailed sign-in links (hashed like sessions), each usable once
+CREATE TABLE IF NOT EXISTS magic_links (
+    token_hash CHAR(64) PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Recent links per email, to throttle resending
+CREATE INDEX IF NOT EXISTS idx_magic_links_email ON magic_links (email, created_at);
+
 -- ===================
 -- REPORTS TABLE
 -- User-submitted location reports (loud, dark, crowded, etc.)
@@ -18,74 +56,316 @@ CREATE TABLE IF NOT EXISTS reports (
     expires_at TIMESTAMP WITH TIME ZONE,
     upvotes INTEGER DEFAULT 0,
     downvotes INTEGER DEFAULT 0,
-    user_id VARCHAR(100), -- Optional: for authenticated users
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Signed-in reporter; NULL for anonymous reports
+    city VARCHAR(50), -- CITIES key in src/config.js; NULL outside every city
+    disputed BOOLEAN DEFAULT FALSE, -- Hidden: voters confidently dispute it (src/utils/reportVotes.js)
     
     -- Index for spatial queries
-    CONSTRAINT valid_type CHECK (type IN ('loud', 'dark', 'crowded', 'obstruction', 'safe', 'quiet'))
+    CONSTRAINT valid_type CHECK (type IN ('loud', 'dark', 'crowded', 'obstruction', 'broken_pavement', 'safe', 'quiet'))
 );
 
+-- Existing databases: allow broken pavement reports
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS valid_type;
+ALTER TABLE reports ADD CONSTRAINT valid_type
+    CHECK (type IN ('loud', 'dark', 'crowded', 'obstruction', 'broken_pavement', 'safe', 'quiet'));
+
+-- Existing databases: user_id was never set, and now refers to users. The views
+-- over reports block changing its type; they are recreated below
+DROP VIEW IF EXISTS hot_reports, active_reports;
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'reports'
+            AND column_name = 'user_id' AND data_type = 'character varying'
+    ) THEN
+        ALTER TABLE reports ALTER COLUMN user_id TYPE INTEGER USING NULLIF(user_id, '')::integer;
+    END IF;
+END;
+$$;
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_user_id_fkey;
+ALTER TABLE reports ADD CONSTRAINT reports_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Existing databases: reports are scoped by city. Rows from before then are filed
+-- under the city whose bounds (CITIES in src/config.js) they lie in
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'reports' AND column_name = 'city'
+    ) THEN
+        ALTER TABLE reports ADD COLUMN city VARCHAR(50);
+        UPDATE reports SET city = cities.city
+        FROM (VALUES
+            ('kolkata', ST_MakeEnvelope(88.2, 22.4, 88.5, 22.7, 4326)),
+            ('delhi', ST_MakeEnvelope(76.84, 28.40, 77.35, 28.88, 4326))
+        ) AS cities (city, bounds)
+        WHERE ST_Within(reports.location::geometry, cities.bounds);
+    END IF;
+END;
+$$;
+
+-- Existing databases: reports are hidden by votes rather than deleted
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS disputed BOOLEAN DEFAULT FALSE;
+
 -- Spatial index for fast bounding box queries
 CREATE INDEX IF NOT EXISTS idx_reports_location ON reports USING GIST (location);
 
 -- Index for expiry cleanup
 CREATE INDEX IF NOT EXISTS idx_reports_expires ON reports (expires_at) WHERE expires_at IS NOT NULL;
 
+-- Index for city scoping
+CREATE INDEX IF NOT EXISTS idx_reports_city ON reports (city);
+
+-- Index for a user's reports
+CREATE INDEX IF NOT EXISTS idx_reports_user ON reports (user_id) WHERE user_id IS NOT NULL;
+
+-- ===================
+-- REPORT_VOTES TABLE
+-- One vote per person on each report: a signed-in user, or an anonymous voter told
+-- apart by IP address and User-Agent. A vote can be changed; reports.upvotes/downvotes are its totals
+-- ===================
+CREATE TABLE IF NOT EXISTS report_votes (
+    id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    device_hash CHAR(64), -- SHA-256 of report id, IP address and User-Agent, for anonymous votes
+    vote SMALLINT NOT NULL CHECK (vote IN (-1, 1)),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT one_voter CHECK ((user_id IS NULL) <> (device_hash IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_votes_user ON report_votes (report_id, user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_votes_device ON report_votes (report_id, device_hash) WHERE device_hash IS NOT NULL;
+
 -- ===================
 -- STREET_TAGS TABLE
--- Cached OSM street attributes for routing
+-- Cached OSM street attributes for routing (npm run import:osm, then import:zones in server/)
 -- ===================
 CREATE TABLE IF NOT EXISTS street_tags (
     id SERIAL PRIMARY KEY,
     osm_id BIGINT UNIQUE NOT NULL,
+    node_ids BIGINT[], -- OSM nodes of geom's points, in order (for npm run update:osm)
     geom GEOMETRY(LineString, 4326) NOT NULL,
     highway VARCHAR(50),
     name VARCHAR(255),
     lit VARCHAR(20), -- 'yes', 'no', 'limited'
+    lit_source VARCHAR(100), -- NULL: OSM lit tag; otherwise the streetlight dataset lit was derived from
+    lights_per_100m REAL, -- Streetlights snapped to the street (npm run import:streetlights)
     surface VARCHAR(50), -- 'paved', 'unpaved', 'gravel', etc.
     sidewalk VARCHAR(50), -- 'both', 'left', 'right', 'no'
-    noise_level INTEGER, -- Computed/estimated 1-10
+    kerb VARCHAR(20), -- Highest kerb on the way: 'flush', 'lowered', 'raised'
+    noise_level INTEGER, -- Computed/estimated 1-10, or from measured_noise_db once measured
+    estimated_noise_level INTEGER, -- Estimated from road class and OSM tags by import:osm
+    measured_noise_db REAL, -- Energy average of recent microphone measurements, dB(A)
+    noise_measurements INTEGER DEFAULT 0, -- Recent measurements on the street
+    school_zone BOOLEAN DEFAULT FALSE, -- Near a school (npm run import:zones)
+    market_zone BOOLEAN DEFAULT FALSE, -- Near a market or bazaar
+    nightlife_zone BOOLEAN DEFAULT FALSE, -- Near bars, pubs or clubs
+    zone_hours JSONB, -- Busy hours per zone: {school, market, nightlife} weekly schedules
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Existing databases: add columns introduced after the first release
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS kerb VARCHAR(20);
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS school_zone BOOLEAN DEFAULT FALSE;
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS market_zone BOOLEAN DEFAULT FALSE;
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS nightlife_zone BOOLEAN DEFAULT FALSE;
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS zone_hours JSONB;
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS lit_source VARCHAR(100);
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS lights_per_100m REAL;
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS measured_noise_db REAL;
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS noise_measurements INTEGER DEFAULT 0;
+ALTER TABLE street_tags ADD COLUMN IF NOT EXISTS node_ids BIGINT[];
+
+-- Existing databases: the road-class estimate is kept apart from measured noise.
+-- Streets measured before then get theirs back on the next import:osm
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'street_tags' AND column_name = 'estimated_noise_level'
+    ) THEN
+        ALTER TABLE street_tags ADD COLUMN estimated_noise_level INTEGER;
+        UPDATE street_tags SET estimated_noise_level = noise_level WHERE measured_noise_db IS NULL;
+    END IF;
+END;
+$$;
+
 -- Spatial index
 CREATE INDEX IF NOT EXISTS idx_street_tags_geom ON street_tags USING GIST (geom);
 
 -- Index for highway type filtering
 CREATE INDEX IF NOT EXISTS idx_street_tags_highway ON street_tags (highway);
 
+-- Streets through a node, for applying moved nodes from OSM change files
+CREATE INDEX IF NOT EXISTS idx_street_tags_node_ids ON street_tags USING GIN (node_ids);
+
+-- ===================
+-- OSM_REPLICATION TABLE
+-- Last OSM change file applied by npm run update:osm (a single row)
+-- ===================
+CREATE TABLE IF NOT EXISTS osm_replication (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    sequence_number BIGINT NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================
+-- NOISE_MEASUREMENTS TABLE
+-- Sound levels measured with the app's microphone meter; only the number is stored
+-- ===================
+CREATE TABLE IF NOT EXISTS noise_measurements (
+    id SERIAL PRIMARY KEY,
+    location GEOGRAPHY(Point, 4326) NOT NULL,
+    level_db REAL NOT NULL CHECK (level_db BETWEEN 20 AND 130), -- A-weighted
+    street_osm_id BIGINT, -- Street the measurement was snapped to, if one was near
+    measured_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_noise_measurements_location ON noise_measurements USING GIST (location);
+CREATE INDEX IF NOT EXISTS idx_noise_measurements_street ON noise_measurements (street_osm_id, measured_at);
+
 -- ===================
 -- SAFE_PLACES TABLE
 -- Emergency/safe locations (police, hospitals, 24/7 stores)
+-- Hand-added rows have no osm_id; npm run import:safe-places in server/ adds the rest
 -- ===================
 CREATE TABLE IF NOT EXISTS safe_places (
     id SERIAL PRIMARY KEY,
+    osm_id VARCHAR(32) UNIQUE, -- 'node/123' or 'way/456'
     location GEOGRAPHY(Point, 4326) NOT NULL,
-    name VARCHAR(255) NOT NULL,
-    type VARCHAR(50) NOT NULL, -- 'police', 'hospital', 'store_24h', 'metro_station'
+    name VARCHAR(255), -- Unnamed in OSM: shown by type
+    type VARCHAR(50) NOT NULL, -- 'police', 'hospital', 'pharmacy', 'store_24h', 'metro_station', 'bus_stop'
     address TEXT,
     phone VARCHAR(50),
     is_24_hours BOOLEAN DEFAULT FALSE,
+    opening_hours TEXT, -- OSM opening_hours value
+    schedule JSONB, -- opening_hours parsed: per weekday (Sunday first) [from, to] minutes after midnight
     lit BOOLEAN DEFAULT TRUE,
     verified BOOLEAN DEFAULT FALSE,
+    city VARCHAR(50), -- CITIES key in src/config.js
     
-    CONSTRAINT valid_place_type CHECK (type IN ('police', 'hospital', 'store_24h', 'metro_station', 'bus_stop', 'public_space'))
+    CONSTRAINT valid_place_type CHECK (type IN ('police', 'hospital', 'pharmacy', 'store_24h', 'metro_station', 'bus_stop', 'public_space'))
 );
 
+-- Existing databases: OSM places and their opening hours
+ALTER TABLE safe_places ADD COLUMN IF NOT EXISTS osm_id VARCHAR(32) UNIQUE;
+ALTER TABLE safe_places ADD COLUMN IF NOT EXISTS opening_hours TEXT;
+ALTER TABLE safe_places ADD COLUMN IF NOT EXISTS schedule JSONB;
+ALTER TABLE safe_places ALTER COLUMN name DROP NOT NULL;
+ALTER TABLE safe_places DROP CONSTRAINT IF EXISTS valid_place_type;
+ALTER TABLE safe_places ADD CONSTRAINT valid_place_type
+    CHECK (type IN ('police', 'hospital', 'pharmacy', 'store_24h', 'metro_station', 'bus_stop', 'public_space'));
+
+-- Existing databases: places are scoped by city. Rows from before then are filed
+-- under the city whose bounds (CITIES in src/config.js) they lie in
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'safe_places' AND column_name = 'city'
+    ) THEN
+        ALTER TABLE safe_places ADD COLUMN city VARCHAR(50);
+        UPDATE safe_places SET city = cities.city
+        FROM (VALUES
+            ('kolkata', ST_MakeEnvelope(88.2, 22.4, 88.5, 22.7, 4326)),
+            ('delhi', ST_MakeEnvelope(76.84, 28.40, 77.35, 28.88, 4326))
+        ) AS cities (city, bounds)
+        WHERE ST_Within(safe_places.location::geometry, cities.bounds);
+    END IF;
+END;
+$$;
+
 -- Spatial index
 CREATE INDEX IF NOT EXISTS idx_safe_places_location ON safe_places USING GIST (location);
 
+-- Index for city scoping
+CREATE INDEX IF NOT EXISTS idx_safe_places_city ON safe_places (city);
+
+-- ===================
+-- TRANSIT TABLES
+-- Metro network imported from a GTFS feed (npm run import:gtfs in server/)
+-- Platforms are folded into their parent station; trips become station-to-station connections
+-- ===================
+CREATE TABLE IF NOT EXISTS transit_stations (
+    id VARCHAR(64) PRIMARY KEY, -- GTFS stop_id of the station
+    name VARCHAR(255) NOT NULL,
+    location GEOGRAPHY(Point, 4326) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_transit_stations_location ON transit_stations USING GIST (location);
+
+-- Street entrances (GTFS location_type 2); stations without any get one at the station itself
+CREATE TABLE IF NOT EXISTS transit_entrances (
+    id VARCHAR(64) PRIMARY KEY,
+    station_id VARCHAR(64) NOT NULL REFERENCES transit_stations(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    location GEOGRAPHY(Point, 4326) NOT NULL,
+    lit VARCHAR(20) -- Taken from the nearest street: 'yes', 'no', 'limited'
+);
+
+CREATE INDEX IF NOT EXISTS idx_transit_entrances_station ON transit_entrances (station_id);
+
+CREATE TABLE IF NOT EXISTS transit_routes (
+    id VARCHAR(64) PRIMARY KEY,
+    short_name VARCHAR(50),
+    long_name VARCHAR(255),
+    color VARCHAR(6) -- Hex without '#'
+);
+
+CREATE TABLE IF NOT EXISTS transit_trips (
+    id VARCHAR(64) PRIMARY KEY,
+    route_id VARCHAR(64) NOT NULL REFERENCES transit_routes(id) ON DELETE CASCADE,
+    service_id VARCHAR(64) NOT NULL,
+    headsign VARCHAR(255)
+);
+
+-- Weekly service pattern (GTFS calendar.txt)
+CREATE TABLE IF NOT EXISTS transit_calendar (
+    service_id VARCHAR(64) PRIMARY KEY,
+    days BOOLEAN[] NOT NULL, -- Sunday first, matching EXTRACT(DOW)
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL
+);
+
+-- Added/removed service days (GTFS calendar_dates.txt: 1 = added, 2 = removed)
+CREATE TABLE IF NOT EXISTS transit_calendar_dates (
+    service_id VARCHAR(64) NOT NULL,
+    date DATE NOT NULL,
+    exception_type SMALLINT NOT NULL,
+    PRIMARY KEY (service_id, date)
+);
+
+-- One row per hop between consecutive stations of a trip
+-- Times are seconds after midnight of the service day and may pass 24:00
+CREATE TABLE IF NOT EXISTS transit_connections (
+    trip_id VARCHAR(64) NOT NULL REFERENCES transit_trips(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL,
+    from_station VARCHAR(64) NOT NULL,
+    to_station VARCHAR(64) NOT NULL,
+    departure INTEGER NOT NULL,
+    arrival INTEGER NOT NULL,
+    PRIMARY KEY (trip_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transit_connections_departure ON transit_connections (departure);
+
 -- ===================
 -- SAMPLE DATA FOR KOLKATA
 -- ===================
 
 -- Sample safe places
-INSERT INTO safe_places (location, name, type, is_24_hours, lit) VALUES
-    (ST_SetSRID(ST_MakePoint(88.3639, 22.5726), 4326), 'Lalbazar Police HQ', 'police', true, true),
-    (ST_SetSRID(ST_MakePoint(88.3436, 22.5649), 4326), 'SSKM Hospital', 'hospital', true, true),
-    (ST_SetSRID(ST_MakePoint(88.3426, 22.5839), 4326), 'Howrah Station', 'metro_station', true, true),
-    (ST_SetSRID(ST_MakePoint(88.3517, 22.5678), 4326), 'Esplanade Metro', 'metro_station', true, true),
-    (ST_SetSRID(ST_MakePoint(88.3529, 22.5531), 4326), 'Park Street Metro', 'metro_station', true, true),
-    (ST_SetSRID(ST_MakePoint(88.3713, 22.4992), 4326), 'Jadavpur Police Station', 'police', true, true)
+INSERT INTO safe_places (location, name, type, is_24_hours, lit, city) VALUES
+    (ST_SetSRID(ST_MakePoint(88.3639, 22.5726), 4326), 'Lalbazar Police HQ', 'police', true, true, 'kolkata'),
+    (ST_SetSRID(ST_MakePoint(88.3436, 22.5649), 4326), 'SSKM Hospital', 'hospital', true, true, 'kolkata'),
+    (ST_SetSRID(ST_MakePoint(88.3426, 22.5839), 4326), 'Howrah Station', 'metro_station', true, true, 'kolkata'),
+    (ST_SetSRID(ST_MakePoint(88.3517, 22.5678), 4326), 'Esplanade Metro', 'metro_station', true, true, 'kolkata'),
+    (ST_SetSRID(ST_MakePoint(88.3529, 22.5531), 4326), 'Park Street Metro', 'metro_station', true, true, 'kolkata'),
+    (ST_SetSRID(ST_MakePoint(88.3713, 22.4992), 4326), 'Jadavpur Police Station', 'police', true, true, 'kolkata')
 ON CONFLICT DO NOTHING;
 
 -- ===================
@@ -99,16 +379,26 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- You can schedule this with pg_cron or call it periodically
+-- Remove expired sessions and sign-in links
+CREATE OR REPLACE FUNCTION cleanup_expired_sessions()
+RETURNS void AS $$
+BEGIN
+    DELETE FROM sessions WHERE expires_at < NOW();
+    DELETE FROM magic_links WHERE expires_at < NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- You can schedule these with pg_cron or call them periodically
 
 -- ===================
 -- USEFUL VIEWS
 -- ===================
 
--- Active reports (not expired)
+-- Active reports (not expired or disputed)
 CREATE OR REPLACE VIEW active_reports AS
 SELECT * FROM reports
-WHERE expires_at IS NULL OR expires_at > NOW();
+WHERE (expires_at IS NULL OR expires_at > NOW())
+AND NOT disputed;
 
 -- High-priority reports (many upvotes, recent)
 CREATE OR REPLACE VIEW hot_reports AS
@@ -122,6 +412,7 @@ LIMIT 50;
 -- Adjust 'quietroute_user' to your actual application user
 -- ===================
 -- GRANT SELECT, INSERT, UPDATE, DELETE ON reports TO quietroute_user;
+-- GRANT SELECT, INSERT, UPDATE ON report_votes TO quietroute_user;
 -- GRANT SELECT ON street_tags TO quietroute_user;
 -- GRANT SELECT ON safe_places TO quietroute_user;
 -- GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO quietroute_user;
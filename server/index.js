@@ -5,12 +5,23 @@
 
 import express from 'express';
 import cors from 'cors';
-import pg from 'pg';
 import dotenv from 'dotenv';
+import { createPool } from './db/pool.js';
+import { mergeSegments } from './services/streetSegments.js';
+import { buildGraph, buildRoute, findMultiStopRoute, findReachable, getSearchBounds } from './services/graphRouter.js';
+import { chooseEntrances, planJourneys } from './services/transitPlanner.js';
+import { TRAVEL_MODES, CITIES, MIN_PASSWORD_LENGTH } from '../src/config.js';
+import { getZonedTime, zonedTimeToDate } from '../src/utils/timeZone.js';
+import { isPlaceOpen } from '../src/utils/openingHours.js';
+import { averageLevels, decibelsToNoiseLevel } from '../src/utils/noiseLevel.js';
+import { getTravelMode } from '../src/utils/travelMode.js';
+import { getCity, findCity } from '../src/utils/cities.js';
+import { isDisputed, ANONYMOUS_VOTE_WEIGHT } from '../src/utils/reportVotes.js';
+import { hashPassword, verifyPassword, createToken, hashToken, normaliseEmail } from './services/auth.js';
+import { sendMail } from './services/mailer.js';
 
 dotenv.config();
 
-const { Pool } = pg;
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -19,12 +30,7 @@ app.use(cors());
 app.use(express.json());
 
 // PostgreSQL connection pool
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'quietroute',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'postgres',
+const pool = createPool({
   max: 20,
   idleTimeoutMillis: 30000
 });
@@ -34,6 +40,15 @@ pool.connect()
   .then(() => console.log('✅ Connected to PostgreSQL'))
   .catch(err => console.log('⚠️  Database not connected (running in demo mode):', err.message));
 
+// Behind a reverse proxy, take the client's IP from X-Forwarded-For (anonymous votes are
+// keyed on it); TRUST_PROXY names the proxies to trust, e.g. loopback
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+// Signed-in user (req.user) from the Authorization header; requests without one stay anonymous
+app.use(attachUser);
+
 // ===================
 // ROUTES
 // ===================
@@ -43,22 +58,248 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// ===================
+// AUTH ENDPOINTS
+// ===================
+
+// Sessions last this long from sign-in; sign-in links are usable for a short while
+const SESSION_DAYS = 30;
+const MAGIC_LINK_MINUTES = 15;
+
+// Frontend address sign-in links open (it finishes signing in from ?login=)
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+// Sign-in links send email to any address: one per address a minute, and a few
+// per client an hour, so the endpoint can't be used to flood an inbox
+const MAGIC_LINK_RESEND_SECONDS = 60;
+const MAGIC_LINK_IP_LIMIT = 10;
+const MAGIC_LINK_IP_WINDOW_MINUTES = 60;
+const magicLinkRequests = new Map(); // IP -> {count, resetAt}
+
+/**
+ * POST /api/auth/signup
+ * Create an account with a password and sign in. The email stays unverified until
+ * a sign-in link sent to it is used (see /api/auth/magic-link/verify)
+ * Body: {email, password, displayName}
+ */
+app.post('/api/auth/signup', async (req, res) => {
+  try {
+    const email = normaliseEmail(req.body.email);
+    const { password, displayName } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO users (email, password_hash, display_name)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (email) DO NOTHING
+      RETURNING id, email, display_name
+    `, [email, await hashPassword(password), (typeof displayName === 'string' && displayName.trim().slice(0, 100)) || null]);
+    
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+    
+    const user = result.rows[0];
+    res.status(201).json({ user, ...(await createSession(user.id)) });
+    
+  } catch (error) {
+    console.error('Error signing up:', error);
+    res.status(500).json({ error: 'Failed to sign up' });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with email and password
+ * Body: {email, password}
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const email = normaliseEmail(req.body.email);
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+    
+    const result = email
+      ? await pool.query('SELECT id, email, display_name, password_hash FROM users WHERE email = $1', [email])
+      : { rows: [] };
+    const { password_hash: passwordHash, ...user } = result.rows[0] || {};
+    
+    // Checked even for unknown emails, so the response doesn't reveal which exist
+    if (!(await verifyPassword(password, passwordHash || null))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    
+    res.json({ user, ...(await createSession(user.id)) });
+    
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link
+ * Email a one-time sign-in link; the account is created when it is first used
+ * Body: {email}
+ */
+app.post('/api/auth/magic-link', async (req, res) => {
+  try {
+    const email = normaliseEmail(req.body.email);
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    
+    if (isOverLimit(magicLinkRequests, req.ip, MAGIC_LINK_IP_LIMIT, MAGIC_LINK_IP_WINDOW_MINUTES * 60 * 1000)) {
+      return res.status(429).json({ error: 'Too many sign-in links requested; try again later' });
+    }
+    
+    // The last link is still on its way or unopened
+    const recent = await pool.query(`
+      SELECT 1 FROM magic_links
+      WHERE email = $1 AND used_at IS NULL AND expires_at > NOW()
+        AND created_at > NOW() - make_interval(secs => $2)
+      LIMIT 1
+    `, [email, MAGIC_LINK_RESEND_SECONDS]);
+    
+    if (recent.rows.length > 0) {
+      return res.status(429).json({ error: 'A sign-in link was just sent; check your email or try again in a minute' });
+    }
+    
+    const token = createToken();
+    await pool.query(`
+      INSERT INTO magic_links (token_hash, email, expires_at)
+      VALUES ($1, $2, NOW() + make_interval(mins => $3))
+    `, [hashToken(token), email, MAGIC_LINK_MINUTES]);
+    
+    await sendMail({
+      to: email,
+      subject: 'Your QuietRoute sign-in link',
+      text: `Open this link to sign in to QuietRoute:\n\n${APP_URL}/?login=${token}\n\n` +
+        `It works once and expires in ${MAGIC_LINK_MINUTES} minutes. If you did not ask for it, ignore this email.`
+    });
+    
+    res.status(202).json({ message: 'Sign-in link sent' });
+    
+  } catch (error) {
+    console.error('Error sending sign-in link:', error);
+    res.status(500).json({ error: 'Failed to send sign-in link' });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Sign in with the token from an emailed link, which proves the email is the user's.
+ * An account signed up with a password but never verified this way may not be theirs:
+ * its password, display name and sessions are dropped when the email is first verified
+ * Body: {token}
+ */
+app.post('/api/auth/magic-link/verify', async (req, res) => {
+  const { token } = req.body;
+  
+  if (typeof token !== 'string' || !token) {
+    return res.status(400).json({ error: 'Missing token' });
+  }
+  
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const link = await client.query(`
+      UPDATE magic_links
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING email
+    `, [hashToken(token)]);
+    
+    if (link.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Sign-in link is invalid or has expired' });
+    }
+    
+    const { email } = link.rows[0];
+    const existing = await client.query(
+      'SELECT id, email_verified_at FROM users WHERE email = $1 FOR UPDATE',
+      [email]
+    );
+    
+    if (existing.rows.length > 0 && !existing.rows[0].email_verified_at) {
+      await client.query('DELETE FROM sessions WHERE user_id = $1', [existing.rows[0].id]);
+    }
+    
+    const result = await client.query(`
+      INSERT INTO users (email, email_verified_at) VALUES ($1, NOW())
+      ON CONFLICT (email) DO UPDATE SET
+        password_hash = CASE WHEN users.email_verified_at IS NULL THEN NULL ELSE users.password_hash END,
+        display_name = CASE WHEN users.email_verified_at IS NULL THEN NULL ELSE users.display_name END,
+        email_verified_at = COALESCE(users.email_verified_at, NOW())
+      RETURNING id, email, display_name
+    `, [email]);
+    
+    await client.query('COMMIT');
+    
+    const user = result.rows[0];
+    res.json({ user, ...(await createSession(user.id)) });
+    
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error verifying sign-in link:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user
+ */
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+app.post('/api/auth/logout', requireUser, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM sessions WHERE token_hash = $1', [req.sessionTokenHash]);
+    res.status(204).end();
+    
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
 // ===================
 // REPORTS ENDPOINTS
 // ===================
 
 /**
  * GET /api/reports
- * Get reports within a bounding box
+ * Get reports within a bounding box, only those in a city when city is given
  */
 app.get('/api/reports', async (req, res) => {
   try {
-    const { north, south, east, west } = req.query;
+    const { north, south, east, west, city } = req.query;
     
     if (!north || !south || !east || !west) {
       return res.status(400).json({ error: 'Missing bounding box parameters' });
     }
     
+    if (city && !CITIES[city]) {
+      return res.status(400).json({ error: `Unknown city: ${city}` });
+    }
+    
     // PostGIS spatial query
     const query = `
       SELECT 
@@ -71,18 +312,21 @@ app.get('/api/reports', async (req, res) => {
         created_at,
         expires_at,
         upvotes,
-        downvotes
+        downvotes,
+        city
       FROM reports
       WHERE ST_Within(
         location::geometry,
         ST_MakeEnvelope($1, $2, $3, $4, 4326)
       )
       AND (expires_at IS NULL OR expires_at > NOW())
+      AND NOT disputed
+      ${city ? 'AND city = $5' : ''}
       ORDER BY created_at DESC
       LIMIT 100
     `;
     
-    const result = await pool.query(query, [west, south, east, north]);
+    const result = await pool.query(query, city ? [west, south, east, north, city] : [west, south, east, north]);
     res.json(result.rows);
     
   } catch (error) {
@@ -94,7 +338,8 @@ app.get('/api/reports', async (req, res) => {
 
 /**
  * POST /api/reports
- * Create a new report
+ * Create a new report, filed under the city it lies in
+ * Anonymous unless the request is signed in, when the report is attributed to the user
  */
 app.post('/api/reports', async (req, res) => {
   try {
@@ -108,13 +353,15 @@ app.post('/api/reports', async (req, res) => {
     const expiryHours = getExpiryHours(type);
     
     const query = `
-      INSERT INTO reports (location, type, note, severity, expires_at)
+      INSERT INTO reports (location, type, note, severity, expires_at, city, user_id)
       VALUES (
         ST_SetSRID(ST_MakePoint($1, $2), 4326),
         $3,
         $4,
         $5,
-        NOW() + INTERVAL '${expiryHours} hours'
+        NOW() + INTERVAL '${expiryHours} hours',
+        $6,
+        $7
       )
       RETURNING 
         id, 
@@ -124,10 +371,13 @@ app.post('/api/reports', async (req, res) => {
         ST_Y(location::geometry) as lat,
         ST_X(location::geometry) as lng,
         created_at,
-        expires_at
+        expires_at,
+        city
     `;
     
-    const result = await pool.query(query, [lng, lat, type, note || '', severity || 1]);
+    const result = await pool.query(query, [
+      lng, lat, type, note || '', severity || 1, findCity(lng, lat), req.user ? req.user.id : null
+    ]);
     res.status(201).json(result.rows[0]);
     
   } catch (error) {
@@ -138,104 +388,563 @@ app.post('/api/reports', async (req, res) => {
 
 /**
  * POST /api/reports/:id/upvote
- * Upvote a report
+ * Upvote a report (confirms it's still valid)
+ * One vote per signed-in user, or per IP address and browser when anonymous
+ */
+app.post('/api/reports/:id/upvote', (req, res) => recordVote(req, res, 1));
+
+/**
+ * POST /api/reports/:id/downvote
+ * Downvote a report; it is hidden once voters confidently dispute it (src/utils/reportVotes.js)
+ * One vote per signed-in user, or per IP address and browser when anonymous
+ */
+app.post('/api/reports/:id/downvote', (req, res) => recordVote(req, res, -1));
+
+// ===================
+// STREET TAGS ENDPOINTS
+// ===================
+
+/**
+ * GET /api/street-tags
+ * Get street attributes for routing weights, including the school, market and
+ * nightlife zones a street is in and their busy hours (zone_hours), and where its
+ * lighting came from (lit_source: null for OSM, otherwise a streetlight dataset)
  */
-app.post('/api/reports/:id/upvote', async (req, res) => {
+app.get('/api/street-tags', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { north, south, east, west } = req.query;
     
     const query = `
-      UPDATE reports 
-      SET upvotes = upvotes + 1 
-      WHERE id = $1
-      RETURNING id, upvotes
+      SELECT 
+        osm_id,
+        highway,
+        lit,
+        lit_source,
+        lights_per_100m,
+        surface,
+        sidewalk,
+        kerb,
+        noise_level,
+        measured_noise_db,
+        school_zone,
+        market_zone,
+        nightlife_zone,
+        zone_hours,
+        ST_AsGeoJSON(geom) as geometry
+      FROM street_tags
+      WHERE ST_Intersects(
+        geom,
+        ST_MakeEnvelope($1, $2, $3, $4, 4326)
+      )
+      LIMIT 500
     `;
     
-    const result = await pool.query(query, [id]);
+    const result = await pool.query(query, [west, south, east, north]);
+    res.json(result.rows);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Report not found' });
+  } catch (error) {
+    console.error('Error fetching street tags:', error);
+    res.json([]);
+  }
+});
+
+/**
+ * POST /api/street-tags/match
+ * Match a route LineString to the street segments it runs along
+ * Body: { geometry: GeoJSON LineString, tolerance?: meters }
+ */
+app.post('/api/street-tags/match', async (req, res) => {
+  try {
+    const { geometry, tolerance = 15 } = req.body;
+
+    if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length < 2) {
+      return res.status(400).json({ error: 'Missing or invalid LineString geometry' });
     }
+
+    // Split the route into vertex-to-vertex pieces and attach each piece
+    // to the nearest street within tolerance of its midpoint
+    const query = `
+      WITH route AS (
+        SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS geom
+      ),
+      pieces AS (
+        SELECT
+          (dump).path[1] AS seq,
+          (dump).geom AS geom
+        FROM (SELECT ST_DumpSegments(geom) AS dump FROM route) d
+      )
+      SELECT
+        p.seq,
+        ST_Length(p.geom::geography) AS distance,
+        ST_AsGeoJSON(p.geom)::json -> 'coordinates' AS coordinates,
+        s.osm_id,
+        s.highway,
+        s.name,
+        s.lit,
+        s.surface,
+        s.sidewalk,
+        s.kerb,
+        s.noise_level,
+        s.measured_noise_db,
+        s.school_zone,
+        s.market_zone,
+        s.nightlife_zone,
+        s.zone_hours
+      FROM pieces p
+      LEFT JOIN LATERAL (
+        SELECT osm_id, highway, name, lit, surface, sidewalk, kerb, noise_level, measured_noise_db,
+               school_zone, market_zone, nightlife_zone, zone_hours
+        FROM street_tags t
+        WHERE ST_DWithin(
+          t.geom::geography,
+          ST_LineInterpolatePoint(p.geom, 0.5)::geography,
+          $2
+        )
+        ORDER BY t.geom <-> ST_LineInterpolatePoint(p.geom, 0.5)
+        LIMIT 1
+      ) s ON true
+      ORDER BY p.seq
+    `;
+
+    const result = await pool.query(query, [JSON.stringify(geometry), tolerance]);
+    res.json(mergeSegments(result.rows));
+
+  } catch (error) {
+    console.error('Error matching route to streets:', error);
+    res.json([]);
+  }
+});
+
+// ===================
+// NOISE MEASUREMENT ENDPOINTS
+// ===================
+
+// Measurements are matched to the nearest street within this distance
+const NOISE_SNAP_DISTANCE = 30; // meters
+
+// Only measurements this recent describe a street, and it takes this many of
+// them before they replace the street's estimated noise level
+const NOISE_MEASUREMENT_WINDOW = 90; // days
+const MIN_NOISE_MEASUREMENTS = 3;
+
+/**
+ * GET /api/noise-measurements
+ * Recent microphone measurements within a bounding box (for the noise heatmap)
+ */
+app.get('/api/noise-measurements', async (req, res) => {
+  try {
+    const { north, south, east, west } = req.query;
     
-    res.json(result.rows[0]);
+    if (!north || !south || !east || !west) {
+      return res.status(400).json({ error: 'Missing bounding box parameters' });
+    }
+    
+    const query = `
+      SELECT 
+        id,
+        ST_Y(location::geometry) as lat,
+        ST_X(location::geometry) as lng,
+        level_db,
+        measured_at
+      FROM noise_measurements
+      WHERE ST_Within(
+        location::geometry,
+        ST_MakeEnvelope($1, $2, $3, $4, 4326)
+      )
+      AND measured_at > NOW() - make_interval(days => $5)
+      ORDER BY measured_at DESC
+      LIMIT 1000
+    `;
+    
+    const result = await pool.query(query, [west, south, east, north, NOISE_MEASUREMENT_WINDOW]);
+    res.json(result.rows);
     
   } catch (error) {
-    console.error('Error upvoting report:', error);
-    res.status(500).json({ error: 'Failed to upvote' });
+    console.error('Error fetching noise measurements:', error);
+    res.json([]);
   }
 });
 
 /**
- * POST /api/reports/:id/downvote
- * Downvote a report (3 downvotes = delete)
+ * POST /api/noise-measurements
+ * Record a microphone measurement and fold it into the nearest street's noise level
+ * Body: { lat, lng, level: dB(A) }
  */
-app.post('/api/reports/:id/downvote', async (req, res) => {
+app.post('/api/noise-measurements', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { lat, lng, level } = req.body;
     
-    // First increment downvotes
-    const updateQuery = `
-      UPDATE reports 
-      SET downvotes = downvotes + 1 
-      WHERE id = $1
-      RETURNING id, downvotes
+    if (!isLatLng({ lat, lng }) || !Number.isFinite(level)) {
+      return res.status(400).json({ error: 'Missing required fields: lat, lng, level' });
+    }
+    
+    if (level < 20 || level > 130) {
+      return res.status(400).json({ error: 'Level must be between 20 and 130 dB(A)' });
+    }
+    
+    const query = `
+      WITH point AS (
+        SELECT ST_SetSRID(ST_MakePoint($1, $2), 4326) AS geom
+      )
+      INSERT INTO noise_measurements (location, level_db, street_osm_id)
+      SELECT
+        point.geom::geography,
+        $3,
+        (
+          SELECT osm_id
+          FROM street_tags t
+          WHERE ST_DWithin(t.geom::geography, point.geom::geography, $4)
+          ORDER BY t.geom <-> point.geom
+          LIMIT 1
+        )
+      FROM point
+      RETURNING 
+        id,
+        ST_Y(location::geometry) as lat,
+        ST_X(location::geometry) as lng,
+        level_db,
+        street_osm_id,
+        measured_at
     `;
     
-    const result = await pool.query(updateQuery, [id]);
+    const result = await pool.query(query, [lng, lat, level, NOISE_SNAP_DISTANCE]);
+    const measurement = result.rows[0];
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Report not found' });
+    const street = measurement.street_osm_id ? await updateStreetNoise(measurement.street_osm_id) : null;
+    res.status(201).json({ ...measurement, street });
+    
+  } catch (error) {
+    console.error('Error saving noise measurement:', error);
+    res.status(500).json({ error: 'Failed to save noise measurement' });
+  }
+});
+
+// ===================
+// ROUTING ENDPOINTS
+// ===================
+
+/**
+ * POST /api/route
+ * Weighted routing over street_tags with the QuietRoute cost function
+ * Body: { origin: {lat, lng}, destination: {lat, lng}, waypoints?: [{lat, lng}],
+ *         preferences: {quietness, brightness, mode, accessibility}, departAt?: ISO time }
+ * Responds in the OSRM shape ({code, routes}) with matched segments attached,
+ * one route per preference variant (duplicates are removed client-side)
+ */
+app.post('/api/route', async (req, res) => {
+  try {
+    const { origin, destination, waypoints = [], preferences = {} } = req.body;
+    const departAt = req.body.departAt ? new Date(req.body.departAt) : new Date();
+    
+    if (!isLatLng(origin) || !isLatLng(destination)) {
+      return res.status(400).json({ error: 'Missing origin/destination {lat, lng}' });
     }
     
-    // Delete if too many downvotes
-    if (result.rows[0].downvotes >= 3) {
-      await pool.query('DELETE FROM reports WHERE id = $1', [id]);
-      return res.json({ message: 'Report removed due to downvotes' });
+    if (!Array.isArray(waypoints) || !waypoints.every(isLatLng)) {
+      return res.status(400).json({ error: 'Waypoints must be a list of {lat, lng}' });
+    }
+    
+    if (Number.isNaN(departAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid departAt time' });
+    }
+    
+    if (preferences.mode && !TRAVEL_MODES[preferences.mode]) {
+      return res.status(400).json({ error: `Unknown travel mode: ${preferences.mode}` });
+    }
+    
+    const stops = [origin, ...waypoints, destination];
+    const { north, south, east, west } = getSearchBounds(stops);
+    const envelope = [west, south, east, north];
+    
+    const { streets, reports } = await loadRoutingData(envelope);
+    
+    const graph = buildGraph(streets, preferences.mode);
+    
+    // Route once for the user's preferences and once per extreme trade-off
+    // so the client can offer distinct fastest/quietest/brightest options
+    const variants = [
+      preferences,
+      { ...preferences, quietness: 0, brightness: 0 },
+      { ...preferences, quietness: 1 },
+      { ...preferences, brightness: 1 }
+    ];
+    
+    const legPaths = variants
+      .map(variant => findMultiStopRoute(graph, stops, {
+        preferences: variant,
+        reports,
+        departAt
+      }))
+      .filter(Boolean);
+    
+    if (legPaths.length === 0) {
+      return res.status(404).json({ code: 'NoRoute', error: 'No route found for this travel mode' });
     }
     
-    res.json(result.rows[0]);
+    res.json({ code: 'Ok', routes: legPaths.map(legs => buildRoute(legs, preferences.mode)) });
     
   } catch (error) {
-    console.error('Error downvoting report:', error);
-    res.status(500).json({ error: 'Failed to downvote' });
+    console.error('Error calculating route:', error);
+    res.status(500).json({ error: 'Failed to calculate route' });
   }
 });
 
+// Server URL setting for each routing engine the app can use
+const PROVIDER_SERVERS = {
+  osrm: 'OSRM_SERVER',
+  valhalla: 'VALHALLA_SERVER',
+  graphhopper: 'GRAPHHOPPER_SERVER'
+};
+
+/**
+ * GET /api/routing/providers
+ * Routing engines the app tries in order, from ROUTING_PROVIDERS in .env
+ * An empty list leaves the app on the providers in its own config
+ * API keys are never sent: anything here is public, so a hosted GraphHopper key
+ * lives in GRAPHHOPPER_API_KEY in src/config.js
+ */
+app.get('/api/routing/providers', (req, res) => {
+  const providers = (process.env.ROUTING_PROVIDERS || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(type => type in PROVIDER_SERVERS)
+    .map(type => ({
+      type,
+      name: type,
+      url: process.env[PROVIDER_SERVERS[type]] || undefined
+    }));
+  
+  res.json({ providers });
+});
+
 // ===================
-// STREET TAGS ENDPOINTS
+// ISOCHRONE ENDPOINTS
 // ===================
 
+// Reach thresholds used when the client asks for none
+const DEFAULT_ISOCHRONE_MINUTES = [5, 10, 15];
+
+// Longest reach the endpoint will compute
+const MAX_ISOCHRONE_MINUTES = 30;
+
 /**
- * GET /api/street-tags
- * Get street attributes for routing weights
+ * POST /api/isochrone
+ * Street nodes reachable from a point within each time threshold, costed like routes
+ * Body: { origin: {lat, lng}, preferences, departAt?: ISO time, minutes?: [5, 10, 15] }
+ * A node is inside a threshold when both its weighted cost and its path length fit
+ * the distance the travel mode covers in that time, so noisy or dark streets
+ * shrink the reach as quietness and brightness go up.
+ * Returns points as [lng, lat, minutes] (smallest threshold reached), for the
+ * preferences and for a baseline that ignores quietness and lighting
  */
-app.get('/api/street-tags', async (req, res) => {
+app.post('/api/isochrone', async (req, res) => {
   try {
-    const { north, south, east, west } = req.query;
+    const { origin, preferences = {} } = req.body;
+    const minutes = req.body.minutes || DEFAULT_ISOCHRONE_MINUTES;
+    const departAt = req.body.departAt ? new Date(req.body.departAt) : new Date();
     
-    const query = `
+    if (!isLatLng(origin)) {
+      return res.status(400).json({ error: 'Missing origin {lat, lng}' });
+    }
+    
+    if (!Array.isArray(minutes) || minutes.length === 0 ||
+        !minutes.every(m => Number.isFinite(m) && m > 0 && m <= MAX_ISOCHRONE_MINUTES)) {
+      return res.status(400).json({ error: `Minutes must be a list of thresholds up to ${MAX_ISOCHRONE_MINUTES}` });
+    }
+    
+    if (Number.isNaN(departAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid departAt time' });
+    }
+    
+    if (preferences.mode && !TRAVEL_MODES[preferences.mode]) {
+      return res.status(400).json({ error: `Unknown travel mode: ${preferences.mode}` });
+    }
+    
+    const { speed } = getTravelMode(preferences.mode);
+    const thresholds = [...minutes].sort((a, b) => a - b);
+    const maxDistance = thresholds[thresholds.length - 1] * 60 * speed;
+    
+    // Square around the origin that the longest reach cannot leave
+    const latMargin = maxDistance / 111320;
+    const lngMargin = latMargin / Math.cos(origin.lat * Math.PI / 180);
+    const envelope = [origin.lng - lngMargin, origin.lat - latMargin, origin.lng + lngMargin, origin.lat + latMargin];
+    
+    const { streets, reports } = await loadRoutingData(envelope);
+    const graph = buildGraph(streets, preferences.mode);
+    
+    const reach = (variant) => findReachable(graph, origin, maxDistance, {
+      preferences: variant,
+      reports,
+      departAt,
+      maxDistance
+    })
+      .map(node => {
+        const threshold = thresholds.find(m => Math.max(node.cost, node.distance) <= m * 60 * speed);
+        return threshold && [
+          Number(node.coord[0].toFixed(6)),
+          Number(node.coord[1].toFixed(6)),
+          threshold
+        ];
+      })
+      .filter(Boolean);
+    
+    const points = reach(preferences);
+    
+    if (points.length === 0) {
+      return res.status(404).json({ code: 'NoStreets', error: 'No streets near the origin for this travel mode' });
+    }
+    
+    res.json({
+      code: 'Ok',
+      minutes: thresholds,
+      points,
+      baseline: reach({ ...preferences, quietness: 0, brightness: 0 })
+    });
+    
+  } catch (error) {
+    console.error('Error calculating isochrone:', error);
+    res.status(500).json({ error: 'Failed to calculate isochrone' });
+  }
+});
+
+// ===================
+// TRANSIT ENDPOINTS
+// ===================
+
+// Furthest walk to or from a metro station entrance
+const MAX_STATION_WALK = 1500; // meters
+
+// How far ahead of departure to look for trains
+const TRANSIT_SEARCH_WINDOW = 2 * 3600; // seconds
+
+/**
+ * POST /api/transit/plan
+ * Metro journeys between two points, reached through the best-lit nearby entrances
+ * Body: { origin: {lat, lng}, destination: {lat, lng}, preferences, departAt?: ISO time }
+ * Walking legs are left to the client, which routes and scores them like any walk
+ */
+app.post('/api/transit/plan', async (req, res) => {
+  try {
+    const { origin, destination, preferences = {} } = req.body;
+    const departAt = req.body.departAt ? new Date(req.body.departAt) : new Date();
+    
+    if (!isLatLng(origin) || !isLatLng(destination)) {
+      return res.status(400).json({ error: 'Missing origin/destination {lat, lng}' });
+    }
+    
+    if (Number.isNaN(departAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid departAt time' });
+    }
+    
+    const entrancesQuery = `
       SELECT 
-        osm_id,
-        highway,
-        lit,
-        surface,
-        sidewalk,
-        noise_level,
-        ST_AsGeoJSON(geom) as geometry
-      FROM street_tags
-      WHERE ST_Intersects(
-        geom,
-        ST_MakeEnvelope($1, $2, $3, $4, 4326)
+        e.id,
+        e.station_id,
+        s.name AS station_name,
+        e.name,
+        e.lit,
+        ST_Y(e.location::geometry) AS lat,
+        ST_X(e.location::geometry) AS lng
+      FROM transit_entrances e
+      JOIN transit_stations s ON s.id = e.station_id
+      WHERE ST_DWithin(e.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)
+    `;
+    
+    const [nearOrigin, nearDestination] = await Promise.all([
+      pool.query(entrancesQuery, [origin.lng, origin.lat, MAX_STATION_WALK]),
+      pool.query(entrancesQuery, [destination.lng, destination.lat, MAX_STATION_WALK])
+    ]);
+    
+    if (nearOrigin.rows.length === 0 || nearDestination.rows.length === 0) {
+      return res.status(404).json({ code: 'NoRoute', error: 'No metro station within walking distance' });
+    }
+    
+    // Timetable times count from midnight of the service day in the service area's zone
+    const local = getZonedTime(departAt, preferences.timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    const serviceDate = `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+    const serviceDayStart = zonedTimeToDate(`${serviceDate}T00:00`, preferences.timeZone);
+    const toSeconds = (time) => Math.round((time.getTime() - serviceDayStart.getTime()) / 1000);
+    const toDate = (seconds) => new Date(serviceDayStart.getTime() + seconds * 1000);
+    
+    const accessEntrances = chooseEntrances(nearOrigin.rows, origin, preferences, departAt);
+    const egressEntrances = chooseEntrances(nearDestination.rows, destination, preferences, departAt);
+    const start = toSeconds(departAt);
+    
+    // Connections of trips running on the service day (overnight trips from the previous day are not included)
+    const connectionsQuery = `
+      WITH active AS (
+        SELECT service_id FROM transit_calendar
+        WHERE $1::date BETWEEN start_date AND end_date
+          AND days[EXTRACT(DOW FROM $1::date)::int + 1]
+        UNION
+        SELECT service_id FROM transit_calendar_dates
+        WHERE date = $1::date AND exception_type = 1
+        EXCEPT
+        SELECT service_id FROM transit_calendar_dates
+        WHERE date = $1::date AND exception_type = 2
       )
-      LIMIT 500
+      SELECT c.trip_id, t.route_id, c.from_station, c.to_station, c.departure, c.arrival
+      FROM transit_connections c
+      JOIN transit_trips t ON t.id = c.trip_id
+      WHERE t.service_id IN (SELECT service_id FROM active)
+        AND c.departure BETWEEN $2 AND $3
+      ORDER BY c.departure, c.arrival
     `;
     
-    const result = await pool.query(query, [west, south, east, north]);
-    res.json(result.rows);
+    const [connections, stations, routes] = await Promise.all([
+      pool.query(connectionsQuery, [serviceDate, start, start + TRANSIT_SEARCH_WINDOW]),
+      pool.query('SELECT id, name, ST_Y(location::geometry) AS lat, ST_X(location::geometry) AS lng FROM transit_stations'),
+      pool.query('SELECT id, short_name, long_name, color FROM transit_routes')
+    ]);
+    
+    const journeys = planJourneys(
+      connections.rows,
+      accessEntrances.map(e => ({ stationId: e.station_id, time: start + Math.round(e.walkDuration) })),
+      egressEntrances.map(e => ({ stationId: e.station_id, duration: Math.round(e.walkDuration) }))
+    );
+    
+    if (journeys.length === 0) {
+      return res.status(404).json({ code: 'NoRoute', error: 'No metro journey found' });
+    }
+    
+    const stationById = new Map(stations.rows.map(station => [station.id, station]));
+    const routeById = new Map(routes.rows.map(route => [route.id, route]));
+    const formatEntrance = (entrance) => ({
+      id: entrance.id,
+      name: entrance.name,
+      stationName: entrance.station_name,
+      lat: entrance.lat,
+      lng: entrance.lng,
+      lit: entrance.lit
+    });
+    
+    res.json({
+      code: 'Ok',
+      journeys: journeys.map(journey => ({
+        accessEntrance: formatEntrance(accessEntrances.find(e => e.station_id === journey.accessStation)),
+        egressEntrance: formatEntrance(egressEntrances.find(e => e.station_id === journey.egressStation)),
+        transfers: journey.transfers,
+        rides: journey.rides.map(ride => {
+          const route = routeById.get(ride.routeId) || {};
+          return {
+            route: {
+              id: ride.routeId,
+              shortName: route.short_name,
+              longName: route.long_name,
+              color: route.color ? `#${route.color}` : null
+            },
+            departAt: toDate(ride.departure).toISOString(),
+            arriveAt: toDate(ride.arrival).toISOString(),
+            stations: ride.stations.map(id => stationById.get(id))
+          };
+        })
+      }))
+    });
     
   } catch (error) {
-    console.error('Error fetching street tags:', error);
-    res.json([]);
+    console.error('Error planning transit journey:', error);
+    res.status(500).json({ error: 'Failed to plan transit journey' });
   }
 });
 
@@ -243,13 +952,63 @@ app.get('/api/street-tags', async (req, res) => {
 // SAFE PLACES ENDPOINTS
 // ===================
 
+// Farthest the nearest-places search looks
+const MAX_SAFE_PLACE_RADIUS = 10000; // meters
+
+// With open_at, opening hours are checked after the query: this many places are
+// fetched to pick the open ones from
+const OPEN_AT_CANDIDATES = 2000;
+
 /**
  * GET /api/safe-places
- * Find nearest safe/lit public places (for panic button)
+ * Find nearest safe/lit public places within radius (for panic button), or every safe place
+ * in a bounding box (north, south, east, west) for explaining routes
+ * With open_at (ISO time), only places open at that time are returned; with
+ * city, only places in that city
  */
 app.get('/api/safe-places', async (req, res) => {
   try {
-    const { lat, lng, radius = 1000 } = req.query;
+    const { lat, lng, radius = 1000, north, south, east, west, city } = req.query;
+    const openAt = req.query.open_at ? new Date(req.query.open_at) : null;
+    
+    if (openAt && Number.isNaN(openAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid open_at time' });
+    }
+    
+    if (city && !CITIES[city]) {
+      return res.status(400).json({ error: `Unknown city: ${city}` });
+    }
+    
+    // Opening hours are checked here, in each place's city time, so the limit is applied after filtering
+    const fetchLimit = (count) => `LIMIT ${openAt ? OPEN_AT_CANDIDATES : count}`;
+    const isOpen = (place) => isPlaceOpen(place, openAt, getCity(place.city).timeZone);
+    const onlyOpen = (rows, limit) => (openAt ? rows.filter(isOpen) : rows).slice(0, limit);
+    
+    if (north && south && east && west) {
+      const query = `
+        SELECT 
+          id,
+          name,
+          type,
+          ST_Y(location::geometry) as lat,
+          ST_X(location::geometry) as lng,
+          is_24_hours,
+          opening_hours,
+          schedule,
+          lit,
+          city
+        FROM safe_places
+        WHERE ST_Within(
+          location::geometry,
+          ST_MakeEnvelope($1, $2, $3, $4, 4326)
+        )
+        ${city ? 'AND city = $5' : ''}
+        ${fetchLimit(500)}
+      `;
+      
+      const result = await pool.query(query, city ? [west, south, east, north, city] : [west, south, east, north]);
+      return res.json(onlyOpen(result.rows, 500));
+    }
     
     if (!lat || !lng) {
       return res.status(400).json({ error: 'Missing lat/lng parameters' });
@@ -268,19 +1027,24 @@ app.get('/api/safe-places', async (req, res) => {
           ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography
         ) as distance_meters,
         is_24_hours,
-        lit
+        opening_hours,
+        schedule,
+        lit,
+        city
       FROM safe_places
       WHERE ST_DWithin(
         location::geography,
         ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
         $3
       )
+      ${city ? 'AND city = $4' : ''}
       ORDER BY distance_meters
-      LIMIT 10
+      ${fetchLimit(10)}
     `;
     
-    const result = await pool.query(query, [lng, lat, radius]);
-    res.json(result.rows);
+    const searchRadius = Math.min(Number(radius) || 1000, MAX_SAFE_PLACE_RADIUS);
+    const result = await pool.query(query, city ? [lng, lat, searchRadius, city] : [lng, lat, searchRadius]);
+    res.json(onlyOpen(result.rows, 10));
     
   } catch (error) {
     console.error('Error fetching safe places:', error);
@@ -292,11 +1056,259 @@ app.get('/api/safe-places', async (req, res) => {
 // HELPER FUNCTIONS
 // ===================
 
+/**
+ * Count a request against a fixed window per key, forgetting windows that have ended
+ * @param {Map} windows - Key -> {count, resetAt}, kept between requests
+ * @param {string} key - e.g. the client IP
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length
+ * @returns {boolean} Whether this request is over the limit
+ */
+function isOverLimit(windows, key, limit, windowMs) {
+  const now = Date.now();
+  windows.forEach((window, other) => {
+    if (window.resetAt <= now) windows.delete(other);
+  });
+  
+  const window = windows.get(key) || { count: 0, resetAt: now + windowMs };
+  window.count++;
+  windows.set(key, window);
+  
+  return window.count > limit;
+}
+
+/**
+ * Middleware: attach the user of a "Authorization: Bearer <token>" session as
+ * req.user (null when there is none, or it has expired)
+ */
+async function attachUser(req, res, next) {
+  req.user = null;
+  
+  const header = req.get('Authorization') || '';
+  if (!header.startsWith('Bearer ')) return next();
+  
+  try {
+    const tokenHash = hashToken(header.slice('Bearer '.length).trim());
+    const result = await pool.query(`
+      SELECT u.id, u.email, u.display_name
+      FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = $1 AND s.expires_at > NOW()
+    `, [tokenHash]);
+    
+    if (result.rows.length > 0) {
+      req.user = result.rows[0];
+      req.sessionTokenHash = tokenHash;
+    }
+  } catch (error) {
+    console.error('Error checking session:', error);
+  }
+  
+  next();
+}
+
+/**
+ * Middleware: reject requests that aren't signed in
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+/**
+ * Record a vote on a report, or change the voter's earlier vote, keeping the
+ * report's totals and disputed flag up to date. Repeating a vote is refused.
+ * Anonymous voters are told apart by IP address and User-Agent, which a client can't
+ * renew at will, and their votes weigh less towards hiding a report
+ * @param {Object} req - Express request (params.id, signed-in user)
+ * @param {Object} res - Express response
+ * @param {number} vote - 1 up, -1 down
+ */
+async function recordVote(req, res, vote) {
+  const { id } = req.params;
+  
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({ error: 'Invalid report id' });
+  }
+  
+  // Signed-in users vote as themselves on every device. The report id is hashed in
+  // so an anonymous voter's hashes can't be matched up across reports
+  const voter = req.user
+    ? { column: 'user_id', value: req.user.id }
+    : { column: 'device_hash', value: hashToken(`${id}:${req.ip}:${req.get('User-Agent') || ''}`) };
+  
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    
+    const report = await client.query('SELECT id FROM reports WHERE id = $1 FOR UPDATE', [id]);
+    if (report.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    
+    const previous = await client.query(
+      `SELECT vote FROM report_votes WHERE report_id = $1 AND ${voter.column} = $2`,
+      [id, voter.value]
+    );
+    const previousVote = previous.rows[0]?.vote || 0;
+    
+    if (previousVote === vote) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Already voted' });
+    }
+    
+    await client.query(`
+      INSERT INTO report_votes (report_id, ${voter.column}, vote)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (report_id, ${voter.column}) WHERE ${voter.column} IS NOT NULL
+      DO UPDATE SET vote = EXCLUDED.vote, updated_at = NOW()
+    `, [id, voter.value, vote]);
+    
+    // The new vote counts once; a changed vote stops counting on its old side
+    const taken = previousVote === 0 ? 0 : 1;
+    const totals = await client.query(`
+      UPDATE reports
+      SET upvotes = upvotes + $2, downvotes = downvotes + $3
+      WHERE id = $1
+      RETURNING upvotes, downvotes
+    `, [id, vote === 1 ? 1 : -taken, vote === -1 ? 1 : -taken]);
+    
+    const anonymous = await client.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE vote = 1) AS upvotes,
+        COUNT(*) FILTER (WHERE vote = -1) AS downvotes
+      FROM report_votes
+      WHERE report_id = $1 AND user_id IS NULL
+    `, [id]);
+    
+    // Anonymous votes count for ANONYMOUS_VOTE_WEIGHT of a signed-in vote
+    const { upvotes, downvotes } = totals.rows[0];
+    const discount = 1 - ANONYMOUS_VOTE_WEIGHT;
+    const disputed = isDisputed(
+      upvotes - discount * Number(anonymous.rows[0].upvotes),
+      downvotes - discount * Number(anonymous.rows[0].downvotes)
+    );
+    await client.query('UPDATE reports SET disputed = $2 WHERE id = $1', [id, disputed]);
+    
+    await client.query('COMMIT');
+    res.json({ id: Number(id), upvotes, downvotes, vote, disputed });
+    
+  } catch (error) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Error voting on report:', error);
+    res.status(500).json({ error: 'Failed to vote' });
+  } finally {
+    client?.release();
+  }
+}
+
+/**
+ * Start a session for a user
+ * @param {number} userId
+ * @returns {Promise<Object>} {token: bearer token (only returned here), expires_at}
+ */
+async function createSession(userId) {
+  const token = createToken();
+  const result = await pool.query(`
+    INSERT INTO sessions (token_hash, user_id, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(days => $3))
+    RETURNING expires_at
+  `, [hashToken(token), userId, SESSION_DAYS]);
+  
+  return { token, expires_at: result.rows[0].expires_at };
+}
+
+function isLatLng(point) {
+  return Boolean(point) && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+}
+
+/**
+ * Recompute a street's measured noise from its recent measurements
+ * Once it has MIN_NOISE_MEASUREMENTS, their energy average replaces the noise level
+ * estimated from its road class, which is restored when it has fewer again
+ * @param {string} osmId - Street osm_id
+ * @returns {Promise<Object>} {osm_id, noise_level, measured_noise_db, noise_measurements}
+ */
+async function updateStreetNoise(osmId) {
+  const measurements = await pool.query(`
+    SELECT level_db
+    FROM noise_measurements
+    WHERE street_osm_id = $1 AND measured_at > NOW() - make_interval(days => $2)
+  `, [osmId, NOISE_MEASUREMENT_WINDOW]);
+  
+  const levels = measurements.rows.map(row => row.level_db);
+  const measured = levels.length >= MIN_NOISE_MEASUREMENTS ? averageLevels(levels) : null;
+  
+  const result = await pool.query(`
+    UPDATE street_tags
+    SET measured_noise_db = $2,
+        noise_measurements = $3,
+        noise_level = COALESCE($4, estimated_noise_level, noise_level),
+        last_updated = NOW()
+    WHERE osm_id = $1
+    RETURNING osm_id, noise_level, measured_noise_db, noise_measurements
+  `, [osmId, measured, levels.length, measured === null ? null : decibelsToNoiseLevel(measured)]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Load the streets and active reports a routing graph is built from
+ * @param {Array} envelope - [west, south, east, north]
+ * @returns {Promise<Object>} {streets, reports}
+ */
+async function loadRoutingData(envelope) {
+  const streetsQuery = `
+    SELECT 
+      osm_id,
+      highway,
+      name,
+      lit,
+      surface,
+      sidewalk,
+      kerb,
+      noise_level,
+      measured_noise_db,
+      school_zone,
+      market_zone,
+      nightlife_zone,
+      zone_hours,
+      ST_AsGeoJSON(geom)::json -> 'coordinates' AS coordinates
+    FROM street_tags
+    WHERE geom && ST_MakeEnvelope($1, $2, $3, $4, 4326)
+  `;
+  
+  const reportsQuery = `
+    SELECT 
+      type,
+      severity,
+      ST_Y(location::geometry) as lat,
+      ST_X(location::geometry) as lng
+    FROM active_reports
+    WHERE ST_Within(
+      location::geometry,
+      ST_MakeEnvelope($1, $2, $3, $4, 4326)
+    )
+  `;
+  
+  const [streets, reports] = await Promise.all([
+    pool.query(streetsQuery, envelope),
+    pool.query(reportsQuery, envelope)
+  ]);
+  
+  return { streets: streets.rows, reports: reports.rows };
+}
+
 function getExpiryHours(type) {
   const expiryMap = {
     loud: 4,
     crowded: 2,
     obstruction: 672, // 4 weeks
+    broken_pavement: 672,
     dark: 720, // 30 days
     safe: 168, // 1 week
     quiet: 168
@@ -317,9 +1329,19 @@ app.listen(PORT, () => {
 ║                                                           ║
 ║   Endpoints:                                              ║
 ║   GET  /api/health         - Health check                 ║
+║   POST /api/auth/signup    - Create an account            ║
+║   POST /api/auth/login     - Sign in with a password      ║
+║   POST /api/auth/magic-link - Email a sign-in link        ║
+║   GET  /api/auth/me        - Signed-in user               ║
 ║   GET  /api/reports        - Get reports in area          ║
 ║   POST /api/reports        - Create new report            ║
 ║   GET  /api/street-tags    - Get street attributes        ║
+║   POST /api/street-tags/match - Match route to streets    ║
+║   POST /api/route          - Quiet route over street graph║
+║   GET  /api/routing/providers - Routing engines to use    ║
+║   POST /api/isochrone      - Quiet reach from a point     ║
+║   POST /api/transit/plan   - Metro journeys between points║
+║   POST /api/noise-measurements - Share a noise level      ║
 ║   GET  /api/safe-places    - Find nearest safe places     ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
@@ -0,0 +1,74 @@
+/**
+ * QuietRoute CSV Reader
+ * Minimal RFC 4180 parser for the data files the import scripts load
+ */
+
+import fs from 'fs';
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes
+ * @param {string} text - CSV contents
+ * @returns {Array<Object>} Rows
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  // Strip a UTF-8 byte order mark, common in feeds exported from spreadsheets
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(row => row.length > 1 || row[0] !== '');
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? '').trim()])));
+}
+
+/**
+ * Read and parse a CSV file, or return null if it doesn't exist
+ * @param {string} filePath
+ * @returns {Array<Object>|null} Rows
+ */
+export function readCsvFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return parseCsv(fs.readFileSync(filePath, 'utf8'));
+}
@@ -0,0 +1,268 @@
+/**
+ * QuietRoute GTFS Importer
+ * Loads a local GTFS feed (e.g. Kolkata Metro) into the transit_* tables
+ *
+ * Usage: npm run import:gtfs -- path/to/gtfs-folder
+ */
+
+import path from 'path';
+import { createPool } from '../db/pool.js';
+import { readCsvFile } from './csv.js';
+
+// Rows per multi-row INSERT
+const BATCH_SIZE = 500;
+
+// Entrances take their lighting from the nearest street within this distance
+const ENTRANCE_STREET_DISTANCE = 30; // meters
+
+// GTFS location_type values
+const STOP = 0;
+const STATION = 1;
+const ENTRANCE = 2;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+async function main() {
+  const feedDir = process.argv[2];
+
+  if (!feedDir) {
+    console.error('Usage: npm run import:gtfs -- path/to/gtfs-folder');
+    process.exit(1);
+  }
+
+  const feed = readFeed(feedDir);
+  const network = buildNetwork(feed);
+
+  const pool = createPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Replace the previous import; connections and entrances go with their parents
+    await client.query(`
+      TRUNCATE transit_connections, transit_trips, transit_routes,
+        transit_entrances, transit_stations, transit_calendar, transit_calendar_dates
+    `);
+
+    const point = (p, lng, lat) => `ST_SetSRID(ST_MakePoint(${p[lng]}, ${p[lat]}), 4326)::geography`;
+
+    await insertRows(client, 'transit_stations', ['id', 'name', 'location'],
+      network.stations.map(s => [s.id, s.name, s.lng, s.lat]),
+      p => `${p[0]}, ${p[1]}, ${point(p, 2, 3)}`);
+
+    await insertRows(client, 'transit_entrances', ['id', 'station_id', 'name', 'location'],
+      network.entrances.map(e => [e.id, e.stationId, e.name, e.lng, e.lat]),
+      p => `${p[0]}, ${p[1]}, ${p[2]}, ${point(p, 3, 4)}`);
+
+    await insertRows(client, 'transit_routes', ['id', 'short_name', 'long_name', 'color'],
+      feed.routes.map(r => [r.route_id, r.route_short_name || null, r.route_long_name || null, r.route_color || null]));
+
+    await insertRows(client, 'transit_trips', ['id', 'route_id', 'service_id', 'headsign'],
+      feed.trips.map(t => [t.trip_id, t.route_id, t.service_id, t.trip_headsign || null]));
+
+    await insertRows(client, 'transit_calendar', ['service_id', 'days', 'start_date', 'end_date'],
+      feed.calendar.map(c => [
+        c.service_id,
+        WEEKDAYS.map(day => c[day] === '1'),
+        parseGtfsDate(c.start_date),
+        parseGtfsDate(c.end_date)
+      ]));
+
+    await insertRows(client, 'transit_calendar_dates', ['service_id', 'date', 'exception_type'],
+      feed.calendarDates.map(d => [d.service_id, parseGtfsDate(d.date), Number(d.exception_type)]));
+
+    await insertRows(client, 'transit_connections',
+      ['trip_id', 'sequence', 'from_station', 'to_station', 'departure', 'arrival'],
+      network.connections.map(c => [c.tripId, c.sequence, c.from, c.to, c.departure, c.arrival]));
+
+    // Light level at each entrance from the street it opens onto
+    await client.query(`
+      UPDATE transit_entrances e
+      SET lit = (
+        SELECT t.lit
+        FROM street_tags t
+        WHERE ST_DWithin(t.geom::geography, e.location, $1)
+        ORDER BY t.geom <-> e.location::geometry
+        LIMIT 1
+      )
+    `, [ENTRANCE_STREET_DISTANCE]);
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Imported ${network.stations.length} stations, ${network.entrances.length} entrances, ` +
+      `${feed.trips.length} trips and ${network.connections.length} connections`);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+/**
+ * Read the GTFS files the planner needs
+ * @param {string} feedDir
+ * @returns {Object} {stops, routes, trips, stopTimes, calendar, calendarDates}
+ */
+function readFeed(feedDir) {
+  const read = (name, required) => {
+    const rows = readCsvFile(path.join(feedDir, name));
+    if (!rows && required) {
+      throw new Error(`GTFS feed is missing ${name}`);
+    }
+    return rows || [];
+  };
+
+  return {
+    stops: read('stops.txt', true),
+    routes: read('routes.txt', true),
+    trips: read('trips.txt', true),
+    stopTimes: read('stop_times.txt', true),
+    calendar: read('calendar.txt', false),
+    calendarDates: read('calendar_dates.txt', false)
+  };
+}
+
+/**
+ * Fold platforms into stations, collect entrances and turn trips into connections
+ * @param {Object} feed - Parsed GTFS files
+ * @returns {Object} {stations, entrances, connections}
+ */
+function buildNetwork(feed) {
+  const stations = [];
+  const entrances = [];
+  const stationOf = new Map(); // stop_id -> station id
+
+  feed.stops.forEach(stop => {
+    const type = Number(stop.location_type || STOP);
+    const location = { lat: Number(stop.stop_lat), lng: Number(stop.stop_lon) };
+
+    if (type === STATION || (type === STOP && !stop.parent_station)) {
+      stations.push({ id: stop.stop_id, name: stop.stop_name, ...location });
+      stationOf.set(stop.stop_id, stop.stop_id);
+    } else if (type === STOP) {
+      stationOf.set(stop.stop_id, stop.parent_station);
+    } else if (type === ENTRANCE && stop.parent_station) {
+      entrances.push({ id: stop.stop_id, stationId: stop.parent_station, name: stop.stop_name || null, ...location });
+    }
+  });
+
+  // Stations mapped without entrances are entered at the station itself
+  const withEntrance = new Set(entrances.map(entrance => entrance.stationId));
+  stations
+    .filter(station => !withEntrance.has(station.id))
+    .forEach(station => {
+      entrances.push({ id: `${station.id}:station`, stationId: station.id, name: null, lat: station.lat, lng: station.lng });
+    });
+
+  const byTrip = new Map();
+  feed.stopTimes.forEach(stopTime => {
+    if (!byTrip.has(stopTime.trip_id)) byTrip.set(stopTime.trip_id, []);
+    byTrip.get(stopTime.trip_id).push(stopTime);
+  });
+
+  const connections = [];
+  byTrip.forEach((stopTimes, tripId) => {
+    stopTimes.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+    const times = interpolateTimes(stopTimes);
+
+    for (let i = 0; i < stopTimes.length - 1; i++) {
+      const from = stationOf.get(stopTimes[i].stop_id);
+      const to = stationOf.get(stopTimes[i + 1].stop_id);
+
+      if (!from || !to || from === to) continue;
+
+      connections.push({
+        tripId,
+        sequence: i,
+        from,
+        to,
+        departure: times[i].departure,
+        arrival: times[i + 1].arrival
+      });
+    }
+  });
+
+  return { stations, entrances, connections };
+}
+
+/**
+ * Fill in stop times left blank between timepoints by linear interpolation
+ * @param {Array} stopTimes - A trip's stop_times rows in sequence order
+ * @returns {Array} [{arrival, departure}] in seconds after midnight
+ */
+function interpolateTimes(stopTimes) {
+  const times = stopTimes.map(stopTime => {
+    const arrival = parseGtfsTime(stopTime.arrival_time);
+    const departure = parseGtfsTime(stopTime.departure_time);
+    return { arrival: arrival ?? departure, departure: departure ?? arrival };
+  });
+
+  let previous = null;
+  times.forEach((time, index) => {
+    if (time.arrival === null) return;
+
+    if (previous !== null && index - previous > 1) {
+      const start = times[previous].departure;
+      const step = (time.arrival - start) / (index - previous);
+      for (let i = previous + 1; i < index; i++) {
+        const value = Math.round(start + step * (i - previous));
+        times[i] = { arrival: value, departure: value };
+      }
+    }
+    previous = index;
+  });
+
+  return times;
+}
+
+/**
+ * Parse a GTFS time (may pass 24:00:00 for trips after midnight)
+ * @param {string} value - 'HH:MM:SS'
+ * @returns {number|null} Seconds after midnight
+ */
+function parseGtfsTime(value) {
+  if (!value) return null;
+  const [hours, minutes, seconds] = value.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + (seconds || 0);
+}
+
+/**
+ * Parse a GTFS date
+ * @param {string} value - 'YYYYMMDD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function parseGtfsDate(value) {
+  return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+}
+
+/**
+ * Insert rows in batches with one multi-row INSERT per batch
+ * @param {pg.PoolClient} client
+ * @param {string} table
+ * @param {Array<string>} columns
+ * @param {Array<Array>} rows - Parameter values per row
+ * @param {Function} valueSql - Builds the VALUES tuple from the row's placeholders
+ */
+async function insertRows(client, table, columns, rows, valueSql = placeholders => placeholders.join(', ')) {
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const params = [];
+    const values = rows.slice(start, start + BATCH_SIZE).map(row => {
+      const placeholders = row.map(value => {
+        params.push(value);
+        return `$${params.length}`;
+      });
+      return `(${valueSql(placeholders)})`;
+    });
+
+    await client.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values.join(', ')}`, params);
+  }
+}
+
+main().catch(error => {
+  console.error('GTFS import failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,240 @@
+/**
+ * QuietRoute OSM Street Importer
+ * Fills street_tags with the walkable ways of a local OSM extract. Safe to re-run:
+ * ways are upserted by osm_id and only rows whose data changed are written
+ *
+ * Usage: npm run import:osm -- [path/to/extract.osm.pbf] [--city=id] [--bbox=west,south,east,north] [--prune]
+ * The extract defaults to the one the osrm-prepare container downloads for the city
+ * (osrm-data/kolkata.osm.pbf); --city also limits the import to the city's bounds
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createPool } from '../db/pool.js';
+import { isWalkableWay, getNodeKerb, buildStreetRow, KERB_HEIGHTS } from '../services/osmStreets.js';
+import { CITIES } from '../../src/config.js';
+import { readOsm, getCityExtract, DEFAULT_EXTRACT } from './osmPbf.js';
+import { upsertStreets } from './osmUpsert.js';
+
+const USAGE = 'Usage: npm run import:osm -- [path/to/extract.osm.pbf] [--city=id] [--bbox=west,south,east,north] [--prune]';
+
+// Ways per multi-row upsert
+const BATCH_SIZE = 500;
+
+async function main() {
+  const { file, bbox, prune } = parseArgs(process.argv.slice(2));
+
+  if (!fs.existsSync(file)) {
+    console.error(`OSM extract not found: ${file}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  // The extract is read three times (ways, nodes, ways again) so only the nodes
+  // of walkable ways are ever held in memory
+  console.log(`Reading ${file}...`);
+  const nodes = await collectWayNodes(file);
+  console.log(`  ${nodes.ids.length} nodes on walkable ways`);
+  await loadNodes(file, nodes);
+
+  const pool = createPool();
+  const client = await pool.connect();
+  const summary = { inserted: 0, updated: 0, unchanged: 0, skipped: 0, outside: 0, stale: 0 };
+
+  try {
+    await client.query('BEGIN');
+    await client.query('CREATE TEMP TABLE imported_ways (osm_id BIGINT PRIMARY KEY) ON COMMIT DROP');
+
+    let batch = [];
+    const flush = async () => {
+      const { inserted, updated } = await upsertStreets(client, batch);
+      await client.query(
+        'INSERT INTO imported_ways (osm_id) SELECT unnest($1::bigint[]) ON CONFLICT DO NOTHING',
+        [batch.map(row => row.osm_id)]
+      );
+      summary.inserted += inserted;
+      summary.updated += updated;
+      summary.unchanged += batch.length - inserted - updated;
+      batch = [];
+    };
+
+    for await (const way of readOsm(file, 'way')) {
+      if (!isWalkableWay(way.tags)) continue;
+
+      const wayNodes = [];
+      way.refs.forEach(ref => {
+        const index = findNode(nodes, ref);
+        if (index === -1 || Number.isNaN(nodes.lng[index])) return;
+        wayNodes.push({
+          id: ref,
+          lng: nodes.lng[index],
+          lat: nodes.lat[index],
+          kerb: nodes.kerb[index] ? KERB_HEIGHTS[nodes.kerb[index] - 1] : null
+        });
+      });
+
+      // Ways cut off at the extract's edge can lose all but one node
+      if (wayNodes.length < 2) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (bbox && !wayNodes.some(node => isInside([node.lng, node.lat], bbox))) {
+        summary.outside++;
+        continue;
+      }
+
+      batch.push(buildStreetRow(way, wayNodes));
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    // Streets already in the table that this extract no longer has
+    const stale = `
+      FROM street_tags t
+      WHERE NOT EXISTS (SELECT 1 FROM imported_ways w WHERE w.osm_id = t.osm_id)
+      ${bbox ? 'AND ST_Intersects(t.geom, ST_MakeEnvelope($1, $2, $3, $4, 4326))' : ''}
+    `;
+    if (prune) {
+      summary.stale = (await client.query(`DELETE ${stale}`, bbox || [])).rowCount;
+    } else {
+      summary.stale = Number((await client.query(`SELECT COUNT(*) AS count ${stale}`, bbox || [])).rows[0].count);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+
+  console.log(`✅ street_tags: ${summary.inserted} added, ${summary.updated} updated, ${summary.unchanged} unchanged`);
+  if (summary.skipped > 0) {
+    console.log(`   ${summary.skipped} ways skipped because their nodes are missing from the extract`);
+  }
+  if (summary.outside > 0) {
+    console.log(`   ${summary.outside} ways outside the bounding box`);
+  }
+  if (summary.stale > 0) {
+    console.log(prune
+      ? `   ${summary.stale} streets no longer in the extract removed`
+      : `   ${summary.stale} streets no longer in the extract (run with --prune to remove them)`);
+  }
+}
+
+/**
+ * Read the extract path and flags from the command line
+ * @param {Array} args
+ * @returns {Object} {file, bbox: [west, south, east, north] | null, prune}
+ */
+function parseArgs(args) {
+  let file = null;
+  let bbox = null;
+  let city = null;
+  let prune = false;
+
+  args.forEach(arg => {
+    if (arg === '--prune') {
+      prune = true;
+    } else if (arg.startsWith('--city=')) {
+      city = arg.slice('--city='.length);
+      if (!CITIES[city]) {
+        console.error(`Unknown city: ${city} (one of ${Object.keys(CITIES).join(', ')})\n${USAGE}`);
+        process.exit(1);
+      }
+    } else if (arg.startsWith('--bbox=')) {
+      bbox = arg.slice('--bbox='.length).split(',').map(Number);
+      if (bbox.length !== 4 || bbox.some(value => !Number.isFinite(value))) {
+        console.error(`Invalid bounding box: ${arg}\n${USAGE}`);
+        process.exit(1);
+      }
+    } else {
+      file = path.resolve(arg);
+    }
+  });
+
+  if (city) {
+    const { west, south, east, north } = CITIES[city].bounds;
+    bbox = bbox || [west, south, east, north];
+  }
+
+  return { file: file || (city ? getCityExtract(city) : DEFAULT_EXTRACT), bbox, prune };
+}
+
+/**
+ * First pass: the ids of every node on a walkable way, sorted and unique
+ * @param {string} file
+ * @returns {Promise<Object>} Node store {ids, lng, lat, kerb} with coordinates still unset
+ */
+async function collectWayNodes(file) {
+  const refs = [];
+
+  for await (const way of readOsm(file, 'way')) {
+    if (isWalkableWay(way.tags)) refs.push(...way.refs);
+  }
+
+  const sorted = Float64Array.from(refs).sort();
+  let count = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    if (i === 0 || sorted[i] !== sorted[i - 1]) sorted[count++] = sorted[i];
+  }
+  const ids = sorted.slice(0, count);
+
+  return {
+    ids,
+    lng: new Float64Array(count).fill(NaN),
+    lat: new Float64Array(count).fill(NaN),
+    kerb: new Uint8Array(count) // 0 = no kerb, otherwise KERB_HEIGHTS index + 1
+  };
+}
+
+/**
+ * Second pass: coordinates and kerb heights of the nodes in the store
+ * @param {string} file
+ * @param {Object} nodes - Node store from collectWayNodes
+ */
+async function loadNodes(file, nodes) {
+  for await (const node of readOsm(file, 'node')) {
+    const index = findNode(nodes, node.id);
+    if (index === -1) continue;
+
+    nodes.lng[index] = node.lon;
+    nodes.lat[index] = node.lat;
+
+    const kerb = getNodeKerb(node.tags);
+    if (kerb) nodes.kerb[index] = KERB_HEIGHTS.indexOf(kerb) + 1;
+  }
+}
+
+/**
+ * Position of a node id in the store
+ * @param {Object} nodes - Node store
+ * @param {number} id
+ * @returns {number} Index, or -1 if the node isn't on a walkable way
+ */
+function findNode(nodes, id) {
+  let low = 0;
+  let high = nodes.ids.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (nodes.ids[mid] === id) return mid;
+    if (nodes.ids[mid] < id) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return -1;
+}
+
+function isInside([lng, lat], [west, south, east, north]) {
+  return lng >= west && lng <= east && lat >= south && lat <= north;
+}
+
+main().catch(error => {
+  console.error('OSM import failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+/**
+ * QuietRoute OSM Safe Place Importer
+ * Fills safe_places with the police stations, hospitals, pharmacies, 24-hour shops,
+ * metro stations and bus stops of a local OSM extract, with their parsed opening
+ * hours and the city they lie in. Safe to re-run: places are upserted by OSM id,
+ * places that have left the extract are removed from the cities it covers, and
+ * hand-added places (no osm_id) are never touched. With --city only that city's
+ * places are imported, from its extract by default
+ *
+ * Usage: npm run import:safe-places -- [path/to/extract.osm.pbf] [--city=id]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createPool } from '../db/pool.js';
+import { getSafePlaceType, buildSafePlaceRow, getWayCentre } from '../services/osmSafePlaces.js';
+import { CITIES } from '../../src/config.js';
+import { readOsm, getCityExtract, DEFAULT_EXTRACT } from './osmPbf.js';
+import { upsertSafePlaces } from './osmUpsert.js';
+
+const USAGE = 'Usage: npm run import:safe-places -- [path/to/extract.osm.pbf] [--city=id]';
+
+// Places per multi-row upsert
+const BATCH_SIZE = 500;
+
+async function main() {
+  const { file, city } = parseArgs(process.argv.slice(2));
+
+  if (!fs.existsSync(file)) {
+    console.error(`OSM extract not found: ${file}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  console.log(`Reading ${file}...`);
+  const rows = (await collectPlaces(file)).filter(row => !city || row.city === city);
+  const types = rows.reduce((counts, row) => ({ ...counts, [row.type]: (counts[row.type] || 0) + 1 }), {});
+  console.log(`  ${Object.entries(types).map(([type, count]) => `${count} ${type}`).join(', ') || 'no places'}`);
+
+  const pool = createPool();
+  const client = await pool.connect();
+  const summary = { inserted: 0, updated: 0, unchanged: 0, removed: 0 };
+
+  try {
+    await client.query('BEGIN');
+    await client.query('CREATE TEMP TABLE imported_places (osm_id VARCHAR(32) PRIMARY KEY) ON COMMIT DROP');
+
+    for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+      const batch = rows.slice(start, start + BATCH_SIZE);
+      const { inserted, updated } = await upsertSafePlaces(client, batch);
+      await client.query(
+        'INSERT INTO imported_places (osm_id) SELECT unnest($1::varchar[]) ON CONFLICT DO NOTHING',
+        [batch.map(row => row.osm_id)]
+      );
+      summary.inserted += inserted;
+      summary.updated += updated;
+      summary.unchanged += batch.length - inserted - updated;
+    }
+
+    // OSM places the extract no longer has (closed, or retagged), in the cities it
+    // covers: the one asked for, or those it had places in (and places in none)
+    const cities = city ? [city] : [...new Set(rows.map(row => row.city).filter(Boolean))];
+    summary.removed = (await client.query(`
+      DELETE FROM safe_places p
+      WHERE p.osm_id IS NOT NULL
+        AND (p.city = ANY($1::varchar[]) ${city ? '' : 'OR p.city IS NULL'})
+        AND NOT EXISTS (SELECT 1 FROM imported_places i WHERE i.osm_id = p.osm_id)
+    `, [cities])).rowCount;
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+
+  console.log(`✅ safe_places: ${summary.inserted} added, ${summary.updated} updated, ${summary.unchanged} unchanged`);
+  if (summary.removed > 0) {
+    console.log(`   ${summary.removed} places no longer in the extract removed`);
+  }
+}
+
+/**
+ * Read the extract path and city from the command line
+ * @param {Array} args
+ * @returns {Object} {file, city: CITIES key | null}
+ */
+function parseArgs(args) {
+  let file = null;
+  let city = null;
+
+  args.forEach(arg => {
+    if (arg.startsWith('--city=')) {
+      city = arg.slice('--city='.length);
+      if (!CITIES[city]) {
+        console.error(`Unknown city: ${city} (one of ${Object.keys(CITIES).join(', ')})\n${USAGE}`);
+        process.exit(1);
+      }
+    } else {
+      file = path.resolve(arg);
+    }
+  });
+
+  return { file: file || (city ? getCityExtract(city) : DEFAULT_EXTRACT), city };
+}
+
+/**
+ * Read the safe places of the extract: tagged nodes, and tagged ways placed at the
+ * centre of their nodes (found in a second pass). Multipolygon relations are not read
+ * @param {string} file
+ * @returns {Promise<Array>} Rows from buildSafePlaceRow
+ */
+async function collectPlaces(file) {
+  const rows = [];
+  const ways = [];
+  const wayNodes = new Map();
+
+  for await (const way of readOsm(file, 'way')) {
+    const type = getSafePlaceType(way.tags);
+    if (!type) continue;
+
+    ways.push({ way, type });
+    way.refs.forEach(ref => wayNodes.set(ref, null));
+  }
+
+  for await (const node of readOsm(file, 'node')) {
+    if (wayNodes.has(node.id)) wayNodes.set(node.id, [node.lon, node.lat]);
+
+    const type = getSafePlaceType(node.tags);
+    if (type) rows.push(buildSafePlaceRow(node, type, [node.lon, node.lat]));
+  }
+
+  ways.forEach(({ way, type }) => {
+    const centre = getWayCentre(way, ref => wayNodes.get(ref));
+    if (centre) rows.push(buildSafePlaceRow(way, type, centre));
+  });
+
+  return rows;
+}
+
+main().catch(error => {
+  console.error('Safe place import failed:', error);
+  process.exit(1);
+});
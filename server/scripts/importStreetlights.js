@@ -0,0 +1,178 @@
+/**
+ * QuietRoute Streetlight Importer
+ * Derives street lighting from a streetlight point dataset (e.g. a municipal pole
+ * inventory in CSV or GeoJSON): each light is snapped to the nearest street, and a
+ * street's lit level follows from its lights per 100 m. Streets keep the dataset
+ * as their lit_source, so import:osm leaves their lighting alone
+ *
+ * Usage: npm run import:streetlights -- path/to/lights.csv|.geojson [--source=name]
+ * CSV files need latitude and longitude columns (lat/latitude/y, lng/lon/longitude/x)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createPool } from '../db/pool.js';
+import { readCsvFile } from './csv.js';
+
+const USAGE = 'Usage: npm run import:streetlights -- path/to/lights.csv|.geojson [--source=name]';
+
+// Lights per multi-row INSERT
+const BATCH_SIZE = 1000;
+
+// Lights further than this from every street are left out
+const SNAP_DISTANCE = 25; // meters
+
+// Degrees that span at least a metre, for bounding-box prefilters the geometry
+// index can serve (a degree of longitude shrinks with latitude; doubling covers
+// every city below 60°)
+const DEGREES_PER_METER = 2 / 111320;
+
+// Lights per 100 m for a street to count as well lit (a light every 50 m); streets
+// with fewer lights are lit 'limited'
+const WELL_LIT_DENSITY = 2;
+
+// Short streets are measured as at least this long, so one light at a corner
+// doesn't make a 10 m stub look brightly lit
+const MIN_DENSITY_LENGTH = 50; // meters
+
+const LATITUDE_COLUMNS = ['lat', 'latitude', 'y'];
+const LONGITUDE_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+
+async function main() {
+  const { file, source } = parseArgs(process.argv.slice(2));
+
+  const lights = readLights(file);
+  console.log(`Read ${lights.length} streetlights from ${file}`);
+
+  const pool = createPool();
+  const client = await pool.connect();
+  let result;
+  let cleared;
+
+  try {
+    await client.query('BEGIN');
+    await client.query('CREATE TEMP TABLE streetlights (geom GEOMETRY(Point, 4326) NOT NULL) ON COMMIT DROP');
+
+    for (let start = 0; start < lights.length; start += BATCH_SIZE) {
+      const batch = lights.slice(start, start + BATCH_SIZE);
+      const values = batch.map((light, index) => `(ST_SetSRID(ST_MakePoint($${index * 2 + 1}, $${index * 2 + 2}), 4326))`);
+      await client.query(`INSERT INTO streetlights (geom) VALUES ${values.join(', ')}`, batch.flat());
+    }
+
+    // Replace what the previous import of this dataset derived
+    cleared = (await client.query(
+      'UPDATE street_tags SET lit = NULL, lit_source = NULL, lights_per_100m = NULL WHERE lit_source = $1 RETURNING id',
+      [source]
+    )).rows.map(row => row.id);
+
+    result = await client.query(`
+      WITH snapped AS (
+        SELECT s.id
+        FROM streetlights l
+        CROSS JOIN LATERAL (
+          SELECT t.id
+          FROM street_tags t
+          WHERE t.geom && ST_Expand(l.geom, $5)
+            AND ST_DWithin(t.geom::geography, l.geom::geography, $1)
+          ORDER BY t.geom <-> l.geom
+          LIMIT 1
+        ) s
+      ),
+      density AS (
+        SELECT t.id, COUNT(*) * 100 / GREATEST(ST_Length(t.geom::geography), $2) AS lights_per_100m
+        FROM snapped
+        JOIN street_tags t ON t.id = snapped.id
+        GROUP BY t.id, t.geom
+      )
+      UPDATE street_tags t
+      SET lit = CASE WHEN d.lights_per_100m >= $3 THEN 'yes' ELSE 'limited' END,
+          lit_source = $4,
+          lights_per_100m = d.lights_per_100m,
+          last_updated = NOW()
+      FROM density d
+      WHERE t.id = d.id
+      RETURNING t.id, t.lit
+    `, [SNAP_DISTANCE, MIN_DENSITY_LENGTH, WELL_LIT_DENSITY, source, SNAP_DISTANCE * DEGREES_PER_METER]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+
+  const wellLit = result.rows.filter(row => row.lit === 'yes').length;
+  console.log(`✅ street_tags: ${result.rowCount} streets lit from '${source}' ` +
+    `(${wellLit} well lit, ${result.rowCount - wellLit} limited)`);
+
+  const lit = new Set(result.rows.map(row => row.id));
+  const replaced = cleared.filter(id => !lit.has(id)).length;
+  if (replaced > 0) {
+    console.log(`   ${replaced} streets lit by the previous import have no lights now; run import:osm to restore their OSM lit tags`);
+  }
+}
+
+/**
+ * Read the dataset path and source name from the command line
+ * @param {Array} args
+ * @returns {Object} {file, source} - source defaults to the file name
+ */
+function parseArgs(args) {
+  const sourceArg = args.find(arg => arg.startsWith('--source='));
+  const fileArg = args.find(arg => !arg.startsWith('--'));
+
+  if (!fileArg || !fs.existsSync(fileArg)) {
+    console.error(`${fileArg ? `Streetlight dataset not found: ${fileArg}\n` : ''}${USAGE}`);
+    process.exit(1);
+  }
+
+  const file = path.resolve(fileArg);
+  return {
+    file,
+    source: sourceArg ? sourceArg.slice('--source='.length) : path.basename(file, path.extname(file))
+  };
+}
+
+/**
+ * Streetlight positions from a CSV or GeoJSON file
+ * @param {string} file
+ * @returns {Array} [[lng, lat]]
+ */
+function readLights(file) {
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.geojson' || extension === '.json') {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+
+    return features.flatMap(feature => {
+      const geometry = feature.geometry || feature;
+      if (geometry.type === 'Point') return [geometry.coordinates.slice(0, 2)];
+      if (geometry.type === 'MultiPoint') return geometry.coordinates.map(coordinate => coordinate.slice(0, 2));
+      return [];
+    });
+  }
+
+  const rows = readCsvFile(file);
+  if (rows.length === 0) return [];
+
+  const columns = Object.keys(rows[0]);
+  const find = (names) => columns.find(column => names.includes(column.toLowerCase()));
+  const latColumn = find(LATITUDE_COLUMNS);
+  const lngColumn = find(LONGITUDE_COLUMNS);
+
+  if (!latColumn || !lngColumn) {
+    throw new Error(`No latitude/longitude columns in ${file} (found: ${columns.join(', ')})`);
+  }
+
+  return rows
+    .map(row => [parseFloat(row[lngColumn]), parseFloat(row[latColumn])])
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+}
+
+main().catch(error => {
+  console.error('Streetlight import failed:', error);
+  process.exit(1);
+});
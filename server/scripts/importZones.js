@@ -0,0 +1,240 @@
+/**
+ * QuietRoute OSM Zone Importer
+ * Tags street_tags with the school, market and nightlife zones they lie in, and each
+ * street's busy hours from the opening_hours of the places around it. Run after
+ * import:osm; every run replaces the zones of the last one, or with --city only
+ * the zones within that city's bounds (and reads the city's extract by default)
+ *
+ * Usage: npm run import:zones -- [path/to/extract.osm.pbf] [--city=id]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createPool } from '../db/pool.js';
+import { ZONE_TYPES, CITIES } from '../../src/config.js';
+import { mergeSchedules } from '../../src/utils/openingHours.js';
+import { getZoneType, getZoneSchedule } from '../services/osmZones.js';
+import { readOsm, getCityExtract, DEFAULT_EXTRACT } from './osmPbf.js';
+
+const USAGE = 'Usage: npm run import:zones -- [path/to/extract.osm.pbf] [--city=id]';
+
+// Places per multi-row insert, and streets per update
+const BATCH_SIZE = 500;
+
+// Degrees that span at least a metre, for bounding-box prefilters the geometry
+// index can serve (a degree of longitude shrinks with latitude; doubling covers
+// every city below 60°)
+const DEGREES_PER_METER = 2 / 111320;
+
+async function main() {
+  const { file, city } = parseArgs(process.argv.slice(2));
+
+  if (!fs.existsSync(file)) {
+    console.error(`OSM extract not found: ${file}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  console.log(`Reading ${file}...`);
+  const places = await collectPlaces(file);
+  const counts = countBy(places, place => place.zone);
+  console.log(`  ${Object.keys(ZONE_TYPES).map(zone => `${counts[zone] || 0} ${zone}`).join(', ')} places`);
+
+  const pool = createPool();
+  const client = await pool.connect();
+  const streets = new Map();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      CREATE TEMP TABLE zone_places (
+        id INTEGER PRIMARY KEY,
+        geom GEOMETRY(Geometry, 4326) NOT NULL,
+        radius REAL NOT NULL
+      ) ON COMMIT DROP
+    `);
+
+    for (let start = 0; start < places.length; start += BATCH_SIZE) {
+      await insertPlaces(client, places.slice(start, start + BATCH_SIZE), start);
+    }
+
+    // Streets of the city only, so other cities keep their zones
+    const { west, south, east, north } = city ? CITIES[city].bounds : {};
+    const bounds = city ? [west, south, east, north] : [];
+    const inCity = city ? 'AND t.geom && ST_MakeEnvelope($1, $2, $3, $4, 4326)' : '';
+
+    const nearby = await client.query(`
+      SELECT t.id AS street_id, p.id AS place_id
+      FROM street_tags t
+      JOIN zone_places p
+        ON t.geom && ST_Expand(p.geom, p.radius * ${DEGREES_PER_METER})
+        AND ST_DWithin(t.geom::geography, p.geom::geography, p.radius)
+      WHERE TRUE ${inCity}
+    `, bounds);
+
+    // Each street's zones, with the schedules of the places that put it in them
+    nearby.rows.forEach(({ street_id: streetId, place_id: placeId }) => {
+      const { zone, schedule } = places[placeId];
+      if (!streets.has(streetId)) streets.set(streetId, {});
+      const zones = streets.get(streetId);
+      (zones[zone] = zones[zone] || []).push(schedule);
+    });
+
+    await client.query(`
+      UPDATE street_tags t
+      SET school_zone = FALSE, market_zone = FALSE, nightlife_zone = FALSE, zone_hours = NULL
+      WHERE (school_zone OR market_zone OR nightlife_zone OR zone_hours IS NOT NULL) ${inCity}
+    `, bounds);
+
+    const entries = [...streets.entries()];
+    for (let start = 0; start < entries.length; start += BATCH_SIZE) {
+      await updateStreets(client, entries.slice(start, start + BATCH_SIZE));
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+
+  const zoned = countBy([...streets.values()].flatMap(Object.keys), zone => zone);
+  console.log(`✅ street_tags: ${streets.size} streets in zones ` +
+    `(${Object.keys(ZONE_TYPES).map(zone => `${zoned[zone] || 0} ${zone}`).join(', ')})`);
+}
+
+/**
+ * Read the extract path and city from the command line
+ * @param {Array} args
+ * @returns {Object} {file, city: CITIES key | null}
+ */
+function parseArgs(args) {
+  let file = null;
+  let city = null;
+
+  args.forEach(arg => {
+    if (arg.startsWith('--city=')) {
+      city = arg.slice('--city='.length);
+      if (!CITIES[city]) {
+        console.error(`Unknown city: ${city} (one of ${Object.keys(CITIES).join(', ')})\n${USAGE}`);
+        process.exit(1);
+      }
+    } else {
+      file = path.resolve(arg);
+    }
+  });
+
+  return { file: file || (city ? getCityExtract(city) : DEFAULT_EXTRACT), city };
+}
+
+/**
+ * Read the zone places of the extract: tagged nodes, and tagged ways with their
+ * nodes looked up in a second pass. Multipolygon relations are not read
+ * @param {string} file
+ * @returns {Promise<Array>} [{zone, schedule, coordinates: [[lng, lat]]}]
+ */
+async function collectPlaces(file) {
+  const places = [];
+  const ways = [];
+  const wayNodes = new Map();
+
+  for await (const way of readOsm(file, 'way')) {
+    const zone = getZoneType(way.tags);
+    if (!zone) continue;
+
+    ways.push({ zone, schedule: getZoneSchedule(zone, way.tags), refs: way.refs });
+    way.refs.forEach(ref => wayNodes.set(ref, null));
+  }
+
+  for await (const node of readOsm(file, 'node')) {
+    if (wayNodes.has(node.id)) wayNodes.set(node.id, [node.lon, node.lat]);
+
+    const zone = getZoneType(node.tags);
+    if (zone) {
+      places.push({ zone, schedule: getZoneSchedule(zone, node.tags), coordinates: [[node.lon, node.lat]] });
+    }
+  }
+
+  ways.forEach(({ zone, schedule, refs }) => {
+    const coordinates = refs.map(ref => wayNodes.get(ref)).filter(Boolean);
+    if (coordinates.length > 0) places.push({ zone, schedule, coordinates });
+  });
+
+  return places;
+}
+
+/**
+ * Insert places into zone_places, keyed by their index in the places list
+ * @param {pg.PoolClient} client
+ * @param {Array} batch - Places from collectPlaces
+ * @param {number} offset - Index of the batch's first place
+ */
+async function insertPlaces(client, batch, offset) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const values = batch.map((place, index) =>
+    `(${param(offset + index)}, ST_GeomFromText(${param(toWkt(place.coordinates))}, 4326), ${param(ZONE_TYPES[place.zone].radius)})`
+  );
+
+  await client.query(`INSERT INTO zone_places (id, geom, radius) VALUES ${values.join(', ')}`, params);
+}
+
+/**
+ * Set the zone flags and busy hours of streets
+ * @param {pg.PoolClient} client
+ * @param {Array} entries - [streetId, {zone: [schedule]}]
+ */
+async function updateStreets(client, entries) {
+  const ids = [];
+  const flags = { school: [], market: [], nightlife: [] };
+  const hours = [];
+
+  entries.forEach(([id, zones]) => {
+    ids.push(id);
+    Object.keys(flags).forEach(zone => flags[zone].push(Boolean(zones[zone])));
+    hours.push(JSON.stringify(Object.fromEntries(
+      Object.entries(zones).map(([zone, schedules]) => [zone, mergeSchedules(schedules)])
+    )));
+  });
+
+  await client.query(`
+    UPDATE street_tags t
+    SET school_zone = z.school, market_zone = z.market, nightlife_zone = z.nightlife, zone_hours = z.hours
+    FROM (
+      SELECT unnest($1::int[]) AS id, unnest($2::boolean[]) AS school, unnest($3::boolean[]) AS market,
+             unnest($4::boolean[]) AS nightlife, unnest($5::jsonb[]) AS hours
+    ) z
+    WHERE t.id = z.id
+  `, [ids, flags.school, flags.market, flags.nightlife, hours]);
+}
+
+/**
+ * WKT for a place: a point for nodes, an area for closed ways, a line otherwise
+ * @param {Array} coordinates - [[lng, lat]]
+ * @returns {string}
+ */
+function toWkt(coordinates) {
+  const points = coordinates.map(([lng, lat]) => `${lng} ${lat}`);
+  const [first] = points;
+
+  if (points.length === 1) return `POINT(${first})`;
+  if (points.length >= 4 && first === points[points.length - 1]) return `POLYGON((${points.join(', ')}))`;
+  return `LINESTRING(${points.join(', ')})`;
+}
+
+function countBy(items, key) {
+  return items.reduce((counts, item) => {
+    counts[key(item)] = (counts[key(item)] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+main().catch(error => {
+  console.error('Zone import failed:', error);
+  process.exit(1);
+});
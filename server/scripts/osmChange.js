@@ -0,0 +1,88 @@
+/**
+ * QuietRoute OSM Change Reader
+ * Minimal osmChange (.osc / .osc.gz) parser for the change updater: nodes and ways
+ * with their tags; relations are skipped
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+
+const ACTIONS = ['create', 'modify', 'delete'];
+
+// An XML start, end or empty-element tag with its attributes
+const TAG_PATTERN = /<(\/?)([\w:]+)((?:\s+[\w:]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Read and parse a change file, gunzipping .gz files
+ * @param {string} file
+ * @returns {Object} See parseOsmChange
+ */
+export function readOsmChange(file) {
+  const data = fs.readFileSync(file);
+  return parseOsmChange((file.endsWith('.gz') ? zlib.gunzipSync(data) : data).toString('utf8'));
+}
+
+/**
+ * Parse osmChange XML. An element changed more than once keeps its last version
+ * @param {string} xml
+ * @returns {Object} {nodes: Map id -> {type, action, id, lat, lon, tags},
+ *   ways: Map id -> {type, action, id, refs, tags}}
+ */
+export function parseOsmChange(xml) {
+  const nodes = new Map();
+  const ways = new Map();
+  let action = null;
+  let element = null;
+
+  for (const [, closing, name, attributeText, empty] of xml.matchAll(TAG_PATTERN)) {
+    if (ACTIONS.includes(name)) {
+      action = closing ? null : name;
+      continue;
+    }
+
+    if (closing) {
+      if (element && name === element.type) element = null;
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeText);
+
+    if (name === 'node' || name === 'way' || name === 'relation') {
+      const id = Number(attributes.id);
+      const item = name === 'node'
+        ? { type: name, action, id, lat: Number(attributes.lat), lon: Number(attributes.lon), tags: {} }
+        : { type: name, action, id, refs: [], tags: {} };
+
+      if (name === 'node') nodes.set(id, item);
+      if (name === 'way') ways.set(id, item);
+      element = empty ? null : item;
+    } else if (name === 'tag' && element) {
+      element.tags[attributes.k] = attributes.v;
+    } else if (name === 'nd' && element && element.type === 'way') {
+      element.refs.push(Number(attributes.ref));
+    }
+  }
+
+  return { nodes, ways };
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+}
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
@@ -0,0 +1,40 @@
+/**
+ * QuietRoute OSM PBF Reader
+ * Streams the elements of an OSM extract for the import scripts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import parseOsm from 'osm-pbf-parser';
+import { DEFAULT_CITY } from '../../src/config.js';
+import { getCity } from '../../src/utils/cities.js';
+
+const OSRM_DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../osrm-data');
+
+/**
+ * The extract the osrm-prepare container downloads for a city
+ * @param {string} city - CITIES key
+ * @returns {string} osrm-data/<dataset>.osm.pbf
+ */
+export function getCityExtract(city) {
+  return path.join(OSRM_DATA_DIR, `${getCity(city).dataset}.osm.pbf`);
+}
+
+export const DEFAULT_EXTRACT = getCityExtract(DEFAULT_CITY);
+
+/**
+ * Stream the elements of one type from a PBF extract
+ * @param {string} file
+ * @param {string} type - 'node' | 'way' | 'relation'
+ */
+export async function* readOsm(file, type) {
+  const parser = fs.createReadStream(file).pipe(parseOsm());
+
+  for await (const items of new Readable({ objectMode: true }).wrap(parser)) {
+    for (const item of items) {
+      if (item.type === type) yield item;
+    }
+  }
+}
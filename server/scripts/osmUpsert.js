@@ -0,0 +1,110 @@
+/**
+ * QuietRoute OSM Upserts
+ * Writes OSM-derived rows into street_tags and safe_places for the importers and
+ * the change updater. Identical rows are left alone, so last_updated only moves
+ * when OSM data actually changed
+ */
+
+// Lighting derived from a streetlight dataset (import:streetlights) outranks the OSM lit tag
+const OSM_LIT = 'CASE WHEN street_tags.lit_source IS NULL THEN EXCLUDED.lit ELSE street_tags.lit END';
+
+// Measured noise outranks the estimate from road class
+const OSM_NOISE_LEVEL = 'CASE WHEN street_tags.measured_noise_db IS NULL THEN EXCLUDED.noise_level ELSE street_tags.noise_level END';
+
+/**
+ * Insert new streets and update changed ones. Streets lit from a streetlight
+ * dataset keep that lighting, and measured streets their noise level
+ * @param {pg.PoolClient} client
+ * @param {Array} rows - Rows from buildStreetRow
+ * @returns {Promise<Object>} {inserted, updated}
+ */
+export async function upsertStreets(client, rows) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const values = rows.map(row => {
+    const line = `LINESTRING(${row.coordinates.map(([lng, lat]) => `${lng} ${lat}`).join(', ')})`;
+    return `(${param(row.osm_id)}, ${param(row.node_ids)}::bigint[], ST_GeomFromText(${param(line)}, 4326), ` +
+      `${param(row.highway)}, ${param(row.name)}, ${param(row.lit)}, ${param(row.surface)}, ` +
+      `${param(row.sidewalk)}, ${param(row.kerb)}, ${param(row.noise_level)}, ${param(row.noise_level)})`;
+  });
+
+  const result = await client.query(`
+    INSERT INTO street_tags (osm_id, node_ids, geom, highway, name, lit, surface, sidewalk, kerb, noise_level,
+                             estimated_noise_level)
+    VALUES ${values.join(', ')}
+    ON CONFLICT (osm_id) DO UPDATE SET
+      node_ids = EXCLUDED.node_ids,
+      geom = EXCLUDED.geom,
+      highway = EXCLUDED.highway,
+      name = EXCLUDED.name,
+      lit = ${OSM_LIT},
+      surface = EXCLUDED.surface,
+      sidewalk = EXCLUDED.sidewalk,
+      kerb = EXCLUDED.kerb,
+      noise_level = ${OSM_NOISE_LEVEL},
+      estimated_noise_level = EXCLUDED.estimated_noise_level,
+      last_updated = NOW()
+    WHERE (street_tags.highway, street_tags.name, street_tags.lit, street_tags.surface,
+           street_tags.sidewalk, street_tags.kerb, street_tags.noise_level,
+           street_tags.estimated_noise_level, street_tags.node_ids)
+        IS DISTINCT FROM (EXCLUDED.highway, EXCLUDED.name, ${OSM_LIT}, EXCLUDED.surface,
+           EXCLUDED.sidewalk, EXCLUDED.kerb, ${OSM_NOISE_LEVEL},
+           EXCLUDED.estimated_noise_level, EXCLUDED.node_ids)
+      OR NOT ST_OrderingEquals(street_tags.geom, EXCLUDED.geom)
+    RETURNING (xmax = 0) AS inserted
+  `, params);
+
+  const inserted = result.rows.filter(row => row.inserted).length;
+  return { inserted, updated: result.rows.length - inserted };
+}
+
+/**
+ * Insert new safe places and update changed ones
+ * @param {pg.PoolClient} client
+ * @param {Array} rows - Rows from buildSafePlaceRow
+ * @returns {Promise<Object>} {inserted, updated}
+ */
+export async function upsertSafePlaces(client, rows) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const values = rows.map(row => {
+    const [lng, lat] = row.location;
+    return `(${param(row.osm_id)}, ST_SetSRID(ST_MakePoint(${param(lng)}, ${param(lat)}), 4326)::geography, ` +
+      `${param(row.name)}, ${param(row.type)}, ${param(row.address)}, ${param(row.phone)}, ${param(row.opening_hours)}, ` +
+      `${param(row.schedule && JSON.stringify(row.schedule))}::jsonb, ${param(row.is_24_hours)}, ${param(row.lit)}, ` +
+      `${param(row.city)})`;
+  });
+
+  const result = await client.query(`
+    INSERT INTO safe_places (osm_id, location, name, type, address, phone, opening_hours, schedule, is_24_hours, lit, city)
+    VALUES ${values.join(', ')}
+    ON CONFLICT (osm_id) DO UPDATE SET
+      location = EXCLUDED.location,
+      name = EXCLUDED.name,
+      type = EXCLUDED.type,
+      address = EXCLUDED.address,
+      phone = EXCLUDED.phone,
+      opening_hours = EXCLUDED.opening_hours,
+      schedule = EXCLUDED.schedule,
+      is_24_hours = EXCLUDED.is_24_hours,
+      lit = EXCLUDED.lit,
+      city = EXCLUDED.city
+    WHERE (safe_places.name, safe_places.type, safe_places.address, safe_places.phone,
+           safe_places.opening_hours, safe_places.schedule, safe_places.is_24_hours, safe_places.lit, safe_places.city)
+        IS DISTINCT FROM (EXCLUDED.name, EXCLUDED.type, EXCLUDED.address, EXCLUDED.phone,
+           EXCLUDED.opening_hours, EXCLUDED.schedule, EXCLUDED.is_24_hours, EXCLUDED.lit, EXCLUDED.city)
+      OR NOT ST_Equals(safe_places.location::geometry, EXCLUDED.location::geometry)
+    RETURNING (xmax = 0) AS inserted
+  `, params);
+
+  const inserted = result.rows.filter(row => row.inserted).length;
+  return { inserted, updated: result.rows.length - inserted };
+}
@@ -0,0 +1,355 @@
+/**
+ * QuietRoute OSM Change Updater
+ * Applies OSM change files (.osc / .osc.gz, e.g. minutely or daily diffs) to
+ * street_tags and safe_places without re-reading the whole extract. Only the ways
+ * and places a file touches are rewritten, so derived fields such as noise_level
+ * are recomputed for those alone. Files are applied in sequence order, one
+ * transaction each, and the last applied sequence number is kept in osm_replication
+ *
+ * Usage: npm run update:osm -- [path/to/changes] [--sequence=N]
+ * Changes default to osm-changes/, laid out as the replication server does
+ * (000/123/456.osc.gz is sequence 123456). --sequence=N marks the data as current
+ * to file N without applying anything: use it after a full import with the
+ * extract's sequence number
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPool } from '../db/pool.js';
+import { isWalkableWay, getNodeKerb, buildStreetRow, highestKerb } from '../services/osmStreets.js';
+import { getSafePlaceType, buildSafePlaceRow, getWayCentre } from '../services/osmSafePlaces.js';
+import { readOsmChange } from './osmChange.js';
+import { upsertStreets, upsertSafePlaces } from './osmUpsert.js';
+
+const USAGE = 'Usage: npm run update:osm -- [path/to/changes] [--sequence=N]';
+
+const DEFAULT_CHANGES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../osm-changes');
+
+// Rows per multi-row upsert
+const BATCH_SIZE = 500;
+
+async function main() {
+  const { dir, sequence } = parseArgs(process.argv.slice(2));
+
+  if (sequence === null && !fs.existsSync(dir)) {
+    console.error(`Change directory not found: ${dir}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const pool = createPool();
+  const client = await pool.connect();
+
+  try {
+    if (sequence !== null) {
+      await saveSequence(client, sequence);
+      console.log(`✅ Marked OSM data as current to change ${sequence}`);
+      return;
+    }
+
+    const state = await client.query('SELECT sequence_number FROM osm_replication');
+    const applied = state.rows.length > 0 ? Number(state.rows[0].sequence_number) : null;
+    if (applied === null) {
+      console.log('No change applied yet: applying every file (use --sequence=N to start after an extract)');
+    }
+
+    const files = listChangeFiles(dir).filter(file => applied === null || file.sequence > applied);
+    if (files.length === 0) {
+      console.log(`✅ Up to date (change ${applied})`);
+      return;
+    }
+
+    for (const file of files) {
+      const change = readOsmChange(file.path);
+
+      await client.query('BEGIN');
+      try {
+        const summary = await applyChange(client, change);
+        await saveSequence(client, file.sequence);
+        await client.query('COMMIT');
+        printSummary(file.sequence, summary);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+/**
+ * Read the change directory and flags from the command line
+ * @param {Array} args
+ * @returns {Object} {dir, sequence: number | null}
+ */
+function parseArgs(args) {
+  let dir = DEFAULT_CHANGES_DIR;
+  let sequence = null;
+
+  args.forEach(arg => {
+    if (arg.startsWith('--sequence=')) {
+      sequence = Number(arg.slice('--sequence='.length));
+      if (!Number.isInteger(sequence) || sequence < 0) {
+        console.error(`Invalid sequence number: ${arg}\n${USAGE}`);
+        process.exit(1);
+      }
+    } else {
+      dir = path.resolve(arg);
+    }
+  });
+
+  return { dir, sequence };
+}
+
+/**
+ * Change files under a directory, in sequence order. The sequence number is the
+ * digits of the path below the directory, so 000/123/456.osc.gz is 123456
+ * @param {string} dir
+ * @returns {Array} [{path, sequence}]
+ */
+function listChangeFiles(dir) {
+  const files = [];
+
+  const visit = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        visit(entryPath);
+        return;
+      }
+
+      const digits = path.relative(dir, entryPath).replace(/\.osc(\.gz)?$/, '').split(path.sep).join('');
+      if (/\.osc(\.gz)?$/.test(entry.name) && /^\d+$/.test(digits)) {
+        files.push({ path: entryPath, sequence: Number(digits) });
+      }
+    });
+  };
+
+  visit(dir);
+  return files.sort((a, b) => a.sequence - b.sequence);
+}
+
+async function saveSequence(client, sequence) {
+  await client.query(`
+    INSERT INTO osm_replication (sequence_number) VALUES ($1)
+    ON CONFLICT (id) DO UPDATE SET sequence_number = EXCLUDED.sequence_number, applied_at = NOW()
+  `, [sequence]);
+}
+
+/**
+ * Apply one change to streets and safe places
+ * @param {pg.PoolClient} client
+ * @param {Object} change - From readOsmChange
+ * @returns {Promise<Object>} Counts {streets, places}
+ */
+async function applyChange(client, { nodes, ways }) {
+  const summary = {
+    streets: { inserted: 0, updated: 0, removed: 0, moved: 0, skipped: 0 },
+    places: { inserted: 0, updated: 0, removed: 0, skipped: 0 }
+  };
+
+  // A changed way lists every node, but only changed nodes come with it: the
+  // others are looked up on the streets already stored
+  const missing = new Set();
+  ways.forEach(way => {
+    if (way.action !== 'delete') way.refs.forEach(ref => !nodes.has(ref) && missing.add(ref));
+  });
+  const stored = await loadStoredNodes(client, [...missing]);
+
+  const locate = (ref) => {
+    const node = nodes.get(ref);
+    if (node) return node.action === 'delete' ? null : [node.lon, node.lat];
+    return stored.get(ref) || null;
+  };
+
+  await applyStreetChanges(client, nodes, ways, locate, summary.streets);
+  await applyPlaceChanges(client, nodes, ways, locate, summary.places);
+
+  return summary;
+}
+
+/**
+ * Coordinates of nodes on stored streets
+ * @param {pg.PoolClient} client
+ * @param {Array} ids - Node ids
+ * @returns {Promise<Map>} Node id -> [lng, lat]
+ */
+async function loadStoredNodes(client, ids) {
+  if (ids.length === 0) return new Map();
+
+  const result = await client.query(`
+    SELECT DISTINCT ON (n.id)
+      n.id,
+      ST_X(ST_PointN(t.geom, n.index::int)) AS lng,
+      ST_Y(ST_PointN(t.geom, n.index::int)) AS lat
+    FROM street_tags t
+    CROSS JOIN LATERAL unnest(t.node_ids) WITH ORDINALITY AS n(id, index)
+    WHERE t.node_ids && $1::bigint[] AND n.id = ANY($1::bigint[])
+  `, [ids]);
+
+  return new Map(result.rows.map(row => [Number(row.id), [row.lng, row.lat]]));
+}
+
+/**
+ * Upsert changed walkable ways, remove deleted or no longer walkable ones, and
+ * move the streets that run through moved nodes
+ */
+async function applyStreetChanges(client, nodes, ways, locate, summary) {
+  const rows = [];
+  const removed = [];
+
+  // Kerbs are only known for nodes in the change, so a street keeps the kerb
+  // height it had unless a changed node raises it
+  const previous = await client.query(
+    'SELECT osm_id, kerb FROM street_tags WHERE osm_id = ANY($1::bigint[])',
+    [[...ways.keys()]]
+  );
+  const previousKerbs = new Map(previous.rows.map(row => [Number(row.osm_id), row.kerb]));
+
+  ways.forEach(way => {
+    if (way.action === 'delete' || !isWalkableWay(way.tags)) {
+      removed.push(way.id);
+      return;
+    }
+
+    // A street whose nodes are neither in the change nor stored (e.g. a path
+    // newly tagged walkable) needs a full import
+    const coordinates = way.refs.map(locate);
+    if (way.refs.length < 2 || coordinates.some(coordinate => !coordinate)) {
+      summary.skipped++;
+      return;
+    }
+
+    const row = buildStreetRow(way, way.refs.map((ref, index) => ({
+      id: ref,
+      lng: coordinates[index][0],
+      lat: coordinates[index][1],
+      kerb: nodes.has(ref) ? getNodeKerb(nodes.get(ref).tags) : null
+    })));
+    row.kerb = highestKerb([row.kerb, previousKerbs.get(way.id) || null]);
+    rows.push(row);
+  });
+
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const { inserted, updated } = await upsertStreets(client, rows.slice(start, start + BATCH_SIZE));
+    summary.inserted += inserted;
+    summary.updated += updated;
+  }
+
+  if (removed.length > 0) {
+    summary.removed = (await client.query(
+      'DELETE FROM street_tags WHERE osm_id = ANY($1::bigint[])',
+      [removed]
+    )).rowCount;
+  }
+
+  summary.moved = await moveStreetNodes(client, nodes, new Set(ways.keys()));
+}
+
+/**
+ * Redraw stored streets through nodes the change moved or re-kerbed, when the
+ * change doesn't include the street itself
+ * @returns {Promise<number>} Streets updated
+ */
+async function moveStreetNodes(client, nodes, changedWays) {
+  const modified = [...nodes.values()].filter(node => node.action === 'modify');
+  if (modified.length === 0) return 0;
+
+  const result = await client.query(`
+    SELECT osm_id, node_ids, kerb, ST_AsGeoJSON(geom)::json -> 'coordinates' AS coordinates
+    FROM street_tags
+    WHERE node_ids && $1::bigint[]
+  `, [modified.map(node => node.id)]);
+
+  const updates = result.rows
+    .filter(street => !changedWays.has(Number(street.osm_id)))
+    .map(street => {
+      const ids = street.node_ids.map(Number);
+      const coordinates = ids.map((id, index) =>
+        nodes.has(id) ? [nodes.get(id).lon, nodes.get(id).lat] : street.coordinates[index]
+      );
+      const kerbs = ids.filter(id => nodes.has(id)).map(id => getNodeKerb(nodes.get(id).tags));
+
+      return {
+        osm_id: street.osm_id,
+        line: `LINESTRING(${coordinates.map(([lng, lat]) => `${lng} ${lat}`).join(', ')})`,
+        kerb: highestKerb([street.kerb, ...kerbs])
+      };
+    });
+
+  if (updates.length === 0) return 0;
+
+  return (await client.query(`
+    UPDATE street_tags t SET
+      geom = ST_GeomFromText(u.line, 4326),
+      kerb = u.kerb,
+      last_updated = NOW()
+    FROM unnest($1::bigint[], $2::text[], $3::varchar[]) AS u(osm_id, line, kerb)
+    WHERE t.osm_id = u.osm_id
+      AND (NOT ST_OrderingEquals(t.geom, ST_GeomFromText(u.line, 4326)) OR t.kerb IS DISTINCT FROM u.kerb)
+  `, [updates.map(u => u.osm_id), updates.map(u => u.line), updates.map(u => u.kerb)])).rowCount;
+}
+
+/**
+ * Upsert changed safe places and remove deleted or retagged ones. Hand-added
+ * places (no osm_id) are never touched
+ */
+async function applyPlaceChanges(client, nodes, ways, locate, summary) {
+  const rows = [];
+  const removed = [];
+
+  nodes.forEach(node => {
+    const type = node.action === 'delete' ? null : getSafePlaceType(node.tags);
+    if (type) {
+      rows.push(buildSafePlaceRow(node, type, [node.lon, node.lat]));
+    } else {
+      removed.push(`node/${node.id}`);
+    }
+  });
+
+  ways.forEach(way => {
+    const type = way.action === 'delete' ? null : getSafePlaceType(way.tags);
+    if (!type) {
+      removed.push(`way/${way.id}`);
+      return;
+    }
+
+    // A centre from some of the nodes would move the place; keep where it is until they're all known
+    const centre = getWayCentre(way, locate, { complete: true });
+    if (centre) {
+      rows.push(buildSafePlaceRow(way, type, centre));
+    } else {
+      summary.skipped++;
+    }
+  });
+
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const { inserted, updated } = await upsertSafePlaces(client, rows.slice(start, start + BATCH_SIZE));
+    summary.inserted += inserted;
+    summary.updated += updated;
+  }
+
+  if (removed.length > 0) {
+    summary.removed = (await client.query(
+      'DELETE FROM safe_places WHERE osm_id = ANY($1::varchar[])',
+      [removed]
+    )).rowCount;
+  }
+}
+
+function printSummary(sequence, { streets, places }) {
+  console.log(`✅ ${sequence}: street_tags ${streets.inserted} added, ${streets.updated} updated, ` +
+    `${streets.moved} moved, ${streets.removed} removed; ` +
+    `safe_places ${places.inserted} added, ${places.updated} updated, ${places.removed} removed`);
+  if (streets.skipped + places.skipped > 0) {
+    console.log(`   ${streets.skipped + places.skipped} ways skipped because their nodes are unknown ` +
+      '(run import:osm / import:safe-places to pick them up)');
+  }
+}
+
+main().catch(error => {
+  console.error('OSM update failed:', error);
+  process.exit(1);
+});
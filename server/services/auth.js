@@ -0,0 +1,72 @@
+/**
+ * QuietRoute Auth
+ * Password hashing and session / sign-in link tokens. Only hashes are stored:
+ * passwords with scrypt, tokens with SHA-256 (they are random, so a fast hash is enough)
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt output length and salt size (bytes)
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Session and sign-in link tokens (bytes of randomness)
+const TOKEN_LENGTH = 32;
+
+// Stand-in hash checked for unknown emails, so a failed login takes as long either way
+const DUMMY_HASH = `scrypt$${'0'.repeat(SALT_LENGTH * 2)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} 'scrypt$<salt hex>$<hash hex>'
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string|null} stored - From hashPassword; null for accounts without a password
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || DUMMY_HASH).split('$');
+  if (scheme !== 'scrypt') return false;
+
+  const hash = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex')) && Boolean(stored);
+}
+
+/**
+ * New random token for a session or sign-in link
+ * @returns {string} URL-safe token, given to the user once
+ */
+export function createToken() {
+  return crypto.randomBytes(TOKEN_LENGTH).toString('base64url');
+}
+
+/**
+ * Hash of a token, as stored in the database
+ * @param {string} token
+ * @returns {string} SHA-256 hex
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Normalise and check an email address
+ * @param {string} email
+ * @returns {string|null} Lower-cased address, or null if it doesn't look like one
+ */
+export function normaliseEmail(email) {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) && value.length <= 255 ? value : null;
+}
@@ -0,0 +1,466 @@
+/**
+ * QuietRoute Graph Router
+ * Weighted A* routing over the street_tags network using the shared cost function
+ */
+
+import { calculateEdgeCost, haversineDistance } from '../../src/utils/costFunction.js';
+import { getTravelMode } from '../../src/utils/travelMode.js';
+import { mergeSegments } from './streetSegments.js';
+
+// Lowest multiplier calculateEdgeCost can apply (noise 0.5 x darkness 0.5),
+// keeps the A* heuristic admissible
+const MIN_COST_FACTOR = 0.25;
+
+// Origin/destination further than this from any street are rejected
+const MAX_SNAP_DISTANCE = 250; // meters
+
+// A change of direction sharper than this starts a new step even on the same
+// street, so runs of unnamed footways still get their turns
+const STEP_TURN_ANGLE = 40; // degrees
+
+/**
+ * Get the bounding box of streets to load for a route
+ * @param {Array} points - [{lat, lng}]
+ * @returns {Object} {north, south, east, west}
+ */
+export function getSearchBounds(points) {
+  const lats = points.map(p => p.lat);
+  const lngs = points.map(p => p.lng);
+
+  const latMargin = Math.max(0.01, (Math.max(...lats) - Math.min(...lats)) * 0.25);
+  const lngMargin = Math.max(0.01, (Math.max(...lngs) - Math.min(...lngs)) * 0.25);
+
+  return {
+    north: Math.max(...lats) + latMargin,
+    south: Math.min(...lats) - latMargin,
+    east: Math.max(...lngs) + lngMargin,
+    west: Math.min(...lngs) - lngMargin
+  };
+}
+
+/**
+ * Build an undirected street graph for a travel mode from street rows
+ * @param {Array} streets - [{osm_id, highway, lit, ..., coordinates}]
+ * @param {string} mode - 'walking' | 'cycling' | 'wheelchair'
+ * @returns {Object} Graph {nodes: Map<key, {key, coord, edges}>}
+ */
+export function buildGraph(streets, mode) {
+  const { excludedHighways } = getTravelMode(mode);
+  const nodes = new Map();
+
+  const addNode = (coord) => {
+    const key = nodeKey(coord);
+    if (!nodes.has(key)) {
+      nodes.set(key, { key, coord, edges: [] });
+    }
+    return nodes.get(key);
+  };
+
+  streets.forEach(street => {
+    const { coordinates, ...attributes } = street;
+
+    if (excludedHighways.includes(attributes.highway)) return;
+    if (!coordinates || coordinates.length < 2) return;
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+      const from = addNode(coordinates[i]);
+      const to = addNode(coordinates[i + 1]);
+      const distance = haversineDistance(from.coord[1], from.coord[0], to.coord[1], to.coord[0]);
+
+      if (distance === 0) continue;
+
+      from.edges.push({ to: to.key, distance, attributes });
+      to.edges.push({ to: from.key, distance, attributes });
+    }
+  });
+
+  return { nodes };
+}
+
+/**
+ * Find the cheapest path between two points with A*
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {Object} options - {preferences, reports, departAt}
+ * @returns {Array|null} Ordered path pieces, or null if unreachable
+ */
+export function findRoute(graph, origin, destination, options = {}) {
+  const start = findNearestNode(graph, origin);
+  const goal = findNearestNode(graph, destination);
+
+  if (!start || !goal) return null;
+
+  const departAt = options.departAt || new Date();
+  const { speed } = getTravelMode(options.preferences?.mode);
+  const costs = new Map([[start.key, 0]]);
+  const walked = new Map([[start.key, 0]]); // meters travelled along the best path
+  const previous = new Map();
+  const visited = new Set();
+  const queue = new MinHeap();
+
+  queue.push(start.key, estimateCost(start, goal));
+
+  while (queue.size > 0) {
+    const key = queue.pop();
+
+    if (key === goal.key) {
+      return buildPath(graph, previous, start.key, goal.key);
+    }
+    if (visited.has(key)) continue;
+    visited.add(key);
+
+    const node = graph.nodes.get(key);
+
+    node.edges.forEach(edge => {
+      if (visited.has(edge.to)) return;
+
+      const next = graph.nodes.get(edge.to);
+      const reachedAt = new Date(departAt.getTime() + (walked.get(key) / speed) * 1000);
+      const cost = costs.get(key) + getEdgeCost(node, next, edge, options, reachedAt);
+
+      if (!Number.isFinite(cost)) return;
+
+      if (cost < (costs.get(edge.to) ?? Infinity)) {
+        costs.set(edge.to, cost);
+        walked.set(edge.to, walked.get(key) + edge.distance);
+        previous.set(edge.to, { from: key, edge });
+        queue.push(edge.to, cost + estimateCost(next, goal));
+      }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Find the cheapest path through a list of stops, one leg at a time
+ * Each leg departs when the previous one is expected to arrive
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Array} stops - Ordered stops [{lat, lng}], at least origin and destination
+ * @param {Object} options - {preferences, reports, departAt}
+ * @returns {Array|null} Path pieces per leg, or null if any leg is unreachable
+ */
+export function findMultiStopRoute(graph, stops, options = {}) {
+  const legs = [];
+  const { speed } = getTravelMode(options.preferences?.mode);
+  let departAt = options.departAt || new Date();
+
+  for (let i = 0; i < stops.length - 1; i++) {
+    const path = findRoute(graph, stops[i], stops[i + 1], { ...options, departAt });
+
+    if (!path || path.length === 0) return null;
+
+    legs.push(path);
+    departAt = new Date(departAt.getTime() + (getPathDistance(path) / speed) * 1000);
+  }
+
+  return legs;
+}
+
+/**
+ * Find every node reachable from a point within a cost budget with Dijkstra
+ * Costs come from the same edge cost as routing, so a budget in meters is the
+ * reach on neutral streets; paths longer than maxDistance are not followed
+ * @param {Object} graph - Graph from buildGraph
+ * @param {Object} origin - {lat, lng}
+ * @param {number} budget - Largest weighted cost to reach
+ * @param {Object} options - {preferences, reports, departAt, maxDistance}
+ * @returns {Array} Reached nodes [{coord, cost, distance}], empty if origin is off the network
+ */
+export function findReachable(graph, origin, budget, options = {}) {
+  const start = findNearestNode(graph, origin);
+
+  if (!start) return [];
+
+  const departAt = options.departAt || new Date();
+  const maxDistance = options.maxDistance ?? Infinity;
+  const { speed } = getTravelMode(options.preferences?.mode);
+  const costs = new Map([[start.key, 0]]);
+  const walked = new Map([[start.key, 0]]);
+  const visited = new Set();
+  const queue = new MinHeap();
+
+  queue.push(start.key, 0);
+
+  while (queue.size > 0) {
+    const key = queue.pop();
+
+    if (visited.has(key)) continue;
+    visited.add(key);
+
+    const node = graph.nodes.get(key);
+
+    node.edges.forEach(edge => {
+      if (visited.has(edge.to)) return;
+
+      const next = graph.nodes.get(edge.to);
+      const distance = walked.get(key) + edge.distance;
+      const reachedAt = new Date(departAt.getTime() + (walked.get(key) / speed) * 1000);
+      const cost = costs.get(key) + getEdgeCost(node, next, edge, options, reachedAt);
+
+      if (!(cost <= budget) || distance > maxDistance) return;
+
+      if (cost < (costs.get(edge.to) ?? Infinity)) {
+        costs.set(edge.to, cost);
+        walked.set(edge.to, distance);
+        queue.push(edge.to, cost);
+      }
+    });
+  }
+
+  return [...visited].map(key => ({
+    coord: graph.nodes.get(key).coord,
+    cost: costs.get(key),
+    distance: walked.get(key)
+  }));
+}
+
+/**
+ * Turn leg paths into the route shape produced by getRoutes on the frontend
+ * @param {Array} legPaths - Path pieces per leg from findMultiStopRoute
+ * @param {string} mode - Travel mode whose speed sets the durations
+ * @returns {Object} {geometry, distance, duration, legs, segments}
+ */
+export function buildRoute(legPaths, mode) {
+  const { speed } = getTravelMode(mode);
+  const path = legPaths.flat();
+  const coordinates = [path[0].coordinates[0], ...path.map(piece => piece.coordinates[1])];
+  const distance = getPathDistance(path);
+
+  return {
+    geometry: { type: 'LineString', coordinates },
+    distance,
+    duration: distance / speed,
+    legs: legPaths.map(legPath => {
+      const legDistance = getPathDistance(legPath);
+      return {
+        distance: legDistance,
+        duration: legDistance / speed,
+        steps: buildSteps(mergeSegments(legPath), speed)
+      };
+    }),
+    segments: mergeSegments(path)
+  };
+}
+
+function getPathDistance(path) {
+  return path.reduce((sum, piece) => sum + piece.distance, 0);
+}
+
+/**
+ * Weighted cost of travelling along one graph edge, evaluated at the time it is reached
+ */
+function getEdgeCost(from, to, edge, options, time) {
+  return calculateEdgeCost(
+    {
+      ...edge.attributes,
+      distance: edge.distance,
+      coordinates: [from.coord, to.coord]
+    },
+    options.preferences,
+    options.reports,
+    time
+  );
+}
+
+/**
+ * Lower bound on the remaining cost from a node to the goal
+ */
+function estimateCost(node, goal) {
+  return haversineDistance(node.coord[1], node.coord[0], goal.coord[1], goal.coord[0]) * MIN_COST_FACTOR;
+}
+
+/**
+ * Find the graph node closest to a point
+ * @param {Object} graph
+ * @param {Object} point - {lat, lng}
+ * @returns {Object|null} Node, or null if nothing within MAX_SNAP_DISTANCE
+ */
+function findNearestNode(graph, point) {
+  let nearest = null;
+  let nearestDistance = MAX_SNAP_DISTANCE;
+
+  graph.nodes.forEach(node => {
+    const distance = haversineDistance(point.lat, point.lng, node.coord[1], node.coord[0]);
+    if (distance < nearestDistance) {
+      nearest = node;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Walk back through the predecessor map to collect path pieces
+ */
+function buildPath(graph, previous, startKey, goalKey) {
+  const path = [];
+  let key = goalKey;
+
+  while (key !== startKey) {
+    const { from, edge } = previous.get(key);
+    path.unshift({
+      ...edge.attributes,
+      distance: edge.distance,
+      coordinates: [graph.nodes.get(from).coord, graph.nodes.get(key).coord]
+    });
+    key = from;
+  }
+
+  return path;
+}
+
+/**
+ * Build OSRM-style steps, one per stretch of the route along one street without a turn
+ * @param {Array} segments - Merged route segments
+ * @param {number} speed - Travel speed (m/s)
+ * @returns {Array} Steps with maneuver {type, modifier, location} (departures add bearing_after)
+ */
+function buildSteps(segments, speed) {
+  const stretches = [];
+
+  segments.forEach(segment => {
+    const last = stretches[stretches.length - 1];
+    const name = segment.name || '';
+
+    if (last && last.name === name &&
+      Math.abs(getTurnAngle(last.coordinates, segment.coordinates)) <= STEP_TURN_ANGLE) {
+      last.distance += segment.distance;
+      last.coordinates.push(...segment.coordinates.slice(1));
+      return;
+    }
+
+    stretches.push({ name, distance: segment.distance, coordinates: [...segment.coordinates] });
+  });
+
+  const steps = stretches.map((stretch, index) => {
+    const maneuver = index === 0
+      ? { type: 'depart', bearing_after: Math.round(bearing(stretch.coordinates[0], stretch.coordinates[1])) }
+      : getTurnManeuver(stretches[index - 1].coordinates, stretch.coordinates);
+
+    return {
+      name: stretch.name,
+      distance: stretch.distance,
+      duration: stretch.distance / speed,
+      geometry: { type: 'LineString', coordinates: stretch.coordinates },
+      maneuver: { ...maneuver, location: stretch.coordinates[0] }
+    };
+  });
+
+  const lastStretch = stretches[stretches.length - 1];
+  if (lastStretch) {
+    const end = lastStretch.coordinates[lastStretch.coordinates.length - 1];
+    steps.push({
+      name: lastStretch.name,
+      distance: 0,
+      duration: 0,
+      geometry: { type: 'LineString', coordinates: [end, end] },
+      maneuver: { type: 'arrive', location: end }
+    });
+  }
+
+  return steps;
+}
+
+/**
+ * Describe the turn between two consecutive stretches
+ * @param {Array} incoming - Coordinates of the previous stretch
+ * @param {Array} outgoing - Coordinates of the next stretch
+ * @returns {Object} {type, modifier}
+ */
+function getTurnManeuver(incoming, outgoing) {
+  const angle = getTurnAngle(incoming, outgoing);
+  const magnitude = Math.abs(angle);
+  const side = angle > 0 ? 'right' : 'left';
+
+  if (magnitude < 20) return { type: 'continue', modifier: 'straight' };
+  if (magnitude < 60) return { type: 'turn', modifier: `slight ${side}` };
+  if (magnitude < 135) return { type: 'turn', modifier: side };
+  if (magnitude < 170) return { type: 'turn', modifier: `sharp ${side}` };
+  return { type: 'turn', modifier: 'uturn' };
+}
+
+/**
+ * Change of direction where one stretch of coordinates meets the next
+ * @param {Array} incoming - Coordinates leading to the junction
+ * @param {Array} outgoing - Coordinates leaving it
+ * @returns {number} Degrees, -180..180, positive = right
+ */
+function getTurnAngle(incoming, outgoing) {
+  const before = bearing(incoming[incoming.length - 2], incoming[incoming.length - 1]);
+  const after = bearing(outgoing[0], outgoing[1]);
+  return ((after - before + 540) % 360) - 180;
+}
+
+/**
+ * Initial bearing from one coordinate to another in degrees
+ */
+function bearing(from, to) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLon = toRad(to[0] - from[0]);
+  const lat1 = toRad(from[1]);
+  const lat2 = toRad(to[1]);
+
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function nodeKey(coord) {
+  return `${coord[0].toFixed(7)},${coord[1].toFixed(7)}`;
+}
+
+/**
+ * Minimal binary heap keyed by priority
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top.value;
+  }
+}
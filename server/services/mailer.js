@@ -0,0 +1,99 @@
+/**
+ * QuietRoute Mailer
+ * Sends plain-text mail over unauthenticated SMTP, as a local mail catcher
+ * (Mailpit, MailHog) or a relay on the same network accepts it
+ */
+
+import net from 'net';
+
+// Give up on a server that stops answering (ms)
+const SMTP_TIMEOUT = 10000;
+
+/**
+ * Send a plain-text email
+ * @param {Object} mail - {to, subject, text}
+ * @returns {Promise<void>} Rejects if the server refuses the mail or can't be reached
+ */
+export function sendMail({ to, subject, text }) {
+  const host = process.env.SMTP_HOST || 'localhost';
+  const port = Number(process.env.SMTP_PORT) || 1025;
+  const from = process.env.MAIL_FROM || 'QuietRoute <no-reply@quietroute.local>';
+
+  const message = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    // A line starting with a dot would end the message early
+    ...text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+  ].join('\r\n');
+
+  // Each command with the reply code that lets the conversation go on
+  const steps = [
+    [null, 220],
+    ['EHLO quietroute', 250],
+    [`MAIL FROM:<${getAddress(from)}>`, 250],
+    [`RCPT TO:<${getAddress(to)}>`, 250],
+    ['DATA', 354],
+    [`${message}\r\n.`, 250],
+    ['QUIT', 221]
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let step = 0;
+    let buffer = '';
+
+    const fail = (error) => {
+      socket.destroy();
+      reject(error);
+    };
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT, () => fail(new Error('SMTP server timed out')));
+    socket.on('error', fail);
+
+    // Hanging up before the last reply, without an error, would otherwise leave the promise pending
+    socket.on('close', () => {
+      if (step < steps.length) reject(new Error('SMTP server closed the connection'));
+    });
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      // A reply ends with a "250 text" line; "250-text" lines continue it
+      let match;
+      while ((match = buffer.match(/^(\d{3}) .*\r?\n/m))) {
+        const code = Number(match[1]);
+        buffer = buffer.slice(match.index + match[0].length);
+
+        if (code !== steps[step][1]) {
+          fail(new Error(`SMTP server refused ${steps[step][0] || 'the connection'}: ${match[0].trim()}`));
+          return;
+        }
+
+        step++;
+        if (step === steps.length) {
+          socket.end();
+          resolve();
+          return;
+        }
+        socket.write(`${steps[step][0]}\r\n`);
+      }
+    });
+  });
+}
+
+/**
+ * Bare address from 'Name <address>' or 'address'
+ * @param {string} mailbox
+ * @returns {string}
+ */
+function getAddress(mailbox) {
+  const match = mailbox.match(/<([^>]+)>/);
+  return match ? match[1] : mailbox.trim();
+}
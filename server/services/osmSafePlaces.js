@@ -0,0 +1,88 @@
+/**
+ * QuietRoute OSM Safe Places
+ * Turns OSM police stations, hospitals, pharmacies, 24-hour shops and stations into
+ * safe_places rows with their opening hours
+ */
+
+import { parseOpeningHours } from '../../src/utils/openingHours.js';
+import { findCity } from '../../src/utils/cities.js';
+
+// Shops that count as safe places when they never close
+const STORE_SHOPS = ['convenience', 'supermarket', 'kiosk', 'general'];
+
+// Types that are staffed around the clock unless their opening_hours say otherwise
+const ALWAYS_OPEN_TYPES = ['police', 'hospital'];
+
+/**
+ * Safe place type of an OSM element
+ * @param {Object} tags - Node or way tags
+ * @returns {string|null} 'police' | 'hospital' | 'pharmacy' | 'store_24h' | 'metro_station' | 'bus_stop'
+ */
+export function getSafePlaceType(tags) {
+  if (tags.amenity === 'police') return 'police';
+  if (tags.amenity === 'hospital' || tags.healthcare === 'hospital') return 'hospital';
+  if (tags.amenity === 'pharmacy' || tags.healthcare === 'pharmacy') return 'pharmacy';
+  if (STORE_SHOPS.includes(tags.shop) && tags.opening_hours === '24/7') return 'store_24h';
+  if (tags.station === 'subway' || (tags.railway === 'station' && tags.subway === 'yes')) return 'metro_station';
+  if (tags.highway === 'bus_stop' || (tags.public_transport === 'platform' && tags.bus === 'yes')) return 'bus_stop';
+  return null;
+}
+
+/**
+ * Build a safe_places row from an OSM element
+ * @param {Object} element - {type: 'node' | 'way', id, tags}
+ * @param {string} type - From getSafePlaceType
+ * @param {Array} location - [lng, lat]
+ * @returns {Object} {osm_id, location, name, type, address, phone, opening_hours, schedule, is_24_hours, lit,
+ *   city: the city the place lies in, or null}
+ */
+export function buildSafePlaceRow(element, type, location) {
+  const { tags } = element;
+  const openingHours = tags.opening_hours || (ALWAYS_OPEN_TYPES.includes(type) ? '24/7' : null);
+  const schedule = parseOpeningHours(openingHours);
+
+  return {
+    osm_id: `${element.type}/${element.id}`,
+    location,
+    name: tags.name || null,
+    type,
+    address: formatAddress(tags),
+    phone: tags.phone || tags['contact:phone'] || null,
+    opening_hours: tags.opening_hours || null,
+    schedule,
+    is_24_hours: Boolean(schedule) && schedule.every(intervals =>
+      intervals.some(([from, to]) => from === 0 && to >= 24 * 60)
+    ),
+    lit: tags.lit ? tags.lit !== 'no' : true,
+    city: findCity(...location)
+  };
+}
+
+/**
+ * Where to put a place mapped as a way: the centre of its nodes
+ * @param {Object} way - {refs}
+ * @param {Function} locate - Node id -> [lng, lat], or null when the node is unknown
+ * @param {Object} options - {complete}: only place the way when every node is known
+ * @returns {Array|null} [lng, lat], or null when none of the nodes (or, with complete, not all) are known
+ */
+export function getWayCentre(way, locate, { complete = false } = {}) {
+  // A closed way repeats its first node at the end
+  const refs = way.refs[0] === way.refs[way.refs.length - 1] ? way.refs.slice(1) : way.refs;
+  const coordinates = refs.map(locate).filter(Boolean);
+  if (coordinates.length === 0 || (complete && coordinates.length < refs.length)) return null;
+
+  return [0, 1].map(axis =>
+    coordinates.reduce((sum, coordinate) => sum + coordinate[axis], 0) / coordinates.length
+  );
+}
+
+/**
+ * One-line address from addr:* tags
+ * @param {Object} tags
+ * @returns {string|null}
+ */
+function formatAddress(tags) {
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  const parts = [street, tags['addr:city'], tags['addr:postcode']].filter(Boolean);
+  return tags['addr:full'] || (parts.length > 0 ? parts.join(', ') : null);
+}
@@ -0,0 +1,165 @@
+/**
+ * QuietRoute OSM Streets
+ * Turns OSM ways and their nodes into street_tags rows: which ways people can walk,
+ * and the attributes the cost function reads from them
+ */
+
+// Ways worth routing on; motorways and unbuilt roads are left out
+const WALKABLE_HIGHWAYS = [
+  'trunk', 'trunk_link', 'primary', 'primary_link', 'secondary', 'secondary_link',
+  'tertiary', 'tertiary_link', 'unclassified', 'residential', 'service', 'living_street',
+  'pedestrian', 'track', 'footway', 'path', 'steps', 'cycleway', 'bridleway', 'corridor'
+];
+
+// Access values that keep walkers off a way unless foot=* says otherwise
+const NO_ACCESS = ['no', 'private'];
+
+// Base noise level (1-10) for each road class before traffic tags adjust it
+const ROAD_NOISE_LEVELS = {
+  trunk: 9,
+  primary: 8,
+  secondary: 7,
+  tertiary: 6,
+  unclassified: 4,
+  residential: 3,
+  service: 3,
+  living_street: 2,
+  pedestrian: 2,
+  track: 2,
+  cycleway: 2,
+  bridleway: 1,
+  footway: 1,
+  path: 1,
+  steps: 1,
+  corridor: 1
+};
+
+// Kerb heights from lowest to highest; a way keeps the highest kerb along it
+export const KERB_HEIGHTS = ['flush', 'lowered', 'raised'];
+
+// OSM kerb values as one of KERB_HEIGHTS ('yes' and untagged barriers are assumed raised)
+const KERB_VALUES = {
+  no: 'flush',
+  flush: 'flush',
+  lowered: 'lowered',
+  rolled: 'lowered',
+  raised: 'raised',
+  yes: 'raised'
+};
+
+/**
+ * Whether an OSM way belongs in street_tags
+ * @param {Object} tags - Way tags
+ * @returns {boolean}
+ */
+export function isWalkableWay(tags) {
+  if (!WALKABLE_HIGHWAYS.includes(tags.highway)) return false;
+  if (tags.foot === 'no') return false;
+  if (NO_ACCESS.includes(tags.access) && !['yes', 'designated', 'permissive'].includes(tags.foot)) return false;
+  return true;
+}
+
+/**
+ * Estimate how loud a way is from its road class and traffic tags
+ * @param {Object} tags - Way tags
+ * @returns {number} 1 (quiet) to 10 (very loud)
+ */
+export function estimateNoiseLevel(tags) {
+  const link = tags.highway.endsWith('_link');
+  let level = ROAD_NOISE_LEVELS[tags.highway.replace(/_link$/, '')] ?? 3;
+
+  // Slip roads carry a share of their parent road's traffic
+  if (link) level -= 1;
+
+  const maxspeed = parseSpeed(tags.maxspeed);
+  if (maxspeed >= 60) {
+    level += 1;
+  } else if (maxspeed && maxspeed <= 20) {
+    level -= 1;
+  }
+
+  if (parseInt(tags.lanes, 10) >= 4) level += 1;
+  if (tags.traffic_calming) level -= 1;
+
+  // Roads closed to motor traffic are only as loud as the people on them
+  if (tags.motor_vehicle === 'no' || tags.motorcar === 'no') level -= 2;
+
+  return Math.min(10, Math.max(1, level));
+}
+
+/**
+ * Kerb height of a node, if it is a kerb
+ * @param {Object} tags - Node tags
+ * @returns {string|null} One of KERB_HEIGHTS
+ */
+export function getNodeKerb(tags) {
+  if (tags.kerb) return KERB_VALUES[tags.kerb] || null;
+  if (tags.barrier === 'kerb') return 'raised';
+  return null;
+}
+
+/**
+ * Build a street_tags row from a way and the nodes along it
+ * @param {Object} way - {id, tags}
+ * @param {Array} nodes - The way's nodes in order [{id, lng, lat, kerb}]
+ * @returns {Object} {osm_id, node_ids, coordinates, highway, name, lit, surface, sidewalk, kerb, noise_level}
+ */
+export function buildStreetRow(way, nodes) {
+  const { tags } = way;
+
+  return {
+    osm_id: way.id,
+    node_ids: nodes.map(node => node.id),
+    coordinates: nodes.map(node => [node.lng, node.lat]),
+    highway: tags.highway,
+    name: tags.name || null,
+    lit: tags.lit || null,
+    surface: tags.surface || null,
+    sidewalk: tags.sidewalk || getSidewalkFromSides(tags),
+    kerb: highestKerb(nodes.map(node => node.kerb)),
+    noise_level: estimateNoiseLevel(tags)
+  };
+}
+
+/**
+ * Highest of a set of kerb heights
+ * @param {Array} kerbs - KERB_HEIGHTS values or null
+ * @returns {string|null}
+ */
+export function highestKerb(kerbs) {
+  return kerbs.reduce(
+    (highest, height) => (KERB_HEIGHTS.indexOf(height) > KERB_HEIGHTS.indexOf(highest) ? height : highest),
+    null
+  );
+}
+
+/**
+ * Sidewalk value from the sidewalk:both / :left / :right scheme
+ * @param {Object} tags
+ * @returns {string|null} 'both' | 'left' | 'right' | 'no' | null
+ */
+function getSidewalkFromSides(tags) {
+  const present = (value) => value === 'yes' || value === 'separate';
+  const both = tags['sidewalk:both'];
+
+  if (both) return present(both) ? 'both' : 'no';
+
+  const left = present(tags['sidewalk:left']);
+  const right = present(tags['sidewalk:right']);
+  if (left && right) return 'both';
+  if (left) return 'left';
+  if (right) return 'right';
+  if (tags['sidewalk:left'] === 'no' && tags['sidewalk:right'] === 'no') return 'no';
+  return null;
+}
+
+/**
+ * Speed limit in km/h from an OSM maxspeed value ("50", "30 mph")
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseSpeed(value) {
+  const speed = parseFloat(value);
+  if (!Number.isFinite(speed)) return null;
+  return /mph/.test(value) ? speed * 1.609 : speed;
+}
@@ -0,0 +1,55 @@
+/**
+ * QuietRoute OSM Zones
+ * Finds the schools, markets and nightlife in OSM that make the streets around them
+ * busy, and when they are busy
+ */
+
+import { ZONE_TYPES } from '../../src/config.js';
+import { parseOpeningHours } from '../../src/utils/openingHours.js';
+
+const SCHOOL_AMENITIES = ['school', 'kindergarten'];
+const MARKET_SHOPS = ['bazaar', 'market'];
+const NIGHTLIFE_AMENITIES = ['bar', 'pub', 'nightclub'];
+
+// Minutes before a school opens and after it closes that the school run fills the street
+const SCHOOL_RUN_BEFORE = 60;
+const SCHOOL_RUN_AFTER = 60;
+
+// Minutes of the school run on the school side of the bell
+const SCHOOL_RUN_INSIDE = 30;
+
+const DEFAULT_SCHEDULES = Object.fromEntries(
+  Object.entries(ZONE_TYPES).map(([zone, { hours }]) => [zone, parseOpeningHours(hours)])
+);
+
+/**
+ * Zone an OSM element creates around it
+ * @param {Object} tags - Node or way tags
+ * @returns {string|null} 'school' | 'market' | 'nightlife'
+ */
+export function getZoneType(tags) {
+  if (SCHOOL_AMENITIES.includes(tags.amenity)) return 'school';
+  if (tags.amenity === 'marketplace' || MARKET_SHOPS.includes(tags.shop)) return 'market';
+  if (NIGHTLIFE_AMENITIES.includes(tags.amenity)) return 'nightlife';
+  return null;
+}
+
+/**
+ * When a place makes its zone busy, from its opening_hours tag
+ * Markets and nightlife are busy while open; schools around the times they open and
+ * close. Places without readable hours get the zone type's usual hours
+ * @param {string} zone - Zone type
+ * @param {Object} tags - Place tags
+ * @returns {Array} Schedule (see parseOpeningHours)
+ */
+export function getZoneSchedule(zone, tags) {
+  const schedule = parseOpeningHours(tags.opening_hours);
+  if (!schedule || schedule.every(intervals => intervals.length === 0)) return DEFAULT_SCHEDULES[zone];
+
+  if (zone !== 'school') return schedule;
+
+  return schedule.map(intervals => intervals.flatMap(([from, to]) => [
+    [Math.max(0, from - SCHOOL_RUN_BEFORE), from + SCHOOL_RUN_INSIDE],
+    [to - SCHOOL_RUN_INSIDE, to + SCHOOL_RUN_AFTER]
+  ]));
+}
@@ -0,0 +1,44 @@
+/**
+ * QuietRoute Street Segments
+ * Helpers for turning per-piece street matches into route segments
+ */
+
+/**
+ * Merge consecutive route pieces on the same street into one segment
+ * @param {Array} pieces - Ordered pieces [{osm_id, highway, ..., distance, coordinates: [a, b]}]
+ * @returns {Array} Segments with attributes, distance and coordinates
+ */
+export function mergeSegments(pieces) {
+  const segments = [];
+
+  pieces.forEach(piece => {
+    const last = segments[segments.length - 1];
+    const osmId = piece.osm_id === null || piece.osm_id === undefined ? null : Number(piece.osm_id);
+
+    if (last && last.osm_id === osmId) {
+      last.distance += piece.distance;
+      last.coordinates.push(piece.coordinates[piece.coordinates.length - 1]);
+      return;
+    }
+
+    segments.push({
+      osm_id: osmId,
+      highway: piece.highway,
+      name: piece.name,
+      lit: piece.lit,
+      surface: piece.surface,
+      sidewalk: piece.sidewalk,
+      kerb: piece.kerb,
+      noise_level: piece.noise_level,
+      measured_noise_db: piece.measured_noise_db,
+      school_zone: piece.school_zone,
+      market_zone: piece.market_zone,
+      nightlife_zone: piece.nightlife_zone,
+      zone_hours: piece.zone_hours,
+      distance: piece.distance,
+      coordinates: [...piece.coordinates]
+    });
+  });
+
+  return segments;
+}
@@ -0,0 +1,130 @@
+/**
+ * QuietRoute Transit Planner
+ * Earliest-arrival metro journeys with the Connection Scan Algorithm, reached
+ * through the station entrances that are cheapest to walk to
+ */
+
+import { calculateEdgeCost, haversineDistance } from '../../src/utils/costFunction.js';
+import { getTravelMode } from '../../src/utils/travelMode.js';
+
+// Time to change trains at a station
+const TRANSFER_TIME = 180; // seconds
+
+// Walks to and from stations are assumed this much longer than the straight line
+const WALK_DETOUR_FACTOR = 1.3;
+
+/**
+ * Pick the best entrance of each station for a walk to or from a point
+ * Entrances are costed like a street with the entrance's lighting, so a lit
+ * entrance wins over a slightly closer dark one after sunset
+ * @param {Array} entrances - [{id, station_id, station_name, name, lit, lat, lng}]
+ * @param {Object} point - {lat, lng} the walk starts or ends at
+ * @param {Object} preferences - {quietness, brightness, mode, ...}
+ * @param {Date} time - When the walk happens
+ * @returns {Array} One entrance per station with {walkDistance, walkDuration, cost}
+ */
+export function chooseEntrances(entrances, point, preferences, time) {
+  const { speed } = getTravelMode(preferences.mode);
+  const best = new Map();
+
+  entrances.forEach(entrance => {
+    const walkDistance = haversineDistance(point.lat, point.lng, entrance.lat, entrance.lng) * WALK_DETOUR_FACTOR;
+    const cost = calculateEdgeCost(
+      {
+        distance: walkDistance,
+        highway: 'footway',
+        lit: entrance.lit,
+        coordinates: [[entrance.lng, entrance.lat]]
+      },
+      { ...preferences, avoidZones: [] },
+      [],
+      time
+    );
+
+    const current = best.get(entrance.station_id);
+    if (!current || cost < current.cost) {
+      best.set(entrance.station_id, { ...entrance, walkDistance, walkDuration: walkDistance / speed, cost });
+    }
+  });
+
+  return [...best.values()];
+}
+
+/**
+ * Find the earliest-arriving journeys from access stations to egress stations
+ * @param {Array} connections - [{trip_id, from_station, to_station, departure, arrival}] sorted by departure
+ * @param {Array} access - [{stationId, time}] earliest boarding time at each station (seconds after midnight)
+ * @param {Array} egress - [{stationId, duration}] seconds from each station to the destination
+ * @param {number} limit - Maximum number of journeys
+ * @returns {Array} [{accessStation, egressStation, rides, transfers, arrival}] earliest total arrival first
+ */
+export function planJourneys(connections, access, egress, limit = 3) {
+  const arrival = new Map(); // station -> earliest arrival
+  const ready = new Map(); // station -> earliest time a new trip can be boarded
+  const arrivedBy = new Map(); // station -> {board, alight} connection indexes
+  const boarded = new Map(); // trip -> index of the connection it was boarded at
+
+  access.forEach(({ stationId, time }) => {
+    arrival.set(stationId, time);
+    ready.set(stationId, time);
+  });
+
+  connections.forEach((connection, index) => {
+    const onTrip = boarded.has(connection.trip_id);
+
+    if (!onTrip && (ready.get(connection.from_station) ?? Infinity) > connection.departure) return;
+    if (!onTrip) boarded.set(connection.trip_id, index);
+
+    if (connection.arrival < (arrival.get(connection.to_station) ?? Infinity)) {
+      arrival.set(connection.to_station, connection.arrival);
+      ready.set(connection.to_station, connection.arrival + TRANSFER_TIME);
+      arrivedBy.set(connection.to_station, { board: boarded.get(connection.trip_id), alight: index });
+    }
+  });
+
+  return egress
+    .filter(({ stationId }) => arrivedBy.has(stationId))
+    .map(({ stationId, duration }) => {
+      const rides = buildRides(connections, arrivedBy, stationId);
+      return {
+        accessStation: rides[0].from,
+        egressStation: stationId,
+        rides,
+        transfers: rides.length - 1,
+        arrival: arrival.get(stationId) + duration
+      };
+    })
+    .sort((a, b) => a.arrival - b.arrival)
+    .slice(0, limit);
+}
+
+/**
+ * Walk back from a station through the trips that reached it
+ * @returns {Array} Rides in travel order [{tripId, from, to, departure, arrival, stations}]
+ */
+function buildRides(connections, arrivedBy, stationId) {
+  const rides = [];
+  let station = stationId;
+
+  while (arrivedBy.has(station)) {
+    const { board, alight } = arrivedBy.get(station);
+    const tripId = connections[board].trip_id;
+    const hops = connections
+      .slice(board, alight + 1)
+      .filter(connection => connection.trip_id === tripId);
+
+    rides.unshift({
+      tripId,
+      routeId: connections[board].route_id,
+      from: connections[board].from_station,
+      to: connections[alight].to_station,
+      departure: connections[board].departure,
+      arrival: connections[alight].arrival,
+      stations: [hops[0].from_station, ...hops.map(hop => hop.to_station)]
+    });
+
+    station = connections[board].from_station;
+  }
+
+  return rides;
+}
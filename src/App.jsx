@@ -10,22 +10,70 @@ import maplibregl from "maplibre-gl";
 import "mapbox-gl/dist/mapbox-gl.css";
 import "maplibre-gl/dist/maplibre-gl.css";
 
-import { MAPBOX_TOKEN, DEFAULT_CENTER, MAP_STYLE, OSM_STYLE } from "./config";
+import {
+  MAPBOX_TOKEN,
+  CITIES,
+  MAP_STYLE,
+  OSM_STYLE,
+  TRAVEL_MODES,
+  DEFAULT_TRAVEL_MODE,
+  ACCESSIBILITY_NEEDS,
+  NOISE_MEASUREMENT_SECONDS,
+  MIN_PASSWORD_LENGTH,
+  MIN_AVOID_ZONE_RADIUS,
+} from "./config";
+import { getAccessibilityNeed } from "./utils/costFunction";
 import {
   getRoutes,
   formatDistance,
   formatDuration,
+  formatReason,
+  MAX_WAYPOINTS,
 } from "./services/routingService";
+import { t, formatNumber, getLocale, setLocale, LOCALES } from "./i18n";
+import { zonedTimeToDate, formatZonedClock } from "./utils/timeZone";
+import { getCity } from "./utils/cities";
+import { getSelectedCity, selectCity } from "./services/cityService";
+import { getQuietLoops } from "./services/loopService";
+import { getTransitTrips } from "./services/transitService";
+import { getIsochrones } from "./services/isochroneService";
+import {
+  prepareNavigation,
+  getNavigationState,
+  watchPosition,
+  OFF_ROUTE_FIXES,
+} from "./services/navigationService";
+import {
+  getAvoidZones,
+  saveAvoidZone,
+  saveCircleZone,
+  deleteAvoidZone,
+} from "./services/avoidZoneService";
 import {
   searchLocation,
   getCurrentLocation,
-  POPULAR_LOCATIONS,
 } from "./services/geocodingService";
 import {
   submitReport,
   getReportTypes,
   getReportsInArea,
 } from "./services/reportService";
+import {
+  measureNoise,
+  submitNoiseMeasurement,
+  getNoiseMeasurementsInArea,
+} from "./services/noiseService";
+import {
+  signUp,
+  logIn,
+  requestMagicLink,
+  verifyMagicLink,
+  logOut,
+  getCurrentUser,
+} from "./services/authService";
+
+// Quiet reach fill per threshold, shortest first
+const REACH_COLORS = ["#10b981", "#22d3ee", "#6366f1", "#8b5cf6"];
 
 // Icons as inline SVGs for simplicity
 const Icons = {
@@ -129,9 +177,16 @@ const Icons = {
 };
 
 function App() {
+  // Interface language; strings are looked up on every render
+  const [locale, setLocaleState] = useState(getLocale);
+
+  // City trips are planned in: map view, search bias, time zone, reports
+  const [cityId, setCityId] = useState(getSelectedCity);
+  const city = getCity(cityId);
+
   // Map state
   const [viewState, setViewState] = useState({
-    ...DEFAULT_CENTER,
+    ...city.center,
     pitch: 0,
     bearing: 0,
   });
@@ -144,20 +199,68 @@ function App() {
   const [originResults, setOriginResults] = useState([]);
   const [destResults, setDestResults] = useState([]);
 
+  // Travel mode: walking, cycling or wheelchair
+  const [travelMode, setTravelMode] = useState(DEFAULT_TRAVEL_MODE);
+
+  // Accessibility need; unset follows the travel mode (wheelchair mode implies wheelchair)
+  const [accessibility, setAccessibility] = useState("");
+
+  // Trip mode: A-to-B route, walk + metro, or a quiet loop back to the start
+  const [tripMode, setTripMode] = useState("route");
+  const [loopTarget, setLoopTarget] = useState(30);
+  const [loopUnit, setLoopUnit] = useState("min");
+
+  // Intermediate stops: [{ id, location, search, results }]
+  const [waypoints, setWaypoints] = useState([]);
+  const [optimizeOrder, setOptimizeOrder] = useState(false);
+  const dragIndex = useRef(null);
+
   // Route state
   const [routes, setRoutes] = useState([]);
   const [selectedRoute, setSelectedRoute] = useState(null);
+
+  // Live navigation along the selected route
+  const [navigation, setNavigation] = useState(null); // {routeId, line, length, instructions}
+  const [navPosition, setNavPosition] = useState(null);
+  const [isRerouting, setIsRerouting] = useState(false);
+  const offRouteFixes = useRef(0);
   const [isLoading, setIsLoading] = useState(false);
 
   // Preferences
   const [quietness, setQuietness] = useState(0.5);
   const [brightness, setBrightness] = useState(0.5);
 
+  // Trip timing: leave now, depart at, or arrive by a chosen time
+  const [timeMode, setTimeMode] = useState("now");
+  const [timeValue, setTimeValue] = useState("");
+
   // Reports
   const [reports, setReports] = useState([]);
   const [isReporting, setIsReporting] = useState(false);
   const [selectedReportType, setSelectedReportType] = useState(null);
 
+  // Microphone noise measurements
+  const [noiseMeasurements, setNoiseMeasurements] = useState([]);
+  const [noiseMeter, setNoiseMeter] = useState(null); // {status, level}
+
+  // Avoid zones: drawn on the map, kept on this device
+  const [avoidZones, setAvoidZones] = useState(getAvoidZones);
+  const [drawMode, setDrawMode] = useState(null); // 'polygon' | 'circle'
+  const [draftPoints, setDraftPoints] = useState([]);
+  const [zoneMode, setZoneMode] = useState("penalise");
+  const [circleRadius, setCircleRadius] = useState(200);
+
+  // Quiet reach overlay from the starting point
+  const [showReach, setShowReach] = useState(false);
+  const [isochrones, setIsochrones] = useState([]);
+
+  // Optional account: reports from a signed-in user are credited to them
+  const [user, setUser] = useState(null);
+  const [accountEmail, setAccountEmail] = useState("");
+  const [accountPassword, setAccountPassword] = useState("");
+  const [accountMessage, setAccountMessage] = useState(null); // {key, params, error}
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
   // Map ref
   const mapRef = useRef(null);
 
@@ -175,10 +278,10 @@ function App() {
     }
 
     searchTimeout.current = setTimeout(async () => {
-      const results = await searchLocation(value);
+      const results = await searchLocation(value, { bounds: city.bounds });
       setOriginResults(results);
     }, 300);
-  }, []);
+  }, [cityId]);
 
   // Handle destination search
   const handleDestSearch = useCallback(async (value) => {
@@ -191,10 +294,10 @@ function App() {
     }
 
     searchTimeout.current = setTimeout(async () => {
-      const results = await searchLocation(value);
+      const results = await searchLocation(value, { bounds: city.bounds });
       setDestResults(results);
     }, 300);
-  }, []);
+  }, [cityId]);
 
   // Select origin from search results
   const selectOrigin = (location) => {
@@ -210,6 +313,58 @@ function App() {
     setDestResults([]);
   };
 
+  // Add an empty stop to the end of the list
+  const addWaypoint = () => {
+    setWaypoints((current) => [
+      ...current,
+      { id: Date.now(), location: null, search: "", results: [] },
+    ]);
+  };
+
+  // Remove a stop
+  const removeWaypoint = (id) => {
+    setWaypoints((current) => current.filter((w) => w.id !== id));
+  };
+
+  // Update fields of one stop
+  const updateWaypoint = (id, changes) => {
+    setWaypoints((current) =>
+      current.map((w) => (w.id === id ? { ...w, ...changes } : w))
+    );
+  };
+
+  // Handle stop search
+  const handleWaypointSearch = (id, value) => {
+    updateWaypoint(id, { search: value });
+    clearTimeout(searchTimeout.current);
+
+    if (value.length < 2) {
+      updateWaypoint(id, { results: [] });
+      return;
+    }
+
+    searchTimeout.current = setTimeout(async () => {
+      const results = await searchLocation(value, { bounds: city.bounds });
+      updateWaypoint(id, { results });
+    }, 300);
+  };
+
+  // Select stop from search results
+  const selectWaypoint = (id, location) => {
+    updateWaypoint(id, { location, search: location.name, results: [] });
+  };
+
+  // Move a dragged stop to a new position
+  const moveWaypoint = (from, to) => {
+    if (from === null || from === to) return;
+    setWaypoints((current) => {
+      const reordered = [...current];
+      const [moved] = reordered.splice(from, 1);
+      reordered.splice(to, 0, moved);
+      return reordered;
+    });
+  };
+
   // Swap origin and destination
   const swapLocations = () => {
     const tempOrigin = origin;
@@ -224,23 +379,84 @@ function App() {
   const useCurrentLocation = async () => {
     try {
       const location = await getCurrentLocation();
-      setOrigin({ ...location, name: "Current Location" });
-      setOriginSearch("Current Location");
+      setOrigin({ ...location, name: t("search.currentLocation") });
+      setOriginSearch(t("search.currentLocation"));
     } catch (error) {
-      alert("Could not get current location");
+      alert(t("alerts.noCurrentLocation"));
     }
   };
 
+  // Departure or arrival time for scoring, empty when leaving now
+  // The picked wall-clock time is read in the service area's zone, not the device's
+  const getTiming = () => {
+    if (timeMode === "now" || !timeValue) return {};
+    const time = zonedTimeToDate(timeValue, city.timeZone);
+    return timeMode === "arrive" ? { arriveBy: time } : { departAt: time };
+  };
+
+  // Loop length as {duration} (seconds) or {distance} (meters)
+  const getLoopTarget = () =>
+    loopUnit === "km"
+      ? { distance: loopTarget * 1000 }
+      : { duration: loopTarget * 60 };
+
+  // Routing preferences from the sidebar, shared by route search and rerouting
+  const getPreferences = () => ({
+    quietness,
+    brightness,
+    mode: travelMode,
+    accessibility: accessibility || undefined,
+    avoidZones,
+    city: cityId,
+    timeZone: city.timeZone,
+  });
+
   // Calculate routes
   const calculateRoutes = useCallback(async () => {
-    if (!origin || !destination) return;
+    if (!origin || (tripMode !== "loop" && !destination)) return;
 
     setIsLoading(true);
     try {
-      const preferences = { quietness, brightness };
-      const newRoutes = await getRoutes(origin, destination, preferences);
+      const preferences = getPreferences();
+      const stops = waypoints.filter((w) => w.location);
+      const newRoutes =
+        tripMode === "loop"
+          ? await getQuietLoops(origin, getLoopTarget(), preferences, {
+              ...getTiming(),
+              reports,
+            })
+          : tripMode === "transit"
+          ? await getTransitTrips(origin, destination, preferences, {
+              ...getTiming(),
+              reports,
+            })
+          : await getRoutes(origin, destination, preferences, {
+              ...getTiming(),
+              reports,
+              waypoints: stops.map((w) => w.location),
+              optimizeOrder,
+            });
       setRoutes(newRoutes);
 
+      if (tripMode === "loop" && newRoutes.length === 0) {
+        alert(t("alerts.noLoop"));
+      }
+
+      if (tripMode === "transit" && newRoutes.length === 0) {
+        alert(t("alerts.noMetroTrip"));
+      }
+
+      // Show stops in the order the quietest trip visits them
+      if (tripMode === "route" && optimizeOrder && newRoutes.length > 0) {
+        const order = newRoutes[0].waypoints;
+        setWaypoints((current) => [
+          ...order
+            .map((location) => current.find((w) => w.location === location))
+            .filter(Boolean),
+          ...current.filter((w) => !w.location),
+        ]);
+      }
+
       if (newRoutes.length > 0) {
         setSelectedRoute(newRoutes[0].id);
 
@@ -275,36 +491,158 @@ function App() {
       }
     } catch (error) {
       console.error("Failed to calculate routes:", error);
-      alert("Could not calculate routes. Please try again.");
+      alert(t("alerts.routesFailed"));
     } finally {
       setIsLoading(false);
     }
-  }, [origin, destination, quietness, brightness]);
+  }, [
+    travelMode,
+    accessibility,
+    reports,
+    tripMode,
+    loopTarget,
+    loopUnit,
+    origin,
+    destination,
+    waypoints,
+    optimizeOrder,
+    quietness,
+    brightness,
+    avoidZones,
+    timeMode,
+    timeValue,
+    cityId,
+  ]);
 
   // Recalculate when preferences change
   useEffect(() => {
-    if (origin && destination && routes.length > 0) {
+    if (origin && (destination || tripMode === "loop") && routes.length > 0) {
       const debounce = setTimeout(calculateRoutes, 500);
       return () => clearTimeout(debounce);
     }
-  }, [quietness, brightness]);
+  }, [
+    quietness,
+    brightness,
+    travelMode,
+    accessibility,
+    avoidZones,
+    timeMode,
+    timeValue,
+    cityId,
+  ]);
+
+  // Areas reachable from the starting point with the current preferences
+  const loadIsochrones = useCallback(async () => {
+    if (!origin) return;
+
+    try {
+      const areas = await getIsochrones(origin, getPreferences(), getTiming());
+      setIsochrones(areas);
+
+      if (areas.length === 0) {
+        alert(t("alerts.noReach"));
+      }
+    } catch (error) {
+      console.error("Failed to load isochrones:", error);
+      alert(t("alerts.reachFailed"));
+      setShowReach(false);
+    }
+  }, [
+    origin,
+    travelMode,
+    accessibility,
+    quietness,
+    brightness,
+    avoidZones,
+    timeMode,
+    timeValue,
+    cityId,
+  ]);
+
+  // Redraw the reach as the start or preferences change, so it visibly
+  // shrinks while the quietness slider goes up
+  useEffect(() => {
+    if (!showReach) {
+      setIsochrones([]);
+      return;
+    }
+
+    const debounce = setTimeout(loadIsochrones, 500);
+    return () => clearTimeout(debounce);
+  }, [showReach, loadIsochrones]);
 
   // Load reports on map move
   const loadReports = useCallback(async () => {
     if (!mapRef.current) return;
 
     const bounds = mapRef.current.getBounds();
-    const reportsData = await getReportsInArea({
+    const area = {
       north: bounds.getNorth(),
       south: bounds.getSouth(),
       east: bounds.getEast(),
       west: bounds.getWest(),
-    });
+    };
+    const [reportsData, measurementsData] = await Promise.all([
+      getReportsInArea(area, cityId),
+      getNoiseMeasurementsInArea(area),
+    ]);
     setReports(reportsData);
-  }, []);
+    setNoiseMeasurements(measurementsData);
+  }, [cityId]);
+
+  // Measure the noise where the user is standing and share the level (never audio)
+  const handleMeasureNoise = async () => {
+    let location;
+    try {
+      location = await getCurrentLocation();
+    } catch {
+      setNoiseMeter({ status: "needsLocation" });
+      return;
+    }
+
+    setNoiseMeter({ status: "measuring" });
+    let level;
+    try {
+      level = await measureNoise();
+    } catch (error) {
+      setNoiseMeter({
+        status: error.name === "NotAllowedError" ? "denied" : "failed",
+      });
+      return;
+    }
+
+    const saved = await submitNoiseMeasurement({ ...location, level });
+    setNoiseMeter({ status: saved ? "saved" : "unsaved", level });
+    if (saved) loadReports();
+  };
 
   // Handle map click for reporting
   const handleMapClick = async (event) => {
+    if (drawMode === "polygon") {
+      const { lng, lat } = event.lngLat;
+      setDraftPoints((points) => [...points, [lng, lat]]);
+      return;
+    }
+
+    if (drawMode === "circle") {
+      const { lng, lat } = event.lngLat;
+      const name = prompt(
+        t("avoidZones.namePrompt"),
+        t("avoidZones.defaultName", { number: avoidZones.length + 1 })
+      );
+      if (name !== null) {
+        saveCircleZone({
+          name,
+          mode: zoneMode,
+          center: { lat, lng },
+          radius: circleRadius,
+        });
+        setAvoidZones(getAvoidZones());
+      }
+      setDrawMode(null);
+      return;
+    }
+
     if (isReporting && selectedReportType) {
       const { lng, lat } = event.lngLat;
 
@@ -320,26 +658,254 @@ function App() {
     }
   };
 
+  // Close the drawn polygon and save it as an avoid zone
+  const finishPolygonZone = () => {
+    const name = prompt(
+      t("avoidZones.namePrompt"),
+      t("avoidZones.defaultName", { number: avoidZones.length + 1 })
+    );
+    if (name !== null) {
+      saveAvoidZone({ name, mode: zoneMode, coordinates: draftPoints });
+      setAvoidZones(getAvoidZones());
+    }
+    setDraftPoints([]);
+    setDrawMode(null);
+  };
+
+  // Cancel drawing
+  const cancelDrawing = () => {
+    setDraftPoints([]);
+    setDrawMode(null);
+  };
+
+  // Remove a saved avoid zone
+  const removeAvoidZone = (zoneId) => {
+    deleteAvoidZone(zoneId);
+    setAvoidZones(getAvoidZones());
+  };
+
+  // Start following the device along the selected route
+  const startNavigation = () => {
+    const route = routes.find((r) => r.id === selectedRoute) || routes[0];
+    if (!route) return;
+
+    offRouteFixes.current = 0;
+    setNavPosition(null);
+    setNavigation({ routeId: route.id, ...prepareNavigation(route) });
+  };
+
+  const stopNavigation = () => {
+    setNavigation(null);
+    setNavPosition(null);
+    setIsRerouting(false);
+  };
+
+  // Recompute a quiet route from the current position with the same
+  // preferences, keeping the trade-off being followed (quietest, brightest...)
+  // Loops head straight back to their start; trips keep the stops not yet reached
+  const reroute = async (state) => {
+    const route = routes.find((r) => r.id === navigation.routeId);
+    const coordinates = route.geometry.coordinates;
+    const [endLng, endLat] = coordinates[coordinates.length - 1];
+    const target =
+      route.label === "loop" || !destination
+        ? { lat: endLat, lng: endLng }
+        : destination;
+    const remainingStops = (route.waypoints || []).slice(state.current?.leg ?? 0);
+
+    setIsRerouting(true);
+    try {
+      const newRoutes = await getRoutes(navPosition, target, getPreferences(), {
+        reports,
+        waypoints: remainingStops,
+      });
+
+      // Nothing found from here: keep following the current route
+      if (newRoutes.length === 0) {
+        console.warn("Rerouting found no route; keeping the current one");
+        return;
+      }
+
+      const best =
+        newRoutes.find((r) => r.label === route.label) ||
+        newRoutes.reduce((a, b) =>
+          b.stats.overallScore > a.stats.overallScore ? b : a
+        );
+
+      setRoutes(newRoutes);
+      setSelectedRoute(best.id);
+      setNavigation({ routeId: best.id, ...prepareNavigation(best) });
+    } catch (error) {
+      console.error("Rerouting failed:", error);
+    } finally {
+      setIsRerouting(false);
+    }
+  };
+
+  // Follow the device while navigating
+  const isNavigating = Boolean(navigation);
+  useEffect(() => {
+    if (!isNavigating) return;
+
+    return watchPosition(setNavPosition, (error) => {
+      console.error("Location error:", error);
+      alert(t("alerts.followFailed"));
+      setNavigation(null);
+    });
+  }, [isNavigating]);
+
+  // Track progress on each position fix, rerouting after repeated off-route fixes
+  const navState =
+    navigation && navPosition
+      ? getNavigationState(navigation, navPosition)
+      : null;
+
+  useEffect(() => {
+    if (!navState || isRerouting) return;
+
+    mapRef.current?.easeTo({
+      center: [navPosition.lng, navPosition.lat],
+      duration: 500,
+    });
+
+    if (navState.arrived) {
+      stopNavigation();
+      alert(t("alerts.arrived"));
+      return;
+    }
+
+    offRouteFixes.current = navState.offRoute ? offRouteFixes.current + 1 : 0;
+    if (offRouteFixes.current >= OFF_ROUTE_FIXES) {
+      offRouteFixes.current = 0;
+      reroute(navState);
+    }
+  }, [navPosition]);
+
+  // Restore the session, or finish signing in from an emailed ?login= link
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const loginToken = url.searchParams.get("login");
+
+    if (!loginToken) {
+      getCurrentUser().then(setUser);
+      return;
+    }
+
+    url.searchParams.delete("login");
+    window.history.replaceState(null, "", url);
+
+    verifyMagicLink(loginToken)
+      .then(setUser)
+      .catch(() => setAccountMessage({ key: "linkInvalid", error: true }));
+  }, []);
+
+  // Sign in or create an account with the email and password entered
+  const handleSignIn = async (isNewAccount) => {
+    setIsSigningIn(true);
+    setAccountMessage(null);
+
+    try {
+      const signIn = isNewAccount ? signUp : logIn;
+      setUser(await signIn(accountEmail, accountPassword));
+      setAccountPassword("");
+    } catch {
+      setAccountMessage(
+        isNewAccount
+          ? {
+              key: "signUpFailed",
+              params: { min: MIN_PASSWORD_LENGTH },
+              error: true,
+            }
+          : { key: "loginFailed", error: true }
+      );
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  // Email a one-time sign-in link instead of using a password
+  const handleEmailLink = async () => {
+    setIsSigningIn(true);
+    setAccountMessage(null);
+
+    try {
+      await requestMagicLink(accountEmail);
+      setAccountMessage({ key: "linkSent", params: { email: accountEmail } });
+    } catch (error) {
+      setAccountMessage({
+        key: error.status === 429 ? "linkTooSoon" : "linkFailed",
+        error: true,
+      });
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await logOut();
+    setUser(null);
+    setAccountMessage(null);
+  };
+
   // Panic button - find nearest safe location
   const handlePanic = async () => {
     try {
       const location = await getCurrentLocation();
       // In a real app, this would query for nearest police station, 24/7 store, etc.
-      alert(
-        "Finding nearest safe location...\n\nThis would route you to the nearest well-lit, open public area."
-      );
+      alert(t("panic.finding"));
     } catch {
-      alert("Please enable location services for emergency routing");
+      alert(t("panic.enableLocation"));
     }
   };
 
   // Get vibe label
   const getVibeLabel = (value) => {
-    if (value < 0.3) return "Low";
-    if (value < 0.7) return "Medium";
-    return "High";
+    if (value < 0.3) return t("preferences.low");
+    if (value < 0.7) return t("preferences.medium");
+    return t("preferences.high");
   };
 
+  // Switch language; instructions are written when navigation starts, so
+  // rewrite the ones being followed
+  const changeLocale = (value) => {
+    setLocale(value);
+    setLocaleState(value);
+
+    if (navigation) {
+      const route = routes.find((r) => r.id === navigation.routeId);
+      setNavigation({ routeId: route.id, ...prepareNavigation(route) });
+    }
+  };
+
+  // Switch city: fly there and drop the trip planned in the last one
+  const changeCity = (value) => {
+    selectCity(value);
+    setCityId(value);
+
+    stopNavigation();
+    setOrigin(null);
+    setDestination(null);
+    setOriginSearch("");
+    setDestSearch("");
+    setOriginResults([]);
+    setDestResults([]);
+    setWaypoints([]);
+    setRoutes([]);
+    setSelectedRoute(null);
+    setShowReach(false);
+
+    const { center } = getCity(value);
+    mapRef.current?.flyTo({
+      center: [center.longitude, center.latitude],
+      zoom: center.zoom,
+      duration: 1500,
+    });
+  };
+
+  // Share of a route that is quiet, as a percentage in the active language
+  const formatQuietShare = (noiseScore) =>
+    formatNumber(1 - noiseScore, { style: "percent", maximumFractionDigits: 0 });
+
   // Route layer style
   const routeLayerStyle = {
     id: "route-layer",
@@ -369,21 +935,120 @@ function App() {
     })),
   };
 
-  // Create GeoJSON for noise heatmap
+  // Create GeoJSON for avoid zones and the zone being drawn
+  const avoidZonesGeoJSON = {
+    type: "FeatureCollection",
+    features: avoidZones.map((zone) => ({
+      type: "Feature",
+      properties: { id: zone.id, block: zone.mode === "block" },
+      geometry: zone.geometry,
+    })),
+  };
+
+  const draftGeoJSON = {
+    type: "FeatureCollection",
+    features: draftPoints.length
+      ? [
+          {
+            type: "Feature",
+            properties: {},
+            geometry: {
+              type: "LineString",
+              coordinates: [...draftPoints, draftPoints[0]],
+            },
+          },
+        ]
+      : [],
+  };
+
+  // Create GeoJSON for quiet reach, largest area first so smaller ones draw on top
+  const isochronesGeoJSON = {
+    type: "FeatureCollection",
+    features: isochrones.map((isochrone, index) => ({
+      type: "Feature",
+      properties: {
+        minutes: isochrone.minutes,
+        color: REACH_COLORS[isochrones.length - 1 - index],
+      },
+      geometry: isochrone.geometry,
+    })),
+  };
+
+  const isochroneFillStyle = {
+    id: "isochrones-fill",
+    type: "fill",
+    paint: {
+      "fill-color": ["get", "color"],
+      "fill-opacity": 0.15,
+    },
+  };
+
+  const isochroneLineStyle = {
+    id: "isochrones-line",
+    type: "line",
+    paint: {
+      "line-color": ["get", "color"],
+      "line-width": 1.5,
+    },
+  };
+
+  // Avoid zone layer styles
+  const avoidZoneFillStyle = {
+    id: "avoid-zones-fill",
+    type: "fill",
+    paint: {
+      "fill-color": ["case", ["get", "block"], "#dc2626", "#f59e0b"],
+      "fill-opacity": 0.2,
+    },
+  };
+
+  const avoidZoneLineStyle = {
+    id: "avoid-zones-line",
+    type: "line",
+    paint: {
+      "line-color": ["case", ["get", "block"], "#dc2626", "#f59e0b"],
+      "line-width": 2,
+      "line-dasharray": [2, 2],
+    },
+  };
+
+  const draftLineStyle = {
+    id: "avoid-zone-draft",
+    type: "line",
+    paint: {
+      "line-color": "#f59e0b",
+      "line-width": 2,
+    },
+  };
+
+  // Create GeoJSON for noise heatmap: loud reports and measured levels
+  // (45 dB(A) and under adds nothing, 80 and over counts as a loud report)
   const heatmapGeoJSON = {
     type: "FeatureCollection",
-    features: reports
-      .filter((r) => r.type === "loud" || r.type === "crowded" || r.type === "traffic")
-      .map((r) => ({
+    features: [
+      ...reports
+        .filter((r) => r.type === "loud" || r.type === "crowded" || r.type === "traffic")
+        .map((r) => ({
+          type: "Feature",
+          properties: {
+            intensity: r.type === "loud" ? 1.0 : 0.6,
+          },
+          geometry: {
+            type: "Point",
+            coordinates: [r.lng, r.lat],
+          },
+        })),
+      ...noiseMeasurements.map((m) => ({
         type: "Feature",
         properties: {
-          intensity: r.type === "loud" ? 1.0 : 0.6,
+          intensity: Math.min(1, Math.max(0, (m.level_db - 45) / 35)),
         },
         geometry: {
           type: "Point",
-          coordinates: [r.lng, r.lat],
+          coordinates: [m.lng, m.lat],
         },
       })),
+    ],
   };
 
   // Heatmap layer style
@@ -427,15 +1092,86 @@ function App() {
             <Icons.Logo />
             <h1>
               QuietRoute
-              <span>Navigate Peacefully in Kolkata</span>
+              <span>{t(`cities.${cityId}.tagline`)}</span>
             </h1>
           </div>
+          <div className="sidebar-controls">
+            <select
+              className="city-select"
+              value={cityId}
+              onChange={(e) => changeCity(e.target.value)}
+              title={t("app.city")}
+            >
+              {Object.keys(CITIES).map((key) => (
+                <option key={key} value={key}>
+                  {t(`cities.${key}.name`)}
+                </option>
+              ))}
+            </select>
+            <select
+              className="locale-select"
+              value={locale}
+              onChange={(e) => changeLocale(e.target.value)}
+              title={t("app.language")}
+            >
+              {Object.entries(LOCALES).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
         </header>
 
         <div className="sidebar-content">
           {/* Search Panel */}
           <section className="search-panel">
-            <h2>Plan Your Route</h2>
+            <h2>{t("search.title")}</h2>
+
+            <div className="trip-mode-toggle travel-mode-toggle">
+              {Object.entries(TRAVEL_MODES).map(([key, mode]) => (
+                <button
+                  key={key}
+                  className={travelMode === key ? "active" : ""}
+                  onClick={() => setTravelMode(key)}
+                  title={t(`travelModes.${key}`)}
+                >
+                  {mode.emoji} {t(`travelModes.${key}`)}
+                </button>
+              ))}
+            </div>
+
+            <div className="trip-mode-toggle">
+              <button
+                className={tripMode === "route" ? "active" : ""}
+                onClick={() => {
+                  setTripMode("route");
+                  setRoutes([]);
+                }}
+              >
+                {t("tripModes.route")}
+              </button>
+              <button
+                className={tripMode === "transit" ? "active" : ""}
+                onClick={() => {
+                  setTripMode("transit");
+                  setRoutes([]);
+                  // Metro trips are planned forwards from a departure time
+                  if (timeMode === "arrive") setTimeMode("depart");
+                }}
+              >
+                {t("tripModes.transit")}
+              </button>
+              <button
+                className={tripMode === "loop" ? "active" : ""}
+                onClick={() => {
+                  setTripMode("loop");
+                  setRoutes([]);
+                }}
+              >
+                {t("tripModes.loop")}
+              </button>
+            </div>
 
             <div className="location-inputs">
               <div className="location-input-wrapper origin">
@@ -445,7 +1181,7 @@ function App() {
                 <input
                   type="text"
                   className="location-input"
-                  placeholder="Starting point"
+                  placeholder={t("search.origin")}
                   value={originSearch}
                   onChange={(e) => handleOriginSearch(e.target.value)}
                   onFocus={() => handleOriginSearch(originSearch)}
@@ -499,75 +1235,207 @@ function App() {
                 )}
               </div>
 
-              <button
-                className="swap-btn"
-                onClick={swapLocations}
-                title="Swap locations"
-              >
-                <Icons.Swap />
-              </button>
+              {tripMode !== "loop" && (
+                <>
+                  <button
+                    className="swap-btn"
+                    onClick={swapLocations}
+                    title={t("search.swap")}
+                  >
+                    <Icons.Swap />
+                  </button>
 
-              <div className="location-input-wrapper destination">
-                <span className="icon">
-                  <Icons.Destination />
-                </span>
+                  <div className="location-input-wrapper destination">
+                    <span className="icon">
+                      <Icons.Destination />
+                    </span>
+                    <input
+                      type="text"
+                      className="location-input"
+                      placeholder={t("search.destination")}
+                      value={destSearch}
+                      onChange={(e) => handleDestSearch(e.target.value)}
+                      onFocus={() => handleDestSearch(destSearch)}
+                    />
+                    {destResults.length > 0 && (
+                      <div
+                        className="search-results"
+                        style={{
+                          position: "absolute",
+                          top: "100%",
+                          left: 0,
+                          right: 0,
+                          background: "var(--color-bg-secondary)",
+                          borderRadius: "var(--radius-md)",
+                          marginTop: "4px",
+                          zIndex: 100,
+                          boxShadow: "var(--shadow-lg)",
+                        }}
+                      >
+                        {destResults.map((result) => (
+                          <div
+                            key={result.id}
+                            onClick={() => selectDestination(result)}
+                            style={{
+                              padding: "12px 16px",
+                              cursor: "pointer",
+                              borderBottom: "1px solid rgba(255,255,255,0.06)",
+                              fontSize: "14px",
+                            }}
+                            onMouseEnter={(e) =>
+                              (e.target.style.background =
+                                "var(--color-bg-tertiary)")
+                            }
+                            onMouseLeave={(e) =>
+                              (e.target.style.background = "transparent")
+                            }
+                          >
+                            <div style={{ fontWeight: 500 }}>{result.name}</div>
+                            <div
+                              style={{
+                                fontSize: "12px",
+                                color: "var(--color-text-muted)",
+                                marginTop: "2px",
+                              }}
+                            >
+                              {result.displayName}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* Stops between origin and destination */}
+            {tripMode === "loop" && (
+              <div className="loop-target">
+                <label>
+                  {t(travelMode === "walking" ? "loop.walkFor" : "loop.goFor")}
+                </label>
                 <input
-                  type="text"
-                  className="location-input"
-                  placeholder="Destination"
-                  value={destSearch}
-                  onChange={(e) => handleDestSearch(e.target.value)}
-                  onFocus={() => handleDestSearch(destSearch)}
+                  type="number"
+                  min="1"
+                  value={loopTarget}
+                  onChange={(e) => setLoopTarget(parseFloat(e.target.value) || 0)}
                 />
-                {destResults.length > 0 && (
+                <select
+                  value={loopUnit}
+                  onChange={(e) => setLoopUnit(e.target.value)}
+                >
+                  <option value="min">{t("loop.minutes")}</option>
+                  <option value="km">{t("loop.kilometers")}</option>
+                </select>
+              </div>
+            )}
+
+            {tripMode === "route" && (
+              <div className="waypoint-list">
+                {waypoints.map((waypoint, index) => (
                   <div
-                    className="search-results"
-                    style={{
-                      position: "absolute",
-                      top: "100%",
-                      left: 0,
-                      right: 0,
-                      background: "var(--color-bg-secondary)",
-                      borderRadius: "var(--radius-md)",
-                      marginTop: "4px",
-                      zIndex: 100,
-                      boxShadow: "var(--shadow-lg)",
+                    key={waypoint.id}
+                    className="waypoint-row"
+                    draggable
+                    onDragStart={() => (dragIndex.current = index)}
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={() => {
+                      moveWaypoint(dragIndex.current, index);
+                      dragIndex.current = null;
                     }}
                   >
-                    {destResults.map((result) => (
-                      <div
-                        key={result.id}
-                        onClick={() => selectDestination(result)}
-                        style={{
-                          padding: "12px 16px",
-                          cursor: "pointer",
-                          borderBottom: "1px solid rgba(255,255,255,0.06)",
-                          fontSize: "14px",
-                        }}
-                        onMouseEnter={(e) =>
-                          (e.target.style.background =
-                            "var(--color-bg-tertiary)")
-                        }
-                        onMouseLeave={(e) =>
-                          (e.target.style.background = "transparent")
+                    <span
+                      className="waypoint-handle"
+                      title={t("stops.dragToReorder")}
+                    >
+                      ⋮⋮
+                    </span>
+                    <div className="location-input-wrapper" style={{ flex: 1 }}>
+                      <span className="icon waypoint-number">
+                        {formatNumber(index + 1)}
+                      </span>
+                      <input
+                        type="text"
+                        className="location-input"
+                        placeholder={t("stops.placeholder", { number: index + 1 })}
+                        value={waypoint.search}
+                        onChange={(e) =>
+                          handleWaypointSearch(waypoint.id, e.target.value)
                         }
-                      >
-                        <div style={{ fontWeight: 500 }}>{result.name}</div>
+                      />
+                      {waypoint.results.length > 0 && (
                         <div
+                          className="search-results"
                           style={{
-                            fontSize: "12px",
-                            color: "var(--color-text-muted)",
-                            marginTop: "2px",
+                            position: "absolute",
+                            top: "100%",
+                            left: 0,
+                            right: 0,
+                            background: "var(--color-bg-secondary)",
+                            borderRadius: "var(--radius-md)",
+                            marginTop: "4px",
+                            zIndex: 100,
+                            boxShadow: "var(--shadow-lg)",
                           }}
                         >
-                          {result.displayName}
+                          {waypoint.results.map((result) => (
+                            <div
+                              key={result.id}
+                              onClick={() => selectWaypoint(waypoint.id, result)}
+                              style={{
+                                padding: "12px 16px",
+                                cursor: "pointer",
+                                borderBottom: "1px solid rgba(255,255,255,0.06)",
+                                fontSize: "14px",
+                              }}
+                            >
+                              <div style={{ fontWeight: 500 }}>{result.name}</div>
+                              <div
+                                style={{
+                                  fontSize: "12px",
+                                  color: "var(--color-text-muted)",
+                                  marginTop: "2px",
+                                }}
+                              >
+                                {result.displayName}
+                              </div>
+                            </div>
+                          ))}
                         </div>
-                      </div>
-                    ))}
+                      )}
+                    </div>
+                    <button
+                      className="waypoint-remove"
+                      onClick={() => removeWaypoint(waypoint.id)}
+                      title={t("stops.remove")}
+                    >
+                      ×
+                    </button>
                   </div>
-                )}
+                ))}
+
+                <div className="waypoint-actions">
+                  <button
+                    className="waypoint-add"
+                    onClick={addWaypoint}
+                    disabled={waypoints.length >= MAX_WAYPOINTS}
+                  >
+                    {t("stops.add")}
+                  </button>
+                  {waypoints.length > 1 && (
+                    <label className="waypoint-optimize">
+                      <input
+                        type="checkbox"
+                        checked={optimizeOrder}
+                        onChange={(e) => setOptimizeOrder(e.target.checked)}
+                      />
+                      {t("stops.optimise")}
+                    </label>
+                  )}
+                </div>
               </div>
-            </div>
+            )}
 
             <div style={{ marginTop: "12px", display: "flex", gap: "8px" }}>
               <button
@@ -583,14 +1451,14 @@ function App() {
                   cursor: "pointer",
                 }}
               >
-                📍 Use My Location
+                {t("search.useMyLocation")}
               </button>
             </div>
           </section>
 
           {/* Vibe Toggle Section */}
           <section className="vibe-section">
-            <h2>Route Preferences</h2>
+            <h2>{t("preferences.title")}</h2>
 
             <div className="vibe-toggles">
               <div className="vibe-toggle">
@@ -599,7 +1467,7 @@ function App() {
                     <span className="icon">
                       <Icons.Volume />
                     </span>
-                    Quietness Priority
+                    {t("preferences.quietness")}
                   </label>
                   <span className="vibe-toggle-value">
                     {getVibeLabel(quietness)}
@@ -615,8 +1483,8 @@ function App() {
                   onChange={(e) => setQuietness(parseFloat(e.target.value))}
                 />
                 <div className="vibe-labels">
-                  <span>Fastest</span>
-                  <span>Quietest</span>
+                  <span>{t("preferences.fastest")}</span>
+                  <span>{t("preferences.quietest")}</span>
                 </div>
               </div>
 
@@ -626,7 +1494,7 @@ function App() {
                     <span className="icon">
                       <Icons.Sun />
                     </span>
-                    Lighting Priority
+                    {t("preferences.lighting")}
                   </label>
                   <span className="vibe-toggle-value">
                     {getVibeLabel(brightness)}
@@ -642,25 +1510,105 @@ function App() {
                   onChange={(e) => setBrightness(parseFloat(e.target.value))}
                 />
                 <div className="vibe-labels">
-                  <span>Any</span>
-                  <span>Well-Lit</span>
+                  <span>{t("preferences.any")}</span>
+                  <span>{t("preferences.wellLit")}</span>
                 </div>
               </div>
             </div>
 
+            <select
+              className="accessibility-select"
+              value={accessibility}
+              onChange={(e) => setAccessibility(e.target.value)}
+            >
+              <option value="">
+                {t("preferences.accessibility", {
+                  need: t(
+                    `accessibilityNeeds.${
+                      travelMode === "wheelchair" ? "wheelchair" : "none"
+                    }`
+                  ),
+                })}
+              </option>
+              {Object.keys(ACCESSIBILITY_NEEDS).map((key) => (
+                <option key={key} value={key}>
+                  ♿ {t(`accessibilityNeeds.${key}`)}
+                </option>
+              ))}
+            </select>
+
+            <div style={{ marginTop: "12px", display: "flex", gap: "8px" }}>
+              <select
+                value={timeMode}
+                onChange={(e) => setTimeMode(e.target.value)}
+                style={{
+                  flex: 1,
+                  padding: "8px",
+                  background: "var(--color-bg-tertiary)",
+                  border: "1px solid rgba(255,255,255,0.1)",
+                  borderRadius: "var(--radius-sm)",
+                  color: "var(--color-text-secondary)",
+                  fontSize: "12px",
+                }}
+              >
+                <option value="now">{t("timing.now")}</option>
+                <option value="depart">{t("timing.departAt")}</option>
+                <option value="arrive" disabled={tripMode === "transit"}>
+                  {t("timing.arriveBy")}
+                </option>
+              </select>
+              {timeMode !== "now" && (
+                <input
+                  type="datetime-local"
+                  value={timeValue}
+                  onChange={(e) => setTimeValue(e.target.value)}
+                  style={{
+                    flex: 2,
+                    padding: "8px",
+                    background: "var(--color-bg-tertiary)",
+                    border: "1px solid rgba(255,255,255,0.1)",
+                    borderRadius: "var(--radius-sm)",
+                    color: "var(--color-text-secondary)",
+                    fontSize: "12px",
+                  }}
+                />
+              )}
+            </div>
+
             <button
               className="btn-primary"
               onClick={calculateRoutes}
-              disabled={!origin || !destination || isLoading}
+              disabled={
+                !origin ||
+                (tripMode !== "loop" && !destination) ||
+                (tripMode === "loop" && !(loopTarget > 0)) ||
+                isLoading
+              }
             >
-              {isLoading ? "Calculating..." : "Find Routes"}
+              {isLoading
+                ? t("actions.calculating")
+                : tripMode === "loop"
+                ? t("actions.findLoops")
+                : tripMode === "transit"
+                ? t("actions.findMetroTrips")
+                : t("actions.findRoutes")}
             </button>
           </section>
 
           {/* Route Results */}
           {routes.length > 0 && (
             <section className="route-results animate-slide-up">
-              <h2>Route Options</h2>
+              <h2>{t("results.title")}</h2>
+
+              {!navigation && tripMode !== "transit" && (
+                <button className="start-nav-btn" onClick={startNavigation}>
+                  {t(
+                    travelMode === "walking"
+                      ? "results.startWalk"
+                      : "results.startTrip"
+                  )}
+                </button>
+              )}
 
               {routes.map((route, index) => (
                 <div
@@ -671,11 +1619,24 @@ function App() {
                   onClick={() => setSelectedRoute(route.id)}
                 >
                   <div className="route-card-header">
-                    <span className="route-card-title">
-                      {index === 0 ? "Best Match" : `Alternative ${index}`}
+                    <span
+                      className="route-card-title"
+                      style={{ color: route.color }}
+                    >
+                      {route.label === "loop"
+                        ? t("results.quietLoop", { number: index + 1 })
+                        : route.label === "transit"
+                        ? t("results.metroTrip", { number: index + 1 })
+                        : route.wins.length > 0
+                        ? route.wins
+                            .map((win) => t(`routeLabels.${win}`))
+                            .join(" & ")
+                        : t("routeLabels.balanced")}
                     </span>
                     {route.recommended && (
-                      <span className="route-card-badge">Recommended</span>
+                      <span className="route-card-badge">
+                        {t("results.recommended")}
+                      </span>
                     )}
                   </div>
 
@@ -684,34 +1645,368 @@ function App() {
                       <span className="route-stat-value">
                         {formatDuration(route.duration)}
                       </span>
-                      <span className="route-stat-label">Duration</span>
+                      <span className="route-stat-label">
+                        {t("results.duration")}
+                      </span>
                     </div>
                     <div className="route-stat">
                       <span className="route-stat-value">
                         {formatDistance(route.distance)}
                       </span>
-                      <span className="route-stat-label">Distance</span>
+                      <span className="route-stat-label">
+                        {t("results.distance")}
+                      </span>
                     </div>
+                    {route.label === "transit" ? (
+                      <>
+                        <div className="route-stat">
+                          <span className="route-stat-value">
+                            {formatNumber(route.transfers)}
+                          </span>
+                          <span className="route-stat-label">
+                            {t("results.transfers")}
+                          </span>
+                        </div>
+                        <div className="route-stat">
+                          <span className="route-stat-value">
+                            {formatQuietShare(route.stats.noiseScore)}
+                          </span>
+                          <span className="route-stat-label">
+                            {t("results.walkQuiet")}
+                          </span>
+                        </div>
+                      </>
+                    ) : route.label === "loop" ? (
+                      <>
+                        <div className="route-stat">
+                          <span className="route-stat-value">
+                            {formatQuietShare(route.stats.noiseScore)}
+                          </span>
+                          <span className="route-stat-label">
+                            {t("results.quiet")}
+                          </span>
+                        </div>
+                        <div className="route-stat">
+                          <span className="route-stat-value">
+                            {formatNumber(route.stats.lightingScore, {
+                              style: "percent",
+                              maximumFractionDigits: 0,
+                            })}
+                          </span>
+                          <span className="route-stat-label">
+                            {t("results.lit")}
+                          </span>
+                        </div>
+                      </>
+                    ) : (
+                      <div className="route-stat">
+                        <span className="route-stat-value">
+                          {route.wins.includes("fastest")
+                            ? "—"
+                            : `+${formatDuration(route.extraDuration)}`}
+                        </span>
+                        <span className="route-stat-label">
+                          {t("results.vsFastest")}
+                        </span>
+                      </div>
+                    )}
                   </div>
 
-                  <div className="route-card-indicators">
-                    <div className="indicator">
-                      <span className="indicator-dot quiet"></span>
-                      Quiet streets
+                  {route.stats.avoidZones.length > 0 && (
+                    <div
+                      className={`route-zone-warning ${
+                        route.stats.blocked ? "blocked" : ""
+                      }`}
+                    >
+                      {t("results.crosses", {
+                        zones: route.stats.avoidZones
+                          .map(
+                            (zone) =>
+                              `${zone.name} (${formatDistance(zone.distance)})`
+                          )
+                          .join(", "),
+                      })}
                     </div>
-                    <div className="indicator">
-                      <span className="indicator-dot lit"></span>
-                      Well lit
+                  )}
+
+                  {getAccessibilityNeed({ accessibility, mode: travelMode }) !==
+                    "none" && (
+                    <div
+                      className={`route-accessibility ${route.stats.accessibility.verdict}`}
+                    >
+                      <div className="route-accessibility-verdict">
+                        {t(`accessibility.${route.stats.accessibility.verdict}`)}
+                      </div>
+                      {route.stats.accessibility.problems
+                        .slice(0, 4)
+                        .map((problem, problemIndex) => (
+                          <div
+                            key={problemIndex}
+                            className="route-accessibility-problem"
+                          >
+                            {problem.issues
+                              .map((key) => t(`accessibilityIssues.${key}`))
+                              .join(", ")}{" "}
+                            · {problem.name || t("accessibility.unnamedWay")} (
+                            {formatDistance(problem.distance)})
+                          </div>
+                        ))}
+                      {route.stats.accessibility.problems.length > 4 && (
+                        <div className="route-accessibility-problem">
+                          {t("accessibility.more", {
+                            count: route.stats.accessibility.problems.length - 4,
+                          })}
+                        </div>
+                      )}
                     </div>
-                  </div>
+                  )}
+
+                  {route.transitLegs && (
+                    <div className="route-legs">
+                      {route.transitLegs.map((leg, legIndex) =>
+                        leg.type === "metro" ? (
+                          <div key={legIndex} className="route-leg transit">
+                            <span style={{ color: leg.route.color }}>
+                              🚇 {leg.route.shortName || leg.route.longName}
+                            </span>
+                            <span>
+                              {leg.stations[0].name} →{" "}
+                              {leg.stations[leg.stations.length - 1].name}
+                            </span>
+                            <span>
+                              {formatZonedClock(
+                                leg.departAt,
+                                city.timeZone
+                              )}
+                              –
+                              {formatZonedClock(
+                                leg.arriveAt,
+                                city.timeZone
+                              )}
+                            </span>
+                          </div>
+                        ) : (
+                          <div key={legIndex} className="route-leg">
+                            <span>
+                              🚶{" "}
+                              {leg.to
+                                ? leg.to.name
+                                  ? t("transit.toEntrance", {
+                                      station: leg.to.stationName,
+                                      entrance: leg.to.name,
+                                    })
+                                  : t("transit.toStation", {
+                                      station: leg.to.stationName,
+                                    })
+                                : t("transit.toDestination")}
+                            </span>
+                            <span>{formatDistance(leg.distance)}</span>
+                            <span>
+                              {t("results.quietShare", {
+                                percent: formatQuietShare(leg.stats.noiseScore),
+                              })}
+                            </span>
+                          </div>
+                        )
+                      )}
+                    </div>
+                  )}
+
+                  {route.stats.legs && (
+                    <div className="route-legs">
+                      {route.stats.legs.map((leg, legIndex) => (
+                        <div key={legIndex} className="route-leg">
+                          <span>
+                            {t("results.leg", { number: legIndex + 1 })}
+                          </span>
+                          <span>{formatDistance(leg.distance)}</span>
+                          <span>
+                            {t("results.quietShare", {
+                              percent: formatQuietShare(leg.noiseScore),
+                            })}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {timeMode !== "now" && timeValue && (
+                    <div
+                      style={{
+                        fontSize: "12px",
+                        color: "var(--color-text-muted)",
+                        marginTop: "8px",
+                      }}
+                    >
+                      {t("timing.summary", {
+                        depart: formatZonedClock(
+                          route.stats.departAt,
+                          city.timeZone
+                        ),
+                        arrive: formatZonedClock(
+                          route.stats.arriveAt,
+                          city.timeZone
+                        ),
+                      })}
+                    </div>
+                  )}
+
+                  {route.explanation?.length > 0 && (
+                    <ul className="route-explanation">
+                      {route.explanation.map((reason, i) => (
+                        <li key={i} className="indicator">
+                          <span
+                            className={`indicator-dot ${
+                              reason.tone === "good" ? "quiet" : "loud"
+                            }`}
+                          ></span>
+                          {formatReason(reason)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
               ))}
             </section>
           )}
 
+          {/* Avoid Zones */}
+          <section className="avoid-zone-section">
+            <h2>{t("avoidZones.title")}</h2>
+            <p
+              style={{
+                fontSize: "12px",
+                color: "var(--color-text-muted)",
+                marginBottom: "12px",
+              }}
+            >
+              {drawMode === "polygon"
+                ? t("avoidZones.drawPolygon")
+                : drawMode === "circle"
+                ? t("avoidZones.drawCircle")
+                : t("avoidZones.hint")}
+            </p>
+
+            <div className="avoid-zone-controls">
+              <select
+                value={zoneMode}
+                onChange={(e) => setZoneMode(e.target.value)}
+              >
+                <option value="penalise">{t("avoidZones.penalise")}</option>
+                <option value="block">{t("avoidZones.block")}</option>
+              </select>
+              <button
+                className={drawMode === "polygon" ? "active" : ""}
+                onClick={() => {
+                  setDraftPoints([]);
+                  setDrawMode("polygon");
+                }}
+              >
+                {t("avoidZones.area")}
+              </button>
+              <button
+                className={drawMode === "circle" ? "active" : ""}
+                onClick={() => setDrawMode("circle")}
+              >
+                {t("avoidZones.circle")}
+              </button>
+              {drawMode === "circle" && (
+                <input
+                  type="number"
+                  min={MIN_AVOID_ZONE_RADIUS}
+                  step="25"
+                  value={circleRadius}
+                  onChange={(e) =>
+                    setCircleRadius(parseFloat(e.target.value) || 0)
+                  }
+                  title={t("avoidZones.radius")}
+                />
+              )}
+            </div>
+
+            {drawMode && (
+              <div className="avoid-zone-controls">
+                {drawMode === "polygon" && (
+                  <button
+                    onClick={finishPolygonZone}
+                    disabled={draftPoints.length < 3}
+                  >
+                    {t("avoidZones.finish")}
+                  </button>
+                )}
+                <button onClick={cancelDrawing}>
+                  {t("avoidZones.cancel")}
+                </button>
+              </div>
+            )}
+
+            {avoidZones.map((zone) => (
+              <div key={zone.id} className="avoid-zone-item">
+                <span>
+                  {zone.mode === "block" ? "⛔" : "⚠️"} {zone.name}
+                </span>
+                <button
+                  onClick={() => removeAvoidZone(zone.id)}
+                  title={t("avoidZones.remove")}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </section>
+
+          {/* Quiet Reach */}
+          <section className="reach-section">
+            <h2>{t("reach.title")}</h2>
+            <p
+              style={{
+                fontSize: "12px",
+                color: "var(--color-text-muted)",
+                marginBottom: "12px",
+              }}
+            >
+              {origin ? t("reach.hint") : t("reach.needOrigin")}
+            </p>
+
+            <button
+              className={`reach-toggle ${showReach ? "active" : ""}`}
+              onClick={() => setShowReach(!showReach)}
+              disabled={!origin}
+            >
+              {showReach ? t("reach.hide") : t("reach.show")}
+            </button>
+
+            {[...isochrones].reverse().map((isochrone, index) => (
+              <div key={isochrone.minutes} className="reach-item">
+                <span
+                  className="reach-swatch"
+                  style={{ background: REACH_COLORS[index] }}
+                />
+                {t("reach.within", { minutes: isochrone.minutes })}
+                {" · "}
+                {t("units.squareKilometers", {
+                  value: formatNumber(isochrone.area / 1e6, {
+                    minimumFractionDigits: 1,
+                    maximumFractionDigits: 1,
+                  }),
+                })}
+                {isochrone.baselineArea > 0 && (
+                  <span className="reach-share">
+                    {t("reach.share", {
+                      percent: formatNumber(
+                        isochrone.area / isochrone.baselineArea,
+                        { style: "percent", maximumFractionDigits: 0 }
+                      ),
+                    })}
+                  </span>
+                )}
+              </div>
+            ))}
+          </section>
+
           {/* Report Section */}
           <section className="report-section">
-            <h2>Report an Issue</h2>
+            <h2>{t("reports.title")}</h2>
             <p
               style={{
                 fontSize: "12px",
@@ -719,9 +2014,7 @@ function App() {
                 marginBottom: "12px",
               }}
             >
-              {isReporting
-                ? "Click on the map to place your report"
-                : "Help others navigate safely"}
+              {isReporting ? t("reports.placing") : t("reports.hint")}
             </p>
 
             <div className="report-tags">
@@ -739,11 +2032,31 @@ function App() {
                   }}
                 >
                   <span className="emoji">{type.emoji}</span>
-                  {type.label}
+                  {t(`reportTypes.${type.id}`)}
                 </button>
               ))}
             </div>
 
+            <button
+              className="measure-noise-btn"
+              onClick={handleMeasureNoise}
+              disabled={noiseMeter?.status === "measuring"}
+            >
+              <span className="emoji">🎙️</span>
+              {noiseMeter?.status === "measuring"
+                ? t("noiseMeter.measuring", {
+                    seconds: NOISE_MEASUREMENT_SECONDS,
+                  })
+                : t("noiseMeter.measure")}
+            </button>
+            <p className="measure-noise-status">
+              {noiseMeter && noiseMeter.status !== "measuring"
+                ? t(`noiseMeter.${noiseMeter.status}`, {
+                    level: Math.round(noiseMeter.level),
+                  })
+                : t("noiseMeter.privacy")}
+            </p>
+
             {isReporting && (
               <button
                 style={{
@@ -762,10 +2075,83 @@ function App() {
                   setSelectedReportType(null);
                 }}
               >
-                Cancel Reporting
+                {t("reports.cancel")}
               </button>
             )}
           </section>
+
+          {/* Account Section */}
+          <section className="account-section">
+            <h2>{t("account.title")}</h2>
+            {user ? (
+              <div className="account-user">
+                <span>{t("account.signedInAs", { email: user.email })}</span>
+                <button onClick={handleSignOut}>{t("account.signOut")}</button>
+              </div>
+            ) : (
+              <>
+                <p
+                  style={{
+                    fontSize: "12px",
+                    color: "var(--color-text-muted)",
+                    marginBottom: "12px",
+                  }}
+                >
+                  {t("account.hint")}
+                </p>
+                <div className="account-form">
+                  <input
+                    type="email"
+                    placeholder={t("account.email")}
+                    value={accountEmail}
+                    onChange={(e) => setAccountEmail(e.target.value)}
+                    autoComplete="email"
+                  />
+                  <input
+                    type="password"
+                    placeholder={t("account.password")}
+                    value={accountPassword}
+                    onChange={(e) => setAccountPassword(e.target.value)}
+                    autoComplete="current-password"
+                  />
+                  <div className="account-actions">
+                    <button
+                      onClick={() => handleSignIn(false)}
+                      disabled={
+                        isSigningIn || !accountEmail || !accountPassword
+                      }
+                    >
+                      {t("account.signIn")}
+                    </button>
+                    <button
+                      onClick={() => handleSignIn(true)}
+                      disabled={
+                        isSigningIn || !accountEmail || !accountPassword
+                      }
+                    >
+                      {t("account.signUp")}
+                    </button>
+                  </div>
+                  <button
+                    className="account-link"
+                    onClick={handleEmailLink}
+                    disabled={isSigningIn || !accountEmail}
+                  >
+                    {t("account.emailLink")}
+                  </button>
+                </div>
+              </>
+            )}
+            {accountMessage && (
+              <p
+                className={`account-message ${
+                  accountMessage.error ? "error" : ""
+                }`}
+              >
+                {t(`account.${accountMessage.key}`, accountMessage.params)}
+              </p>
+            )}
+          </section>
         </div>
       </aside>
 
@@ -781,7 +2167,7 @@ function App() {
           mapStyle={useOSM ? OSM_STYLE : MAP_STYLE}
           mapLib={useOSM ? maplibregl : undefined}
           mapboxAccessToken={useOSM ? undefined : MAPBOX_TOKEN}
-          cursor={isReporting ? "crosshair" : "grab"}
+          cursor={isReporting || drawMode ? "crosshair" : "grab"}
         >
           <NavigationControl position="top-right" />
           <GeolocateControl position="top-right" trackUserLocation />
@@ -791,6 +2177,23 @@ function App() {
             <Layer {...heatmapLayerStyle} />
           </Source>
 
+          {/* Quiet reach */}
+          <Source id="isochrones" type="geojson" data={isochronesGeoJSON}>
+            <Layer {...isochroneFillStyle} />
+            <Layer {...isochroneLineStyle} />
+          </Source>
+
+          {/* Avoid zones */}
+          <Source id="avoid-zones" type="geojson" data={avoidZonesGeoJSON}>
+            <Layer {...avoidZoneFillStyle} />
+            <Layer {...avoidZoneLineStyle} />
+          </Source>
+
+          {/* Avoid zone being drawn */}
+          <Source id="avoid-zone-draft" type="geojson" data={draftGeoJSON}>
+            <Layer {...draftLineStyle} />
+          </Source>
+
           {/* Route lines */}
           {routes.length > 0 && (
             <Source id="routes" type="geojson" data={routesGeoJSON}>
@@ -798,6 +2201,17 @@ function App() {
             </Source>
           )}
 
+          {/* Device position while navigating */}
+          {navPosition && (
+            <Marker
+              longitude={navPosition.lng}
+              latitude={navPosition.lat}
+              anchor="center"
+            >
+              <div className="nav-position-marker" />
+            </Marker>
+          )}
+
           {/* Origin marker */}
           {origin && (
             <Marker
@@ -818,6 +2232,22 @@ function App() {
             </Marker>
           )}
 
+          {/* Stop markers */}
+          {waypoints
+            .filter((waypoint) => waypoint.location)
+            .map((waypoint) => (
+              <Marker
+                key={waypoint.id}
+                longitude={waypoint.location.lng}
+                latitude={waypoint.location.lat}
+                anchor="center"
+              >
+                <div className="waypoint-marker">
+                  {formatNumber(waypoints.indexOf(waypoint) + 1)}
+                </div>
+              </Marker>
+            ))}
+
           {/* Destination marker */}
           {destination && (
             <Marker
@@ -867,23 +2297,62 @@ function App() {
                   fontSize: "14px",
                   boxShadow: "var(--shadow-md)",
                 }}
-                title={`${report.type} report`}
+                title={t("reports.marker", {
+                  type: t(`reportTypes.${report.type}`),
+                })}
               >
-                {getReportTypes().find((t) => t.id === report.type)?.emoji ||
+                {getReportTypes().find((type) => type.id === report.type)?.emoji ||
                   "⚠️"}
               </div>
             </Marker>
           ))}
         </Map>
 
+        {/* Turn-by-turn navigation */}
+        {navigation && (
+          <div className="nav-panel">
+            {isRerouting ? (
+              <div className="nav-status">{t("navigation.rerouting")}</div>
+            ) : (
+              navState?.offRoute && (
+                <div className="nav-status">
+                  {t("navigation.offRoute", {
+                    distance: formatDistance(navState.offset),
+                  })}
+                </div>
+              )
+            )}
+            <div className="nav-current">
+              {navState
+                ? navState.current?.text || t("navigation.followRoute")
+                : t("navigation.waiting")}
+            </div>
+            {navState && (
+              <div className="nav-next">
+                <span className="nav-next-distance">
+                  {formatDistance(navState.distanceToNext)}
+                </span>
+                {navState.next
+                  ? navState.next.text
+                  : t("navigation.arriveAtDestination")}
+              </div>
+            )}
+            <button className="nav-stop-btn" onClick={stopNavigation}>
+              {t("navigation.end")}
+            </button>
+          </div>
+        )}
+
         {/* Heatmap Legend */}
         <div className="heatmap-legend">
           <div className="legend-item">
-            <span style={{ color: "var(--color-quiet)" }}>●</span> Quiet
+            <span style={{ color: "var(--color-quiet)" }}>●</span>{" "}
+            {t("legend.quiet")}
           </div>
           <div className="legend-gradient"></div>
           <div className="legend-item">
-            <span style={{ color: "var(--color-loud)" }}>●</span> Loud
+            <span style={{ color: "var(--color-loud)" }}>●</span>{" "}
+            {t("legend.loud")}
           </div>
         </div>
       </div>
@@ -892,7 +2361,7 @@ function App() {
       <button
         className="panic-btn"
         onClick={handlePanic}
-        title="Emergency: Find Safe Location"
+        title={t("panic.title")}
       >
         <Icons.Shield />
       </button>
@@ -904,7 +2373,7 @@ function App() {
           style={{ background: "rgba(10,10,15,0.8)" }}
         >
           <div className="loading-spinner"></div>
-          <p className="loading-text">Finding the best routes for you...</p>
+          <p className="loading-text">{t("app.loading")}</p>
         </div>
       )}
     </div>
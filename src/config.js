@@ -5,13 +5,60 @@
 // Get one free at: https://account.mapbox.com/
 export const MAPBOX_TOKEN = 'pk.eyJ1IjoicXVpZXRyb3V0ZS1kZW1vIiwiYSI6ImNscXh5ejAxMjBhMWYyaW1wbzN5c2N1OGwifQ.demo-token-placeholder';
 
-// Kolkata, West Bengal - Center coordinates
-export const DEFAULT_CENTER = {
-  longitude: 88.3639,
-  latitude: 22.5726,
-  zoom: 13
+// Cities QuietRoute serves: map view, bounds (search bias and report/safe place
+// scoping), time zone for trip times and time-of-day rules (not the device's zone),
+// quick-pick locations, the OSM extract the data is imported from, and the OSRM
+// dataset name (CITY=<dataset> OSM_EXTRACT_URL=<osmExtract> docker compose up builds
+// osrm-data/<profile>/<dataset>.osrm)
+export const CITIES = {
+  kolkata: {
+    name: 'Kolkata',
+    center: { longitude: 88.3639, latitude: 22.5726, zoom: 13 },
+    bounds: { west: 88.2, south: 22.4, east: 88.5, north: 22.7 },
+    timeZone: 'Asia/Kolkata',
+    popularLocations: [
+      { name: 'Howrah Station', lat: 22.5839, lng: 88.3426 },
+      { name: 'Victoria Memorial', lat: 22.5448, lng: 88.3426 },
+      { name: 'Park Street', lat: 22.5531, lng: 88.3529 },
+      { name: 'Salt Lake City', lat: 22.5800, lng: 88.4133 },
+      { name: 'Esplanade', lat: 22.5678, lng: 88.3517 },
+      { name: 'New Town', lat: 22.5958, lng: 88.4847 },
+      { name: 'Jadavpur University', lat: 22.4992, lng: 88.3713 },
+      { name: 'Dakshineswar Temple', lat: 22.6547, lng: 88.3575 }
+    ],
+    osmExtract: 'https://download.geofabrik.de/asia/india/west-bengal-latest.osm.pbf',
+    dataset: 'kolkata'
+  },
+  delhi: {
+    name: 'Delhi',
+    center: { longitude: 77.2090, latitude: 28.6139, zoom: 12 },
+    bounds: { west: 76.84, south: 28.40, east: 77.35, north: 28.88 },
+    timeZone: 'Asia/Kolkata',
+    popularLocations: [
+      { name: 'India Gate', lat: 28.6129, lng: 77.2295 },
+      { name: 'Connaught Place', lat: 28.6315, lng: 77.2167 },
+      { name: 'New Delhi Railway Station', lat: 28.6430, lng: 77.2194 },
+      { name: 'Chandni Chowk', lat: 28.6506, lng: 77.2303 },
+      { name: 'Lodhi Garden', lat: 28.5931, lng: 77.2197 },
+      { name: 'Hauz Khas Village', lat: 28.5535, lng: 77.1946 },
+      { name: 'Lajpat Nagar', lat: 28.5677, lng: 77.2433 },
+      { name: 'Qutub Minar', lat: 28.5245, lng: 77.1855 }
+    ],
+    osmExtract: 'https://download.geofabrik.de/asia/india/northern-zone-latest.osm.pbf',
+    dataset: 'delhi'
+  }
 };
 
+// City shown until the user picks one
+export const DEFAULT_CITY = 'kolkata';
+
+// Default city's view and time zone, for code that has no city to hand
+export const DEFAULT_CENTER = CITIES[DEFAULT_CITY].center;
+export const DEFAULT_TIMEZONE = CITIES[DEFAULT_CITY].timeZone;
+
+// Language used when the device asks for one we have no catalogue for
+export const DEFAULT_LOCALE = 'en';
+
 // Map style - Dark theme optimized for route visualization
 export const MAP_STYLE = 'mapbox://styles/mapbox/dark-v11';
 
@@ -41,15 +88,44 @@ export const OSM_STYLE = {
   ]
 };
 
-// OSRM Routing Server (local Docker instance)
+// OSRM Routing Server (local Docker instance, foot profile)
 export const OSRM_SERVER = 'http://localhost:5000';
 
+// Local OSRM instances for the other travel modes (one dataset per profile)
+export const OSRM_BIKE_SERVER = 'http://localhost:5001';
+export const OSRM_WHEELCHAIR_SERVER = 'http://localhost:5002';
+
 // Alternative public OSRM demo server (for testing)
 export const OSRM_DEMO_SERVER = 'https://router.project-osrm.org';
 
+// Other routing engines that can stand in for OSRM (see ROUTING_PROVIDERS)
+export const VALHALLA_SERVER = 'http://localhost:8002';
+export const GRAPHHOPPER_SERVER = 'http://localhost:8989';
+// Hosted GraphHopper key: it ships with the app, so it is public. Use a key
+// restricted to this app's domain, or a self-hosted server that needs none
+export const GRAPHHOPPER_API_KEY = '';
+
+// Routing engines, tried in order: 'osrm' | 'valhalla' | 'graphhopper'.
+// An OSRM provider without a url uses each travel mode's own server; carOnly
+// servers are retimed at the mode's speed. ROUTING_PROVIDERS in server/.env
+// replaces this list when the backend sets it
+export const ROUTING_PROVIDERS = [
+  { type: 'osrm', name: 'OSRM demo', url: OSRM_DEMO_SERVER, carOnly: true },
+  { type: 'osrm', name: 'Local OSRM' }
+];
+
+// A provider that fails is skipped this long, then health-checked before it is used again
+export const PROVIDER_RETRY_INTERVAL = 30 * 1000; // ms
+
 // Backend API
 export const API_BASE_URL = 'http://localhost:3001/api';
 
+// Route with the backend's weighted street graph (/api/route) instead of OSRM
+export const USE_NATIVE_ROUTER = false;
+
+// Average walking speed used for native route durations (m/s, ~5 km/h)
+export const WALKING_SPEED = 1.4;
+
 // Route color palette
 export const ROUTE_COLORS = {
   fastest: '#f59e0b',
@@ -83,12 +159,122 @@ export const LIGHTING_WEIGHTS = {
   lit_unknown: 1.5    // Assume moderate
 };
 
+// Cyclists ride in the traffic lane, so busy roads are louder than from the pavement
+export const CYCLING_NOISE_WEIGHTS = {
+  ...NOISE_WEIGHTS,
+  trunk: 3.0,
+  primary: 2.8,
+  secondary: 2.3,
+  tertiary: 1.7,
+  cycleway: 0.5
+};
+
+// Cyclists carry their own lights, so unlit streets matter less
+export const CYCLING_LIGHTING_WEIGHTS = {
+  lit_yes: 0.6,
+  lit_limited: 1.0,
+  lit_no: 1.6,
+  lit_unknown: 1.3
+};
+
+// Wheelchair users need light to see kerbs and broken paving
+export const WHEELCHAIR_LIGHTING_WEIGHTS = {
+  lit_yes: 0.5,
+  lit_limited: 1.2,
+  lit_no: 2.5,
+  lit_unknown: 1.8
+};
+
+// Travel modes: OSRM profile and server, speed (m/s), exposure weights and
+// road types the mode cannot use on the backend graph
+export const TRAVEL_MODES = {
+  walking: {
+    label: 'Walk',
+    emoji: '🚶',
+    profile: 'foot',
+    server: OSRM_SERVER,
+    speed: WALKING_SPEED,
+    noiseWeights: NOISE_WEIGHTS,
+    lightingWeights: LIGHTING_WEIGHTS,
+    excludedHighways: ['motorway', 'motorway_link', 'construction', 'proposed']
+  },
+  cycling: {
+    label: 'Cycle',
+    emoji: '🚲',
+    profile: 'bike',
+    server: OSRM_BIKE_SERVER,
+    speed: 4.2, // ~15 km/h
+    noiseWeights: CYCLING_NOISE_WEIGHTS,
+    lightingWeights: CYCLING_LIGHTING_WEIGHTS,
+    excludedHighways: ['motorway', 'motorway_link', 'construction', 'proposed', 'steps']
+  },
+  wheelchair: {
+    label: 'Wheelchair',
+    emoji: '🦽',
+    profile: 'wheelchair',
+    server: OSRM_WHEELCHAIR_SERVER,
+    speed: 0.9, // ~3 km/h
+    noiseWeights: NOISE_WEIGHTS,
+    lightingWeights: WHEELCHAIR_LIGHTING_WEIGHTS,
+    excludedHighways: ['motorway', 'motorway_link', 'construction', 'proposed', 'steps']
+  }
+};
+
+export const DEFAULT_TRAVEL_MODE = 'walking';
+
+// Cost multiplier for streets inside a user-drawn "penalise" avoid zone
+// ("block" zones are impassable)
+export const AVOID_ZONE_PENALTY = 5.0;
+
+// Smallest circle avoid zone, so a cleared radius field can't save an empty one
+export const MIN_AVOID_ZONE_RADIUS = 25; // meters
+
+// Zones around schools, markets and nightlife (npm run import:zones in server/):
+// how far from the place streets count as inside, the cost multiplier while the
+// zone is busy, and its busy hours (opening_hours syntax) when the places don't
+// tag their own. A school is busy around its opening and closing times
+export const ZONE_TYPES = {
+  school: { radius: 150, multiplier: 1.8, hours: 'Mo-Fr 07:00-10:00,14:00-17:00' },
+  market: { radius: 100, multiplier: 1.5, hours: '08:00-21:00' },
+  nightlife: { radius: 100, multiplier: 2.0, hours: 'Fr-Su 21:00-03:00' }
+};
+
+// Microphone noise meter: how long it listens, and the sound level (dB SPL) of a
+// full-scale signal, which varies by device; phone microphones are around 100
+export const NOISE_MEASUREMENT_SECONDS = 5;
+export const MIC_CALIBRATION_OFFSET = 100;
+
+// Shortest password accepted when creating an account
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Reach thresholds (minutes) drawn by the quiet-reach overlay
+export const ISOCHRONE_MINUTES = [5, 10, 15];
+
+// Accessibility problems found on street segments. Penalties multiply the cost of
+// the segment; impassable problems block it for needs that cannot get past them
+export const ACCESSIBILITY_ISSUES = {
+  steps: { label: 'Steps', penalty: 10.0, impassable: true },
+  unpaved: { label: 'Unpaved surface', penalty: 3.0, impassable: true },
+  raised_kerb: { label: 'Steep kerb', penalty: 4.0, impassable: true },
+  broken_pavement: { label: 'Broken pavement', penalty: 5.0, impassable: true },
+  rough_surface: { label: 'Rough surface', penalty: 1.8, impassable: false },
+  no_sidewalk: { label: 'No sidewalk', penalty: 2.0, impassable: false }
+};
+
+// Accessibility needs: a stroller is slowed by problems, a wheelchair is stopped by them
+export const ACCESSIBILITY_NEEDS = {
+  none: { label: 'No accessibility needs', blocks: false },
+  stroller: { label: 'Stroller / pram', blocks: false },
+  wheelchair: { label: 'Wheelchair', blocks: true }
+};
+
 // Report types for user submissions
 export const REPORT_TYPES = {
   loud: { label: 'Loud', emoji: '🔊', weight: 2.0, color: '#ef4444' },
   dark: { label: 'Dark', emoji: '🌑', weight: 1.8, color: '#64748b' },
   crowded: { label: 'Crowded', emoji: '👥', weight: 1.5, color: '#f59e0b' },
   obstruction: { label: 'Obstruction', emoji: '⚠️', weight: 3.0, color: '#dc2626' },
+  broken_pavement: { label: 'Broken Pavement', emoji: '🚧', weight: 1.2, color: '#b45309' },
   safe: { label: 'Safe', emoji: '✅', weight: 0.7, color: '#10b981' },
   quiet: { label: 'Quiet', emoji: '🤫', weight: 0.5, color: '#22d3ee' }
 };
@@ -0,0 +1,113 @@
+/**
+ * QuietRoute i18n
+ * UI and instruction strings from per-language catalogues, with numbers
+ * formatted in the chosen language's digits
+ */
+
+import { DEFAULT_LOCALE } from '../config';
+import en from './locales/en';
+import bn from './locales/bn';
+import hi from './locales/hi';
+
+const STORAGE_KEY = 'quietroute_locale';
+
+// Supported languages: name shown in the picker, Intl locale for numbers and plurals
+export const LOCALES = {
+  en: { label: 'English', intl: 'en-IN', messages: en },
+  bn: { label: 'বাংলা', intl: 'bn-IN', messages: bn },
+  hi: { label: 'हिन्दी', intl: 'hi-IN', messages: hi }
+};
+
+let currentLocale = loadLocale();
+document.documentElement.lang = currentLocale;
+
+/**
+ * Get the active language
+ * @returns {string} 'en' | 'bn' | 'hi'
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switch language and remember it on this device
+ * @param {string} locale - 'en' | 'bn' | 'hi'
+ */
+export function setLocale(locale) {
+  if (!LOCALES[locale]) return;
+
+  currentLocale = locale;
+  document.documentElement.lang = locale;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Private browsing: the choice lasts for this session only
+  }
+}
+
+/**
+ * Translate a message key, filling in {placeholders}
+ * Messages missing from the active catalogue fall back to English. Numeric
+ * params are written in the language's digits; a {count} param picks the
+ * plural form when the message has several
+ * @param {string} key - Dotted path, e.g. 'results.title'
+ * @param {Object} params - Placeholder values
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  const message = lookup(LOCALES[currentLocale].messages, key) ?? lookup(en, key) ?? key;
+  const text = typeof message === 'object'
+    ? message[new Intl.PluralRules(getIntlLocale()).select(params.count)] ?? message.other
+    : message;
+
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : value;
+  });
+}
+
+/**
+ * Write an ordinal (1st, 2nd, ...) in the active language
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatOrdinal(value) {
+  const forms = LOCALES[currentLocale].messages.ordinals || en.ordinals;
+  const category = new Intl.PluralRules(getIntlLocale(), { type: 'ordinal' }).select(value);
+
+  return (forms[category] ?? forms.other).replace('{n}', formatNumber(value));
+}
+
+/**
+ * Format a number in the active language's digits
+ * @param {number} value
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string}
+ */
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(getIntlLocale(), options).format(value);
+}
+
+function getIntlLocale() {
+  return LOCALES[currentLocale].intl;
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+// Saved choice first, then the device language, then the default
+function loadLocale() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (LOCALES[stored]) return stored;
+  } catch {
+    // Storage unavailable
+  }
+
+  const preferred = (typeof navigator !== 'undefined' && navigator.languages) || [];
+  const match = preferred.map(language => language.split('-')[0]).find(language => LOCALES[language]);
+  return match || DEFAULT_LOCALE;
+}
@@ -0,0 +1,339 @@
+/**
+ * QuietRoute strings - Bengali (বাংলা)
+ */
+
+export default {
+  app: {
+    city: 'শহর',
+    language: 'ভাষা',
+    loading: 'আপনার জন্য সেরা পথ খোঁজা হচ্ছে...'
+  },
+
+  cities: {
+    kolkata: { name: 'কলকাতা', tagline: 'কলকাতায় শান্তিতে চলাফেরা করুন' },
+    delhi: { name: 'দিল্লি', tagline: 'দিল্লিতে শান্তিতে চলাফেরা করুন' }
+  },
+
+  search: {
+    title: 'আপনার পথ পরিকল্পনা করুন',
+    origin: 'যাত্রা শুরুর জায়গা',
+    destination: 'গন্তব্য',
+    swap: 'জায়গা অদলবদল করুন',
+    useMyLocation: '📍 আমার অবস্থান ব্যবহার করুন',
+    currentLocation: 'বর্তমান অবস্থান'
+  },
+
+  travelModes: {
+    walking: 'হাঁটা',
+    cycling: 'সাইকেল',
+    wheelchair: 'হুইলচেয়ার'
+  },
+
+  tripModes: {
+    route: 'A → B',
+    transit: '🚇 হাঁটা + মেট্রো',
+    loop: 'শান্ত চক্কর'
+  },
+
+  loop: {
+    walkFor: 'হাঁটুন',
+    goFor: 'ঘুরুন',
+    minutes: 'মিনিট',
+    kilometers: 'কিমি'
+  },
+
+  stops: {
+    placeholder: 'স্টপ {number}',
+    dragToReorder: 'ক্রম বদলাতে টেনে আনুন',
+    remove: 'স্টপ সরান',
+    add: '+ স্টপ যোগ করুন',
+    optimise: 'শান্ত পথের জন্য ক্রম সাজান'
+  },
+
+  preferences: {
+    title: 'পথের পছন্দ',
+    quietness: 'নীরবতার অগ্রাধিকার',
+    lighting: 'আলোর অগ্রাধিকার',
+    fastest: 'দ্রুততম',
+    quietest: 'সবচেয়ে শান্ত',
+    any: 'যেকোনো',
+    wellLit: 'ভালো আলো',
+    low: 'কম',
+    medium: 'মাঝারি',
+    high: 'বেশি',
+    accessibility: '♿ প্রবেশযোগ্যতা: {need}'
+  },
+
+  timing: {
+    now: 'এখনই রওনা',
+    departAt: 'রওনার সময়',
+    arriveBy: 'পৌঁছানোর সময়',
+    summary: 'রওনা {depart} · পৌঁছানো {arrive} IST'
+  },
+
+  actions: {
+    calculating: 'হিসাব করা হচ্ছে...',
+    findRoutes: 'পথ খুঁজুন',
+    findLoops: 'চক্কর খুঁজুন',
+    findMetroTrips: 'মেট্রো যাত্রা খুঁজুন'
+  },
+
+  results: {
+    title: 'পথের বিকল্প',
+    startWalk: '▶ হাঁটা শুরু করুন',
+    startTrip: '▶ যাত্রা শুরু করুন',
+    quietLoop: 'শান্ত চক্কর {number}',
+    metroTrip: 'মেট্রো যাত্রা {number}',
+    recommended: 'প্রস্তাবিত',
+    duration: 'সময়',
+    distance: 'দূরত্ব',
+    transfers: 'ট্রেন বদল',
+    walkQuiet: 'শান্ত হাঁটা',
+    quiet: 'শান্ত',
+    lit: 'আলোকিত',
+    vsFastest: 'দ্রুততমের তুলনায়',
+    crosses: '⛔ পার হয় {zones}',
+    leg: 'অংশ {number}',
+    quietShare: '{percent} শান্ত'
+  },
+
+  routeLabels: {
+    fastest: 'দ্রুততম',
+    quietest: 'সবচেয়ে শান্ত',
+    brightest: 'সবচেয়ে আলোকিত',
+    balanced: 'ভারসাম্যপূর্ণ'
+  },
+
+  explanation: {
+    avoidsRoad: '{distance} {road} এড়িয়ে যায়',
+    usesRoad: '{road} ধরে {distance}',
+    quietStreets: '{percent} শান্ত রাস্তায়',
+    litStreets: '{percent} আলোকিত রাস্তায়',
+    unlitStreets: '{distance} অন্ধকার রাস্তা',
+    safePlaces: '{count}টি খোলা নিরাপদ জায়গার পাশ দিয়ে যায়',
+    reports: {
+      loud: '{count}টি কোলাহলের রিপোর্ট',
+      dark: '{count}টি অন্ধকার জায়গার রিপোর্ট',
+      crowded: '{count}টি ভিড়ের রিপোর্ট',
+      obstruction: '{count}টি বাধার রিপোর্ট',
+      broken_pavement: '{count}টি ভাঙা ফুটপাথের রিপোর্ট',
+      safe: '{count}টি নিরাপদ জায়গার রিপোর্ট',
+      quiet: '{count}টি শান্ত জায়গার রিপোর্ট'
+    }
+  },
+
+  roads: {
+    trunk: 'জাতীয় সড়ক',
+    primary: 'প্রধান সড়ক',
+    secondary: 'মাঝারি সড়ক'
+  },
+
+  accessibility: {
+    accessible: '♿ সিঁড়িহীন, বাঁধানো পথ',
+    difficult: '♿ কষ্ট করে যাওয়া যায়',
+    inaccessible: '♿ প্রবেশযোগ্য নয়',
+    unknown: '♿ এই পথের রাস্তার তথ্য নেই',
+    unnamedWay: 'নামহীন রাস্তা',
+    more: 'আরও {count}টি'
+  },
+
+  accessibilityNeeds: {
+    none: 'কোনো প্রবেশযোগ্যতার প্রয়োজন নেই',
+    stroller: 'স্ট্রলার / প্র্যাম',
+    wheelchair: 'হুইলচেয়ার'
+  },
+
+  accessibilityIssues: {
+    steps: 'সিঁড়ি',
+    unpaved: 'কাঁচা রাস্তা',
+    raised_kerb: 'উঁচু ফুটপাথের কিনারা',
+    broken_pavement: 'ভাঙা ফুটপাথ',
+    rough_surface: 'এবড়োখেবড়ো রাস্তা',
+    no_sidewalk: 'ফুটপাথ নেই'
+  },
+
+  transit: {
+    toStation: '{station} পর্যন্ত',
+    toEntrance: '{station} ({entrance}) পর্যন্ত',
+    toDestination: 'গন্তব্য পর্যন্ত'
+  },
+
+  avoidZones: {
+    title: 'এড়িয়ে চলার এলাকা',
+    hint: 'যে ব্যক্তিগত এলাকা আপনার পথ এড়িয়ে চলবে',
+    drawPolygon: 'এলাকার সীমানা আঁকতে মানচিত্রে ক্লিক করুন',
+    drawCircle: 'বৃত্ত বসাতে মানচিত্রে ক্লিক করুন',
+    penalise: 'কম পছন্দ',
+    block: 'বন্ধ',
+    area: '✏️ এলাকা',
+    circle: '⭕ বৃত্ত',
+    radius: 'ব্যাসার্ধ (মিটার)',
+    finish: 'এলাকা শেষ করুন',
+    cancel: 'বাতিল',
+    remove: 'এলাকা মুছুন',
+    namePrompt: 'এই এলাকার একটি নাম দিন',
+    defaultName: 'এড়িয়ে চলার এলাকা {number}'
+  },
+
+  reach: {
+    title: 'শান্ত নাগাল',
+    hint: 'আপনার পছন্দের রাস্তায় যাত্রা শুরুর জায়গা থেকে কতদূর যাওয়া যায়',
+    needOrigin: 'কতদূর যাওয়া যায় দেখতে যাত্রা শুরুর জায়গা বেছে নিন',
+    show: '🟢 শান্ত নাগাল দেখান',
+    hide: 'শান্ত নাগাল লুকান',
+    within: '{minutes} মিনিট',
+    share: 'দ্রুততম নাগালের {percent}'
+  },
+
+  reports: {
+    title: 'সমস্যা জানান',
+    hint: 'অন্যদের নিরাপদে চলতে সাহায্য করুন',
+    placing: 'রিপোর্ট বসাতে মানচিত্রে ক্লিক করুন',
+    cancel: 'রিপোর্ট বাতিল করুন',
+    marker: '{type} রিপোর্ট'
+  },
+
+  noiseMeter: {
+    measure: 'এখানে শব্দ মাপুন',
+    measuring: '{seconds} সেকেন্ড ধরে শুনছে…',
+    privacy: 'আপনার মাইক্রোফোন ও অবস্থান ব্যবহার করে। শুধু শব্দের মাত্রা পাঠানো হয়, কখনও অডিও নয়।',
+    saved: '{level} dB(A) মাপা হয়েছে। ধন্যবাদ, এটি এখন এই রাস্তার হিসাবে যোগ হয়েছে।',
+    unsaved: '{level} dB(A) মাপা হয়েছে, কিন্তু সংরক্ষণ করা যায়নি। অনলাইনে এসে আবার চেষ্টা করুন।',
+    denied: 'মাইক্রোফোনের অনুমতি বন্ধ। শব্দ মাপতে অনুমতি দিন।',
+    failed: 'এই ডিভাইসে শব্দ মাপা গেল না।',
+    needsLocation: 'মাপটি মানচিত্রে বসাতে লোকেশন চালু করুন।'
+  },
+
+  account: {
+    title: 'অ্যাকাউন্ট',
+    hint: 'ঐচ্ছিক। সাইন ইন করলে আপনার রিপোর্ট আপনার নামে জমা হবে; অ্যাকাউন্ট ছাড়াও রিপোর্ট করা যায়।',
+    email: 'ইমেল',
+    password: 'পাসওয়ার্ড',
+    signIn: 'সাইন ইন করুন',
+    signUp: 'অ্যাকাউন্ট তৈরি করুন',
+    emailLink: 'আমাকে সাইন-ইন লিঙ্ক ইমেল করুন',
+    linkSent: 'সাইন-ইন লিঙ্কের জন্য {email} দেখুন।',
+    signedInAs: '{email} হিসেবে সাইন ইন করা আছে',
+    signOut: 'সাইন আউট করুন',
+    loginFailed: 'ইমেল বা পাসওয়ার্ড ভুল।',
+    signUpFailed: 'অ্যাকাউন্ট তৈরি করা গেল না। ইমেলটি হয়তো আগেই নথিভুক্ত, অথবা পাসওয়ার্ড {min} অক্ষরের চেয়ে ছোট।',
+    linkFailed: 'সাইন-ইন লিঙ্ক পাঠানো গেল না। ইমেল ঠিকানা দেখে আবার চেষ্টা করুন।',
+    linkTooSoon: 'সম্প্রতি একটি সাইন-ইন লিঙ্ক পাঠানো হয়েছে। ইমেল দেখুন, বা পরে আবার চেষ্টা করুন।',
+    linkInvalid: 'এই সাইন-ইন লিঙ্কের মেয়াদ শেষ বা আগেই ব্যবহার হয়েছে। নতুন লিঙ্ক চেয়ে নিন।'
+  },
+
+  reportTypes: {
+    loud: 'কোলাহল',
+    dark: 'অন্ধকার',
+    crowded: 'ভিড়',
+    obstruction: 'বাধা',
+    broken_pavement: 'ভাঙা ফুটপাথ',
+    safe: 'নিরাপদ',
+    quiet: 'শান্ত'
+  },
+
+  navigation: {
+    rerouting: 'পথের বাইরে, শান্ত ফেরার পথ খোঁজা হচ্ছে…',
+    offRoute: 'পথের বাইরে ({distance} দূরে)',
+    followRoute: 'পথ ধরে চলুন',
+    waiting: 'আপনার অবস্থানের অপেক্ষায়…',
+    arriveAtDestination: 'গন্তব্যে পৌঁছান',
+    end: 'শেষ'
+  },
+
+  legend: {
+    quiet: 'শান্ত',
+    loud: 'কোলাহল'
+  },
+
+  panic: {
+    title: 'জরুরি: নিরাপদ জায়গা খুঁজুন',
+    finding: 'কাছের নিরাপদ জায়গা খোঁজা হচ্ছে...\n\nএটি আপনাকে সবচেয়ে কাছের ভালো আলোযুক্ত, খোলা জনসাধারণের জায়গায় নিয়ে যাবে।',
+    enableLocation: 'জরুরি পথের জন্য অবস্থান পরিষেবা চালু করুন'
+  },
+
+  alerts: {
+    noCurrentLocation: 'বর্তমান অবস্থান পাওয়া যায়নি',
+    noReach: 'যাত্রা শুরুর জায়গার কাছে কোনো রাস্তা পাওয়া যায়নি।',
+    reachFailed: 'শান্ত নাগাল হিসাব করা যায়নি। ব্যাকএন্ড কি চালু আছে?',
+    noLoop: 'কোনো শান্ত চক্কর পাওয়া যায়নি। অন্য দৈর্ঘ্য চেষ্টা করুন।',
+    noMetroTrip: 'কোনো মেট্রো যাত্রা পাওয়া যায়নি। হাঁটা দূরত্বে কি কোনো স্টেশন আছে?',
+    routesFailed: 'পথ হিসাব করা যায়নি। আবার চেষ্টা করুন।',
+    followFailed: 'আপনার অবস্থান অনুসরণ করা যাচ্ছে না। অবস্থান পরিষেবা চালু করুন।',
+    arrived: 'আপনি পৌঁছে গেছেন।'
+  },
+
+  units: {
+    meters: '{value} মি',
+    kilometers: '{value} কিমি',
+    minutes: '{value} মিনিট',
+    hoursMinutes: '{hours} ঘণ্টা {minutes} মিনিট',
+    squareKilometers: '{value} বর্গকিমি'
+  },
+
+  instructions: {
+    onto: '{name}-এ ',
+    on: '{name} ধরে ',
+    depart: '{on}{direction} দিকে রওনা দিন',
+    arrive: 'আপনি গন্তব্যে পৌঁছে গেছেন',
+    arriveSide: 'আপনার গন্তব্য {side}',
+    arriveStop: 'আপনি {stop} নম্বর স্টপে পৌঁছে গেছেন',
+    arriveStopSide: '{stop} নম্বর স্টপ {side}',
+    turn: '{onto}{modifier} ঘুরুন',
+    straight: '{onto}সোজা যান',
+    uturn: '{onto}ইউ-টার্ন নিন',
+    newName: '{on}এগিয়ে চলুন',
+    continue: '{onto}{modifier} এগিয়ে চলুন',
+    continueStraight: '{on}সোজা এগিয়ে চলুন',
+    merge: '{onto}{side} মিশে যান',
+    onRamp: '{onto}{side}র র‍্যাম্প ধরুন',
+    offRamp: '{onto}{side}র বেরোনোর পথ ধরুন',
+    fork: 'রাস্তা ভাগ হলে {onto}{side} থাকুন',
+    forkStraight: 'রাস্তা ভাগ হলে {onto}সোজা থাকুন',
+    endOfRoad: 'রাস্তার শেষে {onto}{side} ঘুরুন',
+    useLane: '{side} থাকুন',
+    useLaneStraight: 'সোজা এগিয়ে চলুন',
+    roundabout: '{roundabout}-এ ঢুকুন',
+    roundaboutExit: '{roundabout}-এ ঢুকে {exit} রাস্তা দিয়ে {onto}বেরিয়ে যান',
+    roundaboutTurn: '{roundabout}-এ {onto}{modifier} ঘুরুন',
+    exitRoundabout: '{roundabout} থেকে {onto}বেরিয়ে যান',
+    theRoundabout: 'গোলচত্বর',
+    notification: '{on}এগিয়ে চলুন'
+  },
+
+  modifiers: {
+    uturn: 'ঘুরে',
+    'sharp right': 'পুরো ডানদিকে',
+    right: 'ডানদিকে',
+    'slight right': 'সামান্য ডানদিকে',
+    straight: 'সোজা',
+    'slight left': 'সামান্য বাঁদিকে',
+    left: 'বাঁদিকে',
+    'sharp left': 'পুরো বাঁদিকে'
+  },
+
+  sides: {
+    left: 'বাঁদিকে',
+    right: 'ডানদিকে'
+  },
+
+  directions: {
+    north: 'উত্তর',
+    northeast: 'উত্তর-পূর্ব',
+    east: 'পূর্ব',
+    southeast: 'দক্ষিণ-পূর্ব',
+    south: 'দক্ষিণ',
+    southwest: 'দক্ষিণ-পশ্চিম',
+    west: 'পশ্চিম',
+    northwest: 'উত্তর-পশ্চিম'
+  },
+
+  // ১ম, ২য়, ৩য়, ৪র্থ, ৫ম, ৬ষ্ঠ ... ১১তম
+  ordinals: {
+    one: '{n}ম',
+    two: '{n}য়',
+    few: '{n}র্থ',
+    many: '{n}ষ্ঠ',
+    other: '{n}তম'
+  }
+};
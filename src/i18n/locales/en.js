@@ -0,0 +1,345 @@
+/**
+ * QuietRoute strings - English
+ * Other catalogues mirror these keys; anything they leave out falls back to here
+ */
+
+export default {
+  app: {
+    city: 'City',
+    language: 'Language',
+    loading: 'Finding the best routes for you...'
+  },
+
+  cities: {
+    kolkata: { name: 'Kolkata', tagline: 'Navigate Peacefully in Kolkata' },
+    delhi: { name: 'Delhi', tagline: 'Navigate Peacefully in Delhi' }
+  },
+
+  search: {
+    title: 'Plan Your Route',
+    origin: 'Starting point',
+    destination: 'Destination',
+    swap: 'Swap locations',
+    useMyLocation: '📍 Use My Location',
+    currentLocation: 'Current Location'
+  },
+
+  travelModes: {
+    walking: 'Walk',
+    cycling: 'Cycle',
+    wheelchair: 'Wheelchair'
+  },
+
+  tripModes: {
+    route: 'A → B',
+    transit: '🚇 Walk + Metro',
+    loop: 'Quiet loop'
+  },
+
+  loop: {
+    walkFor: 'Walk for',
+    goFor: 'Go for',
+    minutes: 'minutes',
+    kilometers: 'km'
+  },
+
+  stops: {
+    placeholder: 'Stop {number}',
+    dragToReorder: 'Drag to reorder',
+    remove: 'Remove stop',
+    add: '+ Add stop',
+    optimise: 'Optimise order for quietness'
+  },
+
+  preferences: {
+    title: 'Route Preferences',
+    quietness: 'Quietness Priority',
+    lighting: 'Lighting Priority',
+    fastest: 'Fastest',
+    quietest: 'Quietest',
+    any: 'Any',
+    wellLit: 'Well-Lit',
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High',
+    accessibility: '♿ Accessibility: {need}'
+  },
+
+  timing: {
+    now: 'Leave now',
+    departAt: 'Depart at',
+    arriveBy: 'Arrive by',
+    summary: 'Leave {depart} · Arrive {arrive} IST'
+  },
+
+  actions: {
+    calculating: 'Calculating...',
+    findRoutes: 'Find Routes',
+    findLoops: 'Find Loops',
+    findMetroTrips: 'Find Metro Trips'
+  },
+
+  results: {
+    title: 'Route Options',
+    startWalk: '▶ Start walk',
+    startTrip: '▶ Start trip',
+    quietLoop: 'Quiet loop {number}',
+    metroTrip: 'Metro trip {number}',
+    recommended: 'Recommended',
+    duration: 'Duration',
+    distance: 'Distance',
+    transfers: 'Transfers',
+    walkQuiet: 'Walk quiet',
+    quiet: 'Quiet',
+    lit: 'Lit',
+    vsFastest: 'vs Fastest',
+    crosses: '⛔ Crosses {zones}',
+    leg: 'Leg {number}',
+    quietShare: '{percent} quiet'
+  },
+
+  routeLabels: {
+    fastest: 'Fastest',
+    quietest: 'Quietest',
+    brightest: 'Brightest',
+    balanced: 'Balanced'
+  },
+
+  // Reasons on a route card, from explainRoute
+  explanation: {
+    avoidsRoad: 'Avoids {distance} of {road}',
+    usesRoad: '{distance} on {road}',
+    quietStreets: '{percent} on quiet streets',
+    litStreets: '{percent} on lit streets',
+    unlitStreets: '{distance} of unlit street',
+    safePlaces: {
+      one: 'Passes {count} open safe place',
+      other: 'Passes {count} open safe places'
+    },
+    reports: {
+      loud: { one: '{count} noise report', other: '{count} noise reports' },
+      dark: { one: '{count} dark-spot report', other: '{count} dark-spot reports' },
+      crowded: { one: '{count} crowding report', other: '{count} crowding reports' },
+      obstruction: { one: '{count} obstruction report', other: '{count} obstruction reports' },
+      broken_pavement: { one: '{count} broken pavement report', other: '{count} broken pavement reports' },
+      safe: { one: '{count} safe-spot report', other: '{count} safe-spot reports' },
+      quiet: { one: '{count} quiet-spot report', other: '{count} quiet-spot reports' }
+    }
+  },
+
+  roads: {
+    trunk: 'trunk road',
+    primary: 'primary road',
+    secondary: 'secondary road'
+  },
+
+  accessibility: {
+    accessible: '♿ Step-free, paved route',
+    difficult: '♿ Passable with difficulty',
+    inaccessible: '♿ Not accessible',
+    unknown: '♿ No street data for this route',
+    unnamedWay: 'Unnamed way',
+    more: '+{count} more'
+  },
+
+  accessibilityNeeds: {
+    none: 'No accessibility needs',
+    stroller: 'Stroller / pram',
+    wheelchair: 'Wheelchair'
+  },
+
+  accessibilityIssues: {
+    steps: 'Steps',
+    unpaved: 'Unpaved surface',
+    raised_kerb: 'Steep kerb',
+    broken_pavement: 'Broken pavement',
+    rough_surface: 'Rough surface',
+    no_sidewalk: 'No sidewalk'
+  },
+
+  transit: {
+    toStation: 'To {station}',
+    toEntrance: 'To {station} ({entrance})',
+    toDestination: 'To destination'
+  },
+
+  avoidZones: {
+    title: 'Avoid Zones',
+    hint: 'Private areas your routes should stay out of',
+    drawPolygon: 'Click the map to outline the area',
+    drawCircle: 'Click the map to place the circle',
+    penalise: 'Penalise',
+    block: 'Block',
+    area: '✏️ Area',
+    circle: '⭕ Circle',
+    radius: 'Radius in meters',
+    finish: 'Finish area',
+    cancel: 'Cancel',
+    remove: 'Delete zone',
+    namePrompt: 'Name this avoid zone',
+    defaultName: 'Avoid zone {number}'
+  },
+
+  reach: {
+    title: 'Quiet Reach',
+    hint: 'Where you can get from the starting point on streets that suit your preferences',
+    needOrigin: 'Choose a starting point to see how far you can get',
+    show: '🟢 Show quiet reach',
+    hide: 'Hide quiet reach',
+    within: '{minutes} min',
+    share: '{percent} of fastest reach'
+  },
+
+  reports: {
+    title: 'Report an Issue',
+    hint: 'Help others navigate safely',
+    placing: 'Click on the map to place your report',
+    cancel: 'Cancel Reporting',
+    marker: '{type} report'
+  },
+
+  noiseMeter: {
+    measure: 'Measure Noise Here',
+    measuring: 'Listening for {seconds} seconds…',
+    privacy: 'Uses your microphone and location. Only the sound level is shared, never audio.',
+    saved: 'Measured {level} dB(A). Thanks, it now counts towards this street.',
+    unsaved: 'Measured {level} dB(A), but it could not be saved. Try again when online.',
+    denied: 'Microphone access was blocked. Allow it to measure noise.',
+    failed: 'Could not measure noise on this device.',
+    needsLocation: 'Enable location so the measurement can be placed on the map.'
+  },
+
+  account: {
+    title: 'Account',
+    hint: 'Optional. Sign in so your reports are credited to you; reporting works without an account.',
+    email: 'Email',
+    password: 'Password',
+    signIn: 'Sign In',
+    signUp: 'Create Account',
+    emailLink: 'Email Me a Sign-in Link',
+    linkSent: 'Check {email} for a sign-in link.',
+    signedInAs: 'Signed in as {email}',
+    signOut: 'Sign Out',
+    loginFailed: 'Wrong email or password.',
+    signUpFailed: 'Could not create the account. The email may already be registered, or the password is shorter than {min} characters.',
+    linkFailed: 'Could not send a sign-in link. Check the email address and try again.',
+    linkTooSoon: 'A sign-in link was sent recently. Check your email, or try again later.',
+    linkInvalid: 'That sign-in link has expired or was already used. Ask for a new one.'
+  },
+
+  reportTypes: {
+    loud: 'Loud',
+    dark: 'Dark',
+    crowded: 'Crowded',
+    obstruction: 'Obstruction',
+    broken_pavement: 'Broken Pavement',
+    safe: 'Safe',
+    quiet: 'Quiet'
+  },
+
+  navigation: {
+    rerouting: 'Off route, finding a quiet way back…',
+    offRoute: 'Off route ({distance} away)',
+    followRoute: 'Follow the route',
+    waiting: 'Waiting for your location…',
+    arriveAtDestination: 'Arrive at destination',
+    end: 'End'
+  },
+
+  legend: {
+    quiet: 'Quiet',
+    loud: 'Loud'
+  },
+
+  panic: {
+    title: 'Emergency: Find Safe Location',
+    finding: 'Finding nearest safe location...\n\nThis would route you to the nearest well-lit, open public area.',
+    enableLocation: 'Please enable location services for emergency routing'
+  },
+
+  alerts: {
+    noCurrentLocation: 'Could not get current location',
+    noReach: 'No streets found near the starting point.',
+    reachFailed: 'Could not calculate the quiet reach. Is the backend running?',
+    noLoop: 'No quiet loop found. Try a different length.',
+    noMetroTrip: 'No metro trip found. Is there a station within walking distance?',
+    routesFailed: 'Could not calculate routes. Please try again.',
+    followFailed: 'Could not follow your location. Please enable location services.',
+    arrived: 'You have arrived.'
+  },
+
+  units: {
+    meters: '{value} m',
+    kilometers: '{value} km',
+    minutes: '{value} min',
+    hoursMinutes: '{hours}h {minutes}m',
+    squareKilometers: '{value} km²'
+  },
+
+  // Turn-by-turn instructions. {onto} and {on} are the street-name fragments
+  // below, empty when the street has no name
+  instructions: {
+    onto: ' onto {name}',
+    on: ' on {name}',
+    depart: 'Head {direction}{on}',
+    arrive: 'You have arrived at your destination',
+    arriveSide: 'Your destination is on the {side}',
+    arriveStop: 'You have arrived at stop {stop}',
+    arriveStopSide: 'Stop {stop} is on the {side}',
+    turn: 'Turn {modifier}{onto}',
+    straight: 'Go straight{onto}',
+    uturn: 'Make a U-turn{onto}',
+    newName: 'Continue{onto}',
+    continue: 'Continue {modifier}{onto}',
+    continueStraight: 'Continue straight{on}',
+    merge: 'Merge {side}{onto}',
+    onRamp: 'Take the ramp on the {side}{onto}',
+    offRamp: 'Take the exit on the {side}{onto}',
+    fork: 'Keep {side} at the fork{onto}',
+    forkStraight: 'Keep straight at the fork{onto}',
+    endOfRoad: 'At the end of the road, turn {side}{onto}',
+    useLane: 'Keep {side}',
+    useLaneStraight: 'Continue straight',
+    roundabout: 'Enter {roundabout}',
+    roundaboutExit: 'Enter {roundabout} and take the {exit} exit{onto}',
+    roundaboutTurn: 'At {roundabout}, turn {modifier}{onto}',
+    exitRoundabout: 'Exit {roundabout}{onto}',
+    theRoundabout: 'the roundabout',
+    notification: 'Continue{on}'
+  },
+
+  modifiers: {
+    uturn: 'around',
+    'sharp right': 'sharp right',
+    right: 'right',
+    'slight right': 'slightly right',
+    straight: 'straight',
+    'slight left': 'slightly left',
+    left: 'left',
+    'sharp left': 'sharp left'
+  },
+
+  sides: {
+    left: 'left',
+    right: 'right'
+  },
+
+  directions: {
+    north: 'north',
+    northeast: 'northeast',
+    east: 'east',
+    southeast: 'southeast',
+    south: 'south',
+    southwest: 'southwest',
+    west: 'west',
+    northwest: 'northwest'
+  },
+
+  // Ordinal forms by Intl.PluralRules category
+  ordinals: {
+    one: '{n}st',
+    two: '{n}nd',
+    few: '{n}rd',
+    other: '{n}th'
+  }
+};
@@ -0,0 +1,342 @@
+/**
+ * QuietRoute strings - Hindi (हिन्दी)
+ */
+
+export default {
+  app: {
+    city: 'शहर',
+    language: 'भाषा',
+    loading: 'आपके लिए सबसे अच्छे रास्ते खोजे जा रहे हैं...'
+  },
+
+  cities: {
+    kolkata: { name: 'कोलकाता', tagline: 'कोलकाता में सुकून से चलें' },
+    delhi: { name: 'दिल्ली', tagline: 'दिल्ली में सुकून से चलें' }
+  },
+
+  search: {
+    title: 'अपना रास्ता तय करें',
+    origin: 'शुरुआती जगह',
+    destination: 'गंतव्य',
+    swap: 'जगहें बदलें',
+    useMyLocation: '📍 मेरी लोकेशन इस्तेमाल करें',
+    currentLocation: 'मौजूदा लोकेशन'
+  },
+
+  travelModes: {
+    walking: 'पैदल',
+    cycling: 'साइकिल',
+    wheelchair: 'व्हीलचेयर'
+  },
+
+  tripModes: {
+    route: 'A → B',
+    transit: '🚇 पैदल + मेट्रो',
+    loop: 'शांत चक्कर'
+  },
+
+  loop: {
+    walkFor: 'पैदल चलें',
+    goFor: 'घूमें',
+    minutes: 'मिनट',
+    kilometers: 'किमी'
+  },
+
+  stops: {
+    placeholder: 'पड़ाव {number}',
+    dragToReorder: 'क्रम बदलने के लिए खींचें',
+    remove: 'पड़ाव हटाएँ',
+    add: '+ पड़ाव जोड़ें',
+    optimise: 'शांति के लिए क्रम सुधारें'
+  },
+
+  preferences: {
+    title: 'रास्ते की पसंद',
+    quietness: 'शांति की प्राथमिकता',
+    lighting: 'रोशनी की प्राथमिकता',
+    fastest: 'सबसे तेज़',
+    quietest: 'सबसे शांत',
+    any: 'कोई भी',
+    wellLit: 'अच्छी रोशनी',
+    low: 'कम',
+    medium: 'मध्यम',
+    high: 'ज़्यादा',
+    accessibility: '♿ सुगम्यता: {need}'
+  },
+
+  timing: {
+    now: 'अभी निकलें',
+    departAt: 'निकलने का समय',
+    arriveBy: 'पहुँचने का समय',
+    summary: 'निकलें {depart} · पहुँचें {arrive} IST'
+  },
+
+  actions: {
+    calculating: 'गणना हो रही है...',
+    findRoutes: 'रास्ते खोजें',
+    findLoops: 'चक्कर खोजें',
+    findMetroTrips: 'मेट्रो यात्राएँ खोजें'
+  },
+
+  results: {
+    title: 'रास्ते के विकल्प',
+    startWalk: '▶ चलना शुरू करें',
+    startTrip: '▶ यात्रा शुरू करें',
+    quietLoop: 'शांत चक्कर {number}',
+    metroTrip: 'मेट्रो यात्रा {number}',
+    recommended: 'सुझाया गया',
+    duration: 'समय',
+    distance: 'दूरी',
+    transfers: 'ट्रेन बदलना',
+    walkQuiet: 'शांत पैदल',
+    quiet: 'शांत',
+    lit: 'रोशन',
+    vsFastest: 'सबसे तेज़ से',
+    crosses: '⛔ पार करता है {zones}',
+    leg: 'हिस्सा {number}',
+    quietShare: '{percent} शांत'
+  },
+
+  routeLabels: {
+    fastest: 'सबसे तेज़',
+    quietest: 'सबसे शांत',
+    brightest: 'सबसे रोशन',
+    balanced: 'संतुलित'
+  },
+
+  explanation: {
+    avoidsRoad: '{distance} {road} से बचता है',
+    usesRoad: '{distance} {road} पर',
+    quietStreets: '{percent} शांत सड़कों पर',
+    litStreets: '{percent} रोशन सड़कों पर',
+    unlitStreets: '{distance} अँधेरी सड़क',
+    safePlaces: {
+      one: '{count} खुली सुरक्षित जगह से गुज़रता है',
+      other: '{count} खुली सुरक्षित जगहों से गुज़रता है'
+    },
+    reports: {
+      loud: '{count} शोर की रिपोर्ट',
+      dark: '{count} अँधेरी जगह की रिपोर्ट',
+      crowded: '{count} भीड़ की रिपोर्ट',
+      obstruction: '{count} रुकावट की रिपोर्ट',
+      broken_pavement: '{count} टूटे फुटपाथ की रिपोर्ट',
+      safe: '{count} सुरक्षित जगह की रिपोर्ट',
+      quiet: '{count} शांत जगह की रिपोर्ट'
+    }
+  },
+
+  roads: {
+    trunk: 'राजमार्ग',
+    primary: 'मुख्य सड़क',
+    secondary: 'दूसरे दर्जे की सड़क'
+  },
+
+  accessibility: {
+    accessible: '♿ बिना सीढ़ी, पक्का रास्ता',
+    difficult: '♿ मुश्किल से पार होने लायक',
+    inaccessible: '♿ सुगम नहीं',
+    unknown: '♿ इस रास्ते की सड़क जानकारी नहीं है',
+    unnamedWay: 'बिना नाम का रास्ता',
+    more: '+{count} और'
+  },
+
+  accessibilityNeeds: {
+    none: 'कोई सुगम्यता ज़रूरत नहीं',
+    stroller: 'स्ट्रॉलर / प्रैम',
+    wheelchair: 'व्हीलचेयर'
+  },
+
+  accessibilityIssues: {
+    steps: 'सीढ़ियाँ',
+    unpaved: 'कच्ची सतह',
+    raised_kerb: 'ऊँचा फुटपाथ किनारा',
+    broken_pavement: 'टूटा फुटपाथ',
+    rough_surface: 'ऊबड़-खाबड़ सतह',
+    no_sidewalk: 'फुटपाथ नहीं'
+  },
+
+  transit: {
+    toStation: '{station} तक',
+    toEntrance: '{station} ({entrance}) तक',
+    toDestination: 'गंतव्य तक'
+  },
+
+  avoidZones: {
+    title: 'बचने वाले क्षेत्र',
+    hint: 'निजी क्षेत्र जिनसे आपके रास्ते दूर रहें',
+    drawPolygon: 'क्षेत्र की सीमा बनाने के लिए नक्शे पर क्लिक करें',
+    drawCircle: 'गोला रखने के लिए नक्शे पर क्लिक करें',
+    penalise: 'कम प्राथमिकता',
+    block: 'रोकें',
+    area: '✏️ क्षेत्र',
+    circle: '⭕ गोला',
+    radius: 'त्रिज्या (मीटर)',
+    finish: 'क्षेत्र पूरा करें',
+    cancel: 'रद्द करें',
+    remove: 'क्षेत्र हटाएँ',
+    namePrompt: 'इस क्षेत्र को नाम दें',
+    defaultName: 'बचने वाला क्षेत्र {number}'
+  },
+
+  reach: {
+    title: 'शांत पहुँच',
+    hint: 'आपकी पसंद की सड़कों पर शुरुआती जगह से आप कहाँ तक पहुँच सकते हैं',
+    needOrigin: 'कितनी दूर पहुँच सकते हैं, यह देखने के लिए शुरुआती जगह चुनें',
+    show: '🟢 शांत पहुँच दिखाएँ',
+    hide: 'शांत पहुँच छिपाएँ',
+    within: '{minutes} मिनट',
+    share: 'सबसे तेज़ पहुँच का {percent}'
+  },
+
+  reports: {
+    title: 'समस्या बताएँ',
+    hint: 'दूसरों को सुरक्षित चलने में मदद करें',
+    placing: 'रिपोर्ट रखने के लिए नक्शे पर क्लिक करें',
+    cancel: 'रिपोर्ट रद्द करें',
+    marker: '{type} रिपोर्ट'
+  },
+
+  noiseMeter: {
+    measure: 'यहाँ शोर मापें',
+    measuring: '{seconds} सेकंड तक सुन रहा है…',
+    privacy: 'आपके माइक्रोफ़ोन और लोकेशन का उपयोग करता है। सिर्फ़ आवाज़ का स्तर भेजा जाता है, कभी ऑडियो नहीं।',
+    saved: '{level} dB(A) मापा गया। धन्यवाद, अब यह इस सड़क में गिना जाता है।',
+    unsaved: '{level} dB(A) मापा गया, पर सहेजा नहीं जा सका। ऑनलाइन होने पर फिर कोशिश करें।',
+    denied: 'माइक्रोफ़ोन की अनुमति बंद है। शोर मापने के लिए अनुमति दें।',
+    failed: 'इस डिवाइस पर शोर नहीं मापा जा सका।',
+    needsLocation: 'माप को नक्शे पर रखने के लिए लोकेशन चालू करें।'
+  },
+
+  account: {
+    title: 'खाता',
+    hint: 'वैकल्पिक। साइन इन करें ताकि आपकी रिपोर्ट आपके नाम दर्ज हों; बिना खाते के भी रिपोर्ट कर सकते हैं।',
+    email: 'ईमेल',
+    password: 'पासवर्ड',
+    signIn: 'साइन इन करें',
+    signUp: 'खाता बनाएँ',
+    emailLink: 'मुझे साइन-इन लिंक ईमेल करें',
+    linkSent: 'साइन-इन लिंक के लिए {email} देखें।',
+    signedInAs: '{email} के रूप में साइन इन',
+    signOut: 'साइन आउट करें',
+    loginFailed: 'ईमेल या पासवर्ड गलत है।',
+    signUpFailed: 'खाता नहीं बन सका। हो सकता है यह ईमेल पहले से दर्ज हो, या पासवर्ड {min} अक्षरों से छोटा हो।',
+    linkFailed: 'साइन-इन लिंक नहीं भेजा जा सका। ईमेल पता जाँचकर फिर कोशिश करें।',
+    linkTooSoon: 'हाल ही में एक साइन-इन लिंक भेजा गया है। ईमेल देखें, या बाद में फिर कोशिश करें।',
+    linkInvalid: 'यह साइन-इन लिंक समाप्त हो चुका है या पहले ही इस्तेमाल हो चुका है। नया लिंक मँगाएँ।'
+  },
+
+  reportTypes: {
+    loud: 'शोर',
+    dark: 'अँधेरा',
+    crowded: 'भीड़',
+    obstruction: 'रुकावट',
+    broken_pavement: 'टूटा फुटपाथ',
+    safe: 'सुरक्षित',
+    quiet: 'शांत'
+  },
+
+  navigation: {
+    rerouting: 'रास्ते से बाहर, शांत वापसी का रास्ता खोजा जा रहा है…',
+    offRoute: 'रास्ते से बाहर ({distance} दूर)',
+    followRoute: 'रास्ते पर चलते रहें',
+    waiting: 'आपकी लोकेशन का इंतज़ार…',
+    arriveAtDestination: 'गंतव्य पर पहुँचें',
+    end: 'खत्म'
+  },
+
+  legend: {
+    quiet: 'शांत',
+    loud: 'शोर'
+  },
+
+  panic: {
+    title: 'आपातकाल: सुरक्षित जगह खोजें',
+    finding: 'सबसे नज़दीकी सुरक्षित जगह खोजी जा रही है...\n\nयह आपको सबसे नज़दीकी अच्छी रोशनी वाली, खुली सार्वजनिक जगह तक ले जाएगा।',
+    enableLocation: 'आपातकालीन रास्ते के लिए लोकेशन सेवाएँ चालू करें'
+  },
+
+  alerts: {
+    noCurrentLocation: 'मौजूदा लोकेशन नहीं मिल सकी',
+    noReach: 'शुरुआती जगह के पास कोई सड़क नहीं मिली।',
+    reachFailed: 'शांत पहुँच की गणना नहीं हो सकी। क्या बैकएंड चल रहा है?',
+    noLoop: 'कोई शांत चक्कर नहीं मिला। कोई दूसरी लंबाई आज़माएँ।',
+    noMetroTrip: 'कोई मेट्रो यात्रा नहीं मिली। क्या पैदल दूरी पर कोई स्टेशन है?',
+    routesFailed: 'रास्तों की गणना नहीं हो सकी। कृपया फिर से कोशिश करें।',
+    followFailed: 'आपकी लोकेशन का पता नहीं चल पा रहा। कृपया लोकेशन सेवाएँ चालू करें।',
+    arrived: 'आप पहुँच गए हैं।'
+  },
+
+  units: {
+    meters: '{value} मी',
+    kilometers: '{value} किमी',
+    minutes: '{value} मिनट',
+    hoursMinutes: '{hours} घंटे {minutes} मिनट',
+    squareKilometers: '{value} वर्ग किमी'
+  },
+
+  instructions: {
+    onto: '{name} पर ',
+    on: '{name} पर ',
+    depart: '{on}{direction} की ओर चलें',
+    arrive: 'आप अपने गंतव्य पर पहुँच गए हैं',
+    arriveSide: 'आपका गंतव्य {side} है',
+    arriveStop: 'आप पड़ाव {stop} पर पहुँच गए हैं',
+    arriveStopSide: 'पड़ाव {stop} {side} है',
+    turn: '{onto}{modifier} मुड़ें',
+    straight: '{onto}सीधे जाएँ',
+    uturn: '{onto}यू-टर्न लें',
+    newName: '{on}चलते रहें',
+    continue: '{onto}{modifier} चलते रहें',
+    continueStraight: '{on}सीधे चलते रहें',
+    merge: '{onto}{side} मिलें',
+    onRamp: '{onto}{side} रैंप लें',
+    offRamp: '{onto}{side} निकास लें',
+    fork: 'दोराहे पर {onto}{side} रहें',
+    forkStraight: 'दोराहे पर {onto}सीधे रहें',
+    endOfRoad: 'सड़क के अंत में {onto}{side} मुड़ें',
+    useLane: '{side} रहें',
+    useLaneStraight: 'सीधे चलते रहें',
+    roundabout: '{roundabout} में जाएँ',
+    roundaboutExit: '{roundabout} में जाएँ और {exit} निकास से {onto}निकलें',
+    roundaboutTurn: '{roundabout} पर {onto}{modifier} मुड़ें',
+    exitRoundabout: '{roundabout} से {onto}निकलें',
+    theRoundabout: 'गोलचक्कर',
+    notification: '{on}चलते रहें'
+  },
+
+  modifiers: {
+    uturn: 'वापस',
+    'sharp right': 'तेज़ दाएँ',
+    right: 'दाएँ',
+    'slight right': 'हल्का दाएँ',
+    straight: 'सीधे',
+    'slight left': 'हल्का बाएँ',
+    left: 'बाएँ',
+    'sharp left': 'तेज़ बाएँ'
+  },
+
+  sides: {
+    left: 'बाईं ओर',
+    right: 'दाईं ओर'
+  },
+
+  directions: {
+    north: 'उत्तर',
+    northeast: 'उत्तर-पूर्व',
+    east: 'पूर्व',
+    southeast: 'दक्षिण-पूर्व',
+    south: 'दक्षिण',
+    southwest: 'दक्षिण-पश्चिम',
+    west: 'पश्चिम',
+    northwest: 'उत्तर-पश्चिम'
+  },
+
+  // Oblique forms, as in "तीसरे निकास से": 1ले, 2रे, 3रे, 4थे, 5वें, 6ठे
+  ordinals: {
+    one: '{n}ले',
+    two: '{n}रे',
+    few: '{n}थे',
+    many: '{n}ठे',
+    other: '{n}वें'
+  }
+};
@@ -0,0 +1,161 @@
+/**
+ * QuietRoute Auth Service
+ * Optional accounts: sign up or in with a password or an emailed link.
+ * The session token is kept on this device and sent with requests that
+ * should be attributed to the user
+ */
+
+import { API_BASE_URL } from '../config';
+
+const STORAGE_KEY = 'quietroute_session';
+
+/**
+ * Create an account and sign in
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Signed-in user {id, email, display_name}
+ */
+export async function signUp(email, password) {
+  return startSession(await post('/auth/signup', { email, password }));
+}
+
+/**
+ * Sign in with a password
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Signed-in user {id, email, display_name}
+ */
+export async function logIn(email, password) {
+  return startSession(await post('/auth/login', { email, password }));
+}
+
+/**
+ * Email a one-time sign-in link
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+export async function requestMagicLink(email) {
+  await post('/auth/magic-link', { email });
+}
+
+/**
+ * Sign in with the token from an emailed link
+ * @param {string} token - The link's ?login= value
+ * @returns {Promise<Object>} Signed-in user {id, email, display_name}
+ */
+export async function verifyMagicLink(token) {
+  return startSession(await post('/auth/magic-link/verify', { token }));
+}
+
+/**
+ * Sign out, ending the session on the server too when it can be reached
+ * @returns {Promise<void>}
+ */
+export async function logOut() {
+  try {
+    await fetch(`${API_BASE_URL}/auth/logout`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+  } catch (error) {
+    console.log('Backend unavailable, signing out on this device only');
+  }
+
+  setToken(null);
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<Object|null>} User, or null when signed out or the session has expired
+ */
+export async function getCurrentUser() {
+  if (!getToken()) return null;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/me`, {
+      headers: getAuthHeaders()
+    });
+
+    if (response.ok) {
+      return (await response.json()).user;
+    }
+
+    if (response.status === 401) {
+      setToken(null);
+    }
+  } catch (error) {
+    console.log('Backend unavailable, not signed in');
+  }
+
+  return null;
+}
+
+/**
+ * Headers that attribute a request to the signed-in user
+ * @returns {Object} Authorization header, or none when signed out
+ */
+export function getAuthHeaders() {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * POST JSON to the auth API
+ * @param {string} path
+ * @param {Object} body
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the server's message, and its status, when the request is refused
+ */
+async function post(path, body) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Keep a new session's token and return its user
+ * @param {Object} session - {user, token, expires_at}
+ * @returns {Object} User
+ */
+function startSession({ user, token }) {
+  setToken(token);
+  return user;
+}
+
+/**
+ * Get the stored session token
+ * @returns {string|null}
+ */
+function getToken() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store the session token, or forget it
+ * @param {string|null} token
+ */
+function setToken(token) {
+  try {
+    if (token) {
+      localStorage.setItem(STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Private browsing: the session lasts until the page is closed at most
+  }
+}
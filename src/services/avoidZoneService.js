@@ -0,0 +1,81 @@
+/**
+ * QuietRoute Avoid Zone Service
+ * Private, user-drawn areas to penalise or keep routes out of (kept on this device)
+ */
+
+import { circle } from '@turf/turf';
+import { MIN_AVOID_ZONE_RADIUS } from '../config';
+
+const STORAGE_KEY = 'quietroute_avoid_zones';
+
+/**
+ * Get all saved avoid zones
+ * @returns {Array} Zones [{id, name, mode, geometry, createdAt}]
+ */
+export function getAvoidZones() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save a polygon avoid zone
+ * @param {Object} zone - {name, mode: 'penalise' | 'block', coordinates: [[lng, lat], ...]}
+ * @returns {Object} Saved zone
+ */
+export function saveAvoidZone(zone) {
+  const ring = [...zone.coordinates, zone.coordinates[0]];
+
+  return storeZone({
+    name: zone.name,
+    mode: zone.mode,
+    geometry: { type: 'Polygon', coordinates: [ring] }
+  });
+}
+
+/**
+ * Save a circular avoid zone
+ * @param {Object} zone - {name, mode, center: {lat, lng}, radius: meters (at least MIN_AVOID_ZONE_RADIUS)}
+ * @returns {Object} Saved zone
+ */
+export function saveCircleZone(zone) {
+  const radius = Math.max(MIN_AVOID_ZONE_RADIUS, zone.radius || 0);
+  const polygon = circle([zone.center.lng, zone.center.lat], radius, {
+    units: 'meters',
+    steps: 32
+  });
+
+  return storeZone({
+    name: zone.name,
+    mode: zone.mode,
+    center: zone.center,
+    radius,
+    geometry: polygon.geometry
+  });
+}
+
+/**
+ * Delete an avoid zone
+ * @param {string} zoneId
+ */
+export function deleteAvoidZone(zoneId) {
+  saveZones(getAvoidZones().filter(zone => zone.id !== zoneId));
+}
+
+function storeZone(zone) {
+  const saved = {
+    id: `zone_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    createdAt: new Date().toISOString(),
+    ...zone
+  };
+
+  saveZones([...getAvoidZones(), saved]);
+  return saved;
+}
+
+function saveZones(zones) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(zones));
+}
@@ -0,0 +1,35 @@
+/**
+ * QuietRoute City Service
+ * The city the user plans trips in (kept on this device)
+ */
+
+import { CITIES, DEFAULT_CITY } from '../config';
+
+const STORAGE_KEY = 'quietroute_city';
+
+/**
+ * Get the chosen city, or the default city if none was chosen
+ * @returns {string} CITIES key
+ */
+export function getSelectedCity() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return CITIES[stored] ? stored : DEFAULT_CITY;
+  } catch {
+    return DEFAULT_CITY;
+  }
+}
+
+/**
+ * Remember the chosen city on this device
+ * @param {string} city - CITIES key
+ */
+export function selectCity(city) {
+  if (!CITIES[city]) return;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, city);
+  } catch {
+    // Private browsing: the choice lasts for this session only
+  }
+}
@@ -3,13 +3,15 @@
  * Convert addresses to coordinates and vice versa
  */
 
+import { getCity } from '../utils/cities';
+
 // Using Nominatim (OpenStreetMap) for free geocoding
 const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
 
 /**
  * Search for locations by text query
  * @param {string} query - Search text
- * @param {Object} options - {limit, bounds}
+ * @param {Object} options - {limit, bounds: {north, south, east, west} to prefer (defaults to the default city), disableBias}
  * @returns {Promise<Array>} Location results
  */
 export async function searchLocation(query, options = {}) {
@@ -20,9 +22,10 @@ export async function searchLocation(query, options = {}) {
     limit: options.limit || 5
   });
   
-  // Bias to Kolkata area
+  // Bias to the city being planned in
   if (!options.disableBias) {
-    params.append('viewbox', '88.2,22.4,88.5,22.7'); // Kolkata bounding box
+    const { west, south, east, north } = options.bounds || getCity().bounds;
+    params.append('viewbox', `${west},${south},${east},${north}`);
     params.append('bounded', '0'); // Prefer but don't limit to bbox
   }
   
@@ -146,17 +149,3 @@ export function getCurrentLocation() {
     );
   });
 }
-
-/**
- * Popular locations in Kolkata for quick access
- */
-export const POPULAR_LOCATIONS = [
-  { name: 'Howrah Station', lat: 22.5839, lng: 88.3426 },
-  { name: 'Victoria Memorial', lat: 22.5448, lng: 88.3426 },
-  { name: 'Park Street', lat: 22.5531, lng: 88.3529 },
-  { name: 'Salt Lake City', lat: 22.5800, lng: 88.4133 },
-  { name: 'Esplanade', lat: 22.5678, lng: 88.3517 },
-  { name: 'New Town', lat: 22.5958, lng: 88.4847 },
-  { name: 'Jadavpur University', lat: 22.4992, lng: 88.3713 },
-  { name: 'Dakshineswar Temple', lat: 22.6547, lng: 88.3575 }
-];
@@ -0,0 +1,73 @@
+/**
+ * QuietRoute Isochrone Service
+ * Shaded areas reachable from a point within a few minutes on streets costed
+ * by the user's preferences
+ */
+
+import { area, concave, convex, featureCollection, point } from '@turf/turf';
+import { API_BASE_URL, ISOCHRONE_MINUTES } from '../config';
+
+// Longest edge of the hull around reached street nodes; longer gaps are left
+// out of the area instead of being bridged
+const HULL_MAX_EDGE = 0.3; // kilometers
+
+/**
+ * Get quiet-reach areas around a point
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} preferences - {quietness: 0-1, brightness: 0-1, mode, accessibility, avoidZones}
+ * @param {Object} options - {departAt, minutes}
+ * @returns {Promise<Array>} [{minutes, geometry, area, baselineArea}] largest first;
+ *   areas in square meters, baseline ignoring quietness and lighting
+ */
+export async function getIsochrones(origin, preferences = {}, options = {}) {
+  const response = await fetch(`${API_BASE_URL}/isochrone`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      origin: { lat: origin.lat, lng: origin.lng },
+      preferences,
+      minutes: options.minutes || ISOCHRONE_MINUTES,
+      departAt: (options.departAt || new Date()).toISOString()
+    })
+  });
+  
+  if (response.status === 404) {
+    return [];
+  }
+  
+  if (!response.ok) {
+    throw new Error(`Isochrone API error: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  
+  return data.minutes
+    .map(minutes => {
+      const hull = getReachHull(data.points, minutes);
+      const baseline = getReachHull(data.baseline, minutes);
+      
+      return hull && {
+        minutes,
+        geometry: hull.geometry,
+        area: area(hull),
+        baselineArea: baseline ? area(baseline) : 0
+      };
+    })
+    .filter(Boolean)
+    .reverse();
+}
+
+/**
+ * Outline the street nodes reached within a threshold
+ * @param {Array} points - [[lng, lat, minutes]] from /api/isochrone
+ * @param {number} minutes
+ * @returns {Object|null} Polygon feature, or null if too few nodes were reached
+ */
+function getReachHull(points, minutes) {
+  const reached = points.filter(p => p[2] <= minutes).map(p => point([p[0], p[1]]));
+  
+  if (reached.length < 3) return null;
+  
+  const nodes = featureCollection(reached);
+  return concave(nodes, { maxEdge: HULL_MAX_EDGE, units: 'kilometers' }) || convex(nodes);
+}
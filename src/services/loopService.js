@@ -0,0 +1,128 @@
+/**
+ * QuietRoute Loop Service
+ * Generates quiet round-trip walks of a target length from a start point
+ */
+
+import { destination, point } from '@turf/turf';
+import { ROUTE_COLORS } from '../config';
+import { getOverlap } from '../utils/routeSelection';
+import { explainRoute } from '../utils/routeExplanation';
+import { getTravelMode } from '../utils/travelMode';
+import { fetchScoredRoutes, getSafePlacesAlong } from './routingService';
+
+// Directions the loop heads out in, in degrees from north
+const LOOP_HEADINGS = [0, 60, 120, 180, 240, 300];
+
+// Streets wind more than a straight triangle; scale the triangle down to match
+const STREET_DETOUR_FACTOR = 1.25;
+
+// Loops that walk back along more than this share of their own streets are rejected
+const MAX_RETRACE = 0.15;
+
+// Loops further than this from the target length are rejected
+const MAX_LENGTH_DEVIATION = 0.4;
+
+// Loops sharing this much of their streets are treated as the same loop
+const LOOP_OVERLAP_THRESHOLD = 0.7;
+
+/**
+ * Generate quiet round trips that start and end at the same place
+ * @param {Object} start - {lat, lng}
+ * @param {Object} target - {duration} in seconds or {distance} in meters
+ * @param {Object} preferences - {quietness: 0-1, brightness: 0-1, mode, avoidZones, city, timeZone}
+ * @param {Object} options - {departAt, reports}
+ * @param {number} limit - Maximum number of loops to return
+ * @returns {Promise<Array>} Scored loops, quietest first
+ */
+export async function getQuietLoops(start, target, preferences = {}, options = {}, limit = 3) {
+  const targetDistance = target.distance || target.duration * getTravelMode(preferences.mode).speed;
+
+  // Equilateral triangle start -> A -> B -> start, one per heading
+  const side = targetDistance / (3 * STREET_DETOUR_FACTOR);
+
+  const attempts = await Promise.all(LOOP_HEADINGS.map(async heading => {
+    const points = [
+      start,
+      offsetPoint(start, side, heading),
+      offsetPoint(start, side, heading + 60),
+      start
+    ];
+
+    try {
+      const [loop] = await fetchScoredRoutes(points, preferences, options);
+      return { ...loop, id: `loop-${heading}` };
+    } catch (error) {
+      console.log(`Loop heading ${heading}° failed:`, error.message);
+      return null;
+    }
+  }));
+
+  const candidates = attempts
+    .filter(Boolean)
+    .map(loop => ({
+      ...loop,
+      retrace: getRetraceFraction(loop.geometry.coordinates),
+      lengthDeviation: Math.abs(loop.distance - targetDistance) / targetDistance
+    }))
+    .filter(loop => !loop.stats.blocked && !loop.stats.impassable)
+    .filter(loop => loop.retrace <= MAX_RETRACE && loop.lengthDeviation <= MAX_LENGTH_DEVIATION)
+    // Noise cost, nudged towards loops closest to the requested length
+    .sort((a, b) => getLoopCost(a) - getLoopCost(b));
+
+  const loops = [];
+  candidates.forEach(loop => {
+    if (loops.length >= limit) return;
+    const duplicate = loops.some(other => getOverlap(loop, other) >= LOOP_OVERLAP_THRESHOLD);
+    if (!duplicate) loops.push(loop);
+  });
+
+  const safePlaces = loops.length > 0 ? await getSafePlacesAlong(loops, preferences.city) : [];
+
+  return loops.map((loop, index) => ({
+    ...loop,
+    explanation: explainRoute(loop, { reports: options.reports, safePlaces, timeZone: preferences.timeZone }),
+    label: 'loop',
+    color: index === 0 ? ROUTE_COLORS.quietest : ROUTE_COLORS.alternate,
+    recommended: index === 0
+  }));
+}
+
+/**
+ * Share of a route's length walked more than once
+ * @param {Array} coordinates - Route LineString coordinates
+ * @returns {number} 0-1
+ */
+export function getRetraceFraction(coordinates) {
+  const seen = new Map();
+  let total = 0;
+  let retraced = 0;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const a = coordinates[i];
+    const b = coordinates[i + 1];
+    const length = Math.hypot(a[0] - b[0], a[1] - b[1]);
+    const keyA = `${a[0].toFixed(5)},${a[1].toFixed(5)}`;
+    const keyB = `${b[0].toFixed(5)},${b[1].toFixed(5)}`;
+    const key = keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+
+    total += length;
+    if (seen.has(key)) {
+      retraced += length;
+    }
+    seen.set(key, true);
+  }
+
+  return total > 0 ? retraced / total : 0;
+}
+
+function getLoopCost(loop) {
+  return loop.stats.weightedCost * (1 + loop.lengthDeviation);
+}
+
+function offsetPoint(origin, meters, heading) {
+  const [lng, lat] = destination(point([origin.lng, origin.lat]), meters, heading, {
+    units: 'meters'
+  }).geometry.coordinates;
+
+  return { lat, lng };
+}
@@ -0,0 +1,90 @@
+/**
+ * QuietRoute Navigation Service
+ * Follows the device along a selected route: progress, current/next instruction
+ * and off-route detection
+ */
+
+import { lineString, nearestPointOnLine, point } from '@turf/turf';
+import { getInstructions } from './routingService';
+
+// Further than this from the route counts as off route
+export const OFF_ROUTE_DISTANCE = 40; // meters
+
+// Consecutive off-route fixes needed before rerouting (GPS jitters near buildings)
+export const OFF_ROUTE_FIXES = 3;
+
+// Within this distance of the end the trip is finished
+const ARRIVAL_DISTANCE = 20; // meters
+
+/**
+ * Prepare a route for navigation: its line and instructions with their distance along it
+ * @param {Object} route - Route with geometry and legs
+ * @returns {Object} {line, length, instructions: [{text, location, leg, along}]}
+ */
+export function prepareNavigation(route) {
+  const line = lineString(route.geometry.coordinates);
+  
+  const instructions = getInstructions(route).map(instruction => ({
+    ...instruction,
+    along: nearestPointOnLine(line, point(instruction.location), { units: 'meters' }).properties.location
+  }));
+  
+  return { line, length: route.distance, instructions };
+}
+
+/**
+ * Work out where the walker is on the route
+ * @param {Object} navigation - From prepareNavigation
+ * @param {Object} position - {lat, lng}
+ * @returns {Object} {offRoute, offset, progress, current, next, distanceToNext, arrived}
+ */
+export function getNavigationState(navigation, position) {
+  const snapped = nearestPointOnLine(navigation.line, point([position.lng, position.lat]), { units: 'meters' });
+  const offset = snapped.properties.dist;
+  const progress = snapped.properties.location;
+  const { instructions } = navigation;
+  
+  // Current instruction: the last maneuver already passed
+  let index = 0;
+  for (let i = 0; i < instructions.length; i++) {
+    if (instructions[i].along <= progress) index = i;
+  }
+  
+  const next = instructions[index + 1] || null;
+  
+  return {
+    offRoute: offset > OFF_ROUTE_DISTANCE,
+    offset,
+    progress,
+    current: instructions[index] || null,
+    next,
+    distanceToNext: next ? Math.max(0, next.along - progress) : Math.max(0, navigation.length - progress),
+    arrived: navigation.length - progress < ARRIVAL_DISTANCE && offset <= OFF_ROUTE_DISTANCE
+  };
+}
+
+/**
+ * Follow the device position
+ * @param {Function} onPosition - Called with {lat, lng, accuracy, heading}
+ * @param {Function} onError - Called with a GeolocationPositionError
+ * @returns {Function} Stops watching
+ */
+export function watchPosition(onPosition, onError) {
+  if (!navigator.geolocation) {
+    onError(new Error('Geolocation is not available on this device'));
+    return () => {};
+  }
+  
+  const watchId = navigator.geolocation.watchPosition(
+    ({ coords }) => onPosition({
+      lat: coords.latitude,
+      lng: coords.longitude,
+      accuracy: coords.accuracy,
+      heading: coords.heading
+    }),
+    onError,
+    { enableHighAccuracy: true, maximumAge: 2000, timeout: 15000 }
+  );
+  
+  return () => navigator.geolocation.clearWatch(watchId);
+}
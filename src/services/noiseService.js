@@ -0,0 +1,111 @@
+/**
+ * QuietRoute Noise Service
+ * Measures the sound level with the device microphone and shares only the number:
+ * audio never leaves the browser
+ */
+
+import { API_BASE_URL, NOISE_MEASUREMENT_SECONDS, MIC_CALIBRATION_OFFSET } from '../config';
+import { aWeighting, sumLevels, averageLevels } from '../utils/noiseLevel';
+
+// Spectrum size and how often it is read while measuring
+const FFT_SIZE = 2048;
+const SAMPLE_INTERVAL = 100; // ms
+
+/**
+ * Listen to the microphone and measure the A-weighted sound level
+ * Browser voice processing is switched off so it doesn't level out the noise.
+ * The result is approximate: MIC_CALIBRATION_OFFSET varies between devices
+ * @param {number} seconds - How long to listen
+ * @returns {Promise<number>} Equivalent sound level in dB(A), to 0.1 dB
+ */
+export async function measureNoise(seconds = NOISE_MEASUREMENT_SECONDS) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+  });
+  const context = new AudioContext();
+
+  try {
+    await context.resume();
+
+    const analyser = context.createAnalyser();
+    analyser.fftSize = FFT_SIZE;
+    analyser.smoothingTimeConstant = 0;
+    context.createMediaStreamSource(stream).connect(analyser);
+
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    const weights = Array.from(spectrum, (value, bin) => aWeighting(bin * context.sampleRate / FFT_SIZE));
+    const levels = [];
+    const end = Date.now() + seconds * 1000;
+
+    while (Date.now() < end) {
+      await new Promise(resolve => setTimeout(resolve, SAMPLE_INTERVAL));
+      analyser.getFloatFrequencyData(spectrum);
+
+      // Silent bins read -Infinity and the DC bin has no A-weighting
+      const weighted = [];
+      spectrum.forEach((level, bin) => {
+        if (Number.isFinite(level) && Number.isFinite(weights[bin])) weighted.push(level + weights[bin]);
+      });
+      if (weighted.length > 0) levels.push(sumLevels(weighted));
+    }
+
+    const level = averageLevels(levels);
+    if (level === null) {
+      throw new Error('No sound reached the microphone');
+    }
+
+    return Math.round((level + MIC_CALIBRATION_OFFSET) * 10) / 10;
+  } finally {
+    stream.getTracks().forEach(track => track.stop());
+    context.close();
+  }
+}
+
+/**
+ * Share a measurement with the backend
+ * @param {Object} measurement - {lat, lng, level: dB(A)}
+ * @returns {Promise<Object|null>} Saved measurement with the street it was matched to, or null if it couldn't be saved
+ */
+export async function submitNoiseMeasurement(measurement) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/noise-measurements`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lat: measurement.lat, lng: measurement.lng, level: measurement.level })
+    });
+
+    if (response.ok) {
+      return await response.json();
+    }
+  } catch (error) {
+    console.log('Backend unavailable, noise measurement not saved');
+  }
+
+  return null;
+}
+
+/**
+ * Recent measurements within a bounding box
+ * @param {Object} bounds - {north, south, east, west}
+ * @returns {Promise<Array>} Measurements [{id, lat, lng, level_db, measured_at}], empty when the backend is unavailable
+ */
+export async function getNoiseMeasurementsInArea(bounds) {
+  try {
+    const params = new URLSearchParams({
+      north: bounds.north,
+      south: bounds.south,
+      east: bounds.east,
+      west: bounds.west
+    });
+
+    const response = await fetch(`${API_BASE_URL}/noise-measurements?${params}`);
+
+    if (response.ok) {
+      return await response.json();
+    }
+  } catch (error) {
+    console.log('Backend unavailable, heatmap shows reports only');
+  }
+
+  return [];
+}
@@ -4,11 +4,13 @@
  */
 
 import { REPORT_TYPES, API_BASE_URL } from '../config';
+import { getAuthHeaders } from './authService';
+import { isDisputed } from '../utils/reportVotes';
 
 const STORAGE_KEY = 'quietroute_reports';
 
 /**
- * Submit a new report
+ * Submit a new report, attributed to the user when signed in
  * @param {Object} report - {lat, lng, type, note}
  * @returns {Promise<Object>} Created report
  */
@@ -30,7 +32,7 @@ export async function submitReport(report) {
   try {
     const response = await fetch(`${API_BASE_URL}/reports`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
       body: JSON.stringify(newReport)
     });
     
@@ -52,9 +54,10 @@ export async function submitReport(report) {
 /**
  * Get reports within a bounding box
  * @param {Object} bounds - {north, south, east, west}
+ * @param {string} city - Only reports in this city (CITIES key), when given
  * @returns {Promise<Array>} Reports in area
  */
-export async function getReportsInArea(bounds) {
+export async function getReportsInArea(bounds, city) {
   try {
     const params = new URLSearchParams({
       north: bounds.north,
@@ -62,6 +65,7 @@ export async function getReportsInArea(bounds) {
       east: bounds.east,
       west: bounds.west
     });
+    if (city) params.append('city', city);
     
     const response = await fetch(`${API_BASE_URL}/reports?${params}`);
     
@@ -79,12 +83,14 @@ export async function getReportsInArea(bounds) {
            report.lat <= bounds.north &&
            report.lng >= bounds.west &&
            report.lng <= bounds.east &&
-           !isExpired(report);
+           !isExpired(report) &&
+           !report.disputed;
   });
 }
 
 /**
- * Get all active reports from localStorage
+ * Get all unexpired reports from localStorage, disputed ones included so
+ * saving the list back keeps them (they are hidden when read for display)
  * @returns {Array} Reports
  */
 function getLocalReports() {
@@ -136,7 +142,8 @@ function getExpiryDate(type) {
       now.setHours(now.getHours() + 2);
       break;
     case 'obstruction':
-      // Obstructions last 4 weeks
+    case 'broken_pavement':
+      // Obstructions and broken pavements last 4 weeks
       now.setDate(now.getDate() + 28);
       break;
     case 'dark':
@@ -154,36 +161,19 @@ function getExpiryDate(type) {
 /**
  * Upvote a report (confirms it's still valid)
  * @param {string} reportId 
+ * @returns {Promise<Object|null>} {upvotes, downvotes, vote, disputed}, or null if already upvoted
  */
 export async function upvoteReport(reportId) {
-  const reports = getLocalReports();
-  const report = reports.find(r => r.id === reportId);
-  
-  if (report) {
-    report.upvotes = (report.upvotes || 0) + 1;
-    saveLocalReports(reports);
-  }
+  return voteOnReport(reportId, 1);
 }
 
 /**
- * Downvote/dismiss a report
+ * Downvote/dismiss a report; it is hidden once voters confidently dispute it
  * @param {string} reportId 
+ * @returns {Promise<Object|null>} {upvotes, downvotes, vote, disputed}, or null if already downvoted
  */
 export async function downvoteReport(reportId) {
-  const reports = getLocalReports();
-  const report = reports.find(r => r.id === reportId);
-  
-  if (report) {
-    report.downvotes = (report.downvotes || 0) + 1;
-    
-    // Remove if too many downvotes
-    if (report.downvotes >= 3) {
-      const filtered = reports.filter(r => r.id !== reportId);
-      saveLocalReports(filtered);
-    } else {
-      saveLocalReports(reports);
-    }
-  }
+  return voteOnReport(reportId, -1);
 }
 
 /**
@@ -206,6 +196,48 @@ export function getReportTypes() {
   }));
 }
 
+/**
+ * Vote on a report as the signed-in user, or anonymously.
+ * A second vote the other way changes the first; repeating it is refused
+ * @param {string} reportId
+ * @param {number} vote - 1 up, -1 down
+ * @returns {Promise<Object|null>} {upvotes, downvotes, vote, disputed}, or null for a repeated vote
+ */
+async function voteOnReport(reportId, vote) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/reports/${reportId}/${vote === 1 ? 'upvote' : 'downvote'}`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    
+    if (response.ok) {
+      return await response.json();
+    }
+    if (response.status === 409) {
+      return null;
+    }
+  } catch (error) {
+    console.log('Backend unavailable, using localStorage');
+  }
+  
+  // Fallback: count the vote on the local copy, remembering this device's vote
+  const reports = getLocalReports();
+  const report = reports.find(r => r.id === reportId);
+  if (!report || report.myVote === vote) return null;
+  
+  const side = vote === 1 ? 'upvotes' : 'downvotes';
+  if (report.myVote) {
+    report[report.myVote === 1 ? 'upvotes' : 'downvotes']--;
+  }
+  report[side] = (report[side] || 0) + 1;
+  report.myVote = vote;
+  report.disputed = isDisputed(report.upvotes || 0, report.downvotes || 0);
+  saveLocalReports(reports);
+  
+  const { upvotes, downvotes, disputed } = report;
+  return { upvotes, downvotes, vote, disputed };
+}
+
 /**
  * Generate unique ID
  * @returns {string}
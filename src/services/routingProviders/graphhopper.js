@@ -0,0 +1,134 @@
+/**
+ * QuietRoute Routing Providers - GraphHopper
+ * Translates GraphHopper paths (one instruction list for the whole trip, turn
+ * "signs") into QuietRoute's OSRM-shaped routes
+ */
+
+import { bearing } from '@turf/turf';
+import { GRAPHHOPPER_SERVER, GRAPHHOPPER_API_KEY } from '../../config';
+import { getTravelMode } from '../../utils/travelMode';
+import { fetchJson, isReachable } from './http';
+
+// GraphHopper profile for each of our OSRM profiles
+const PROFILES = {
+  foot: 'foot',
+  bike: 'bike',
+  wheelchair: 'wheelchair'
+};
+
+// GraphHopper instruction signs as OSRM maneuver type and modifier
+const SIGNS = {
+  '-98': { type: 'turn', modifier: 'uturn' },
+  '-8': { type: 'turn', modifier: 'uturn' },
+  '-7': { type: 'fork', modifier: 'left' },
+  '-6': { type: 'exit roundabout' },
+  '-3': { type: 'turn', modifier: 'sharp left' },
+  '-2': { type: 'turn', modifier: 'left' },
+  '-1': { type: 'turn', modifier: 'slight left' },
+  0: { type: 'new name' },
+  1: { type: 'turn', modifier: 'slight right' },
+  2: { type: 'turn', modifier: 'right' },
+  3: { type: 'turn', modifier: 'sharp right' },
+  4: { type: 'arrive' },
+  5: { type: 'arrive' }, // via point reached
+  6: { type: 'roundabout' },
+  7: { type: 'fork', modifier: 'right' },
+  8: { type: 'turn', modifier: 'uturn' }
+};
+
+const FINISH = 4;
+const VIA_REACHED = 5;
+
+/**
+ * Create a GraphHopper provider
+ * @param {Object} config - {name, url, key}; the key is only needed by the hosted API
+ * @returns {Object} Provider {name, route, checkHealth}
+ */
+export function createGraphHopperProvider({ name = 'GraphHopper', url = GRAPHHOPPER_SERVER, key = GRAPHHOPPER_API_KEY }) {
+  const withKey = (params) => {
+    if (key) params.set('key', key);
+    return params;
+  };
+
+  return {
+    name,
+
+    /**
+     * @param {Array} points - Ordered stops [{lat, lng}]
+     * @param {string} mode - Travel mode
+     * @param {Object} options - {alternatives}
+     * @returns {Promise<Object>} {code, routes}
+     */
+    async route(points, mode, options = {}) {
+      const params = withKey(new URLSearchParams({
+        profile: PROFILES[getTravelMode(mode).profile] || PROFILES.foot,
+        points_encoded: 'false',
+        instructions: 'true',
+        locale: 'en'
+      }));
+      points.forEach(point => params.append('point', `${point.lat},${point.lng}`));
+      if (options.alternatives && points.length === 2) {
+        params.set('algorithm', 'alternative_route');
+        params.set('alternative_route.max_paths', '3');
+      }
+
+      const { status, data } = await fetchJson(`${url}/route?${params}`);
+
+      if (status === 400 || !data.paths) {
+        return { code: 'NoRoute', routes: [] };
+      }
+
+      return { code: 'Ok', routes: data.paths.map(normalisePath) };
+    },
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    checkHealth() {
+      return isReachable(`${url}/info?${withKey(new URLSearchParams())}`);
+    }
+  };
+}
+
+/**
+ * Convert a GraphHopper path to a route with OSRM-style legs, split at via points
+ * @param {Object} path - {distance, time (ms), points: GeoJSON LineString, instructions}
+ * @returns {Object} {geometry, distance, duration, legs}
+ */
+function normalisePath(path) {
+  const coordinates = path.points.coordinates.map(([lng, lat]) => [lng, lat]);
+  const legs = [];
+  let steps = [];
+
+  path.instructions.forEach((instruction, index) => {
+    const [from, to] = instruction.interval;
+    const step = {
+      distance: instruction.distance,
+      duration: instruction.time / 1000,
+      name: instruction.street_name || '',
+      maneuver: {
+        ...(index === 0 ? { type: 'depart' } : SIGNS[instruction.sign] || { type: 'notification' }),
+        location: coordinates[from],
+        bearing_after: to > from ? (bearing(coordinates[from], coordinates[from + 1]) + 360) % 360 : undefined,
+        exit: instruction.exit_number
+      }
+    };
+    steps.push(step);
+
+    if (instruction.sign === VIA_REACHED || instruction.sign === FINISH) {
+      legs.push({
+        distance: steps.reduce((sum, { distance }) => sum + distance, 0),
+        duration: steps.reduce((sum, { duration }) => sum + duration, 0),
+        steps
+      });
+      steps = [];
+    }
+  });
+
+  return {
+    geometry: { type: 'LineString', coordinates },
+    distance: path.distance,
+    duration: path.time / 1000,
+    legs
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * QuietRoute Routing Providers - HTTP
+ * Requests to routing engines, with timeouts so a hung server counts as a failure
+ */
+
+// Longest a route request may take before the provider is treated as down
+const REQUEST_TIMEOUT = 15 * 1000; // ms
+
+// Health checks have to be quick, or they hold up the next route request
+export const HEALTH_TIMEOUT = 3 * 1000; // ms
+
+/**
+ * Fetch JSON from a routing engine
+ * 400 responses are returned, since engines use them to say there is no route;
+ * any other error status, a timeout or a network error throws
+ * @param {string} url
+ * @param {Object} options - fetch options plus {timeout} in ms
+ * @returns {Promise<Object>} {status, data}
+ */
+export async function fetchJson(url, options = {}) {
+  const { timeout = REQUEST_TIMEOUT, ...init } = options;
+  const response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeout) });
+
+  if (!response.ok && response.status !== 400) {
+    throw new Error(`HTTP ${response.status} from ${url}`);
+  }
+
+  return { status: response.status, data: await response.json() };
+}
+
+/**
+ * Whether a health-check URL answers successfully
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+export async function isReachable(url) {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(HEALTH_TIMEOUT) });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
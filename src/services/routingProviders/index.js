@@ -0,0 +1,102 @@
+/**
+ * QuietRoute Routing Providers
+ * Routes from OSRM, Valhalla or GraphHopper, normalised to one route shape, with
+ * health-checked failover between the configured engines
+ */
+
+import { API_BASE_URL, ROUTING_PROVIDERS, PROVIDER_RETRY_INTERVAL } from '../../config';
+import { fetchJson, HEALTH_TIMEOUT } from './http';
+import { createOsrmProvider } from './osrm';
+import { createValhallaProvider } from './valhalla';
+import { createGraphHopperProvider } from './graphhopper';
+
+const ADAPTERS = {
+  osrm: createOsrmProvider,
+  valhalla: createValhallaProvider,
+  graphhopper: createGraphHopperProvider
+};
+
+// When each failed provider (by name and travel mode) may be health-checked again
+const retryAt = new Map();
+
+let providers = null;
+
+/**
+ * Request routes from the first available provider, failing over to the next
+ * A provider that fails is skipped for PROVIDER_RETRY_INTERVAL and only used again
+ * once a health check passes, so a brief outage doesn't switch engines for good
+ * @param {Array} points - Ordered stops [{lat, lng}]
+ * @param {string} mode - 'walking' | 'cycling' | 'wheelchair'
+ * @param {Object} options - {alternatives}
+ * @returns {Promise<Object>} {code, routes: [{geometry, distance, duration, legs}]}
+ */
+export async function requestRoutes(points, mode, options = {}) {
+  let lastError = new Error('No routing provider available');
+
+  for (const provider of await getProviders()) {
+    if (!(await isAvailable(provider, mode))) continue;
+
+    try {
+      return await provider.route(points, mode, options);
+    } catch (error) {
+      console.log(`${provider.name} failed, trying the next routing provider:`, error.message);
+      retryAt.set(`${provider.name}/${mode}`, Date.now() + PROVIDER_RETRY_INTERVAL);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Whether a provider can take requests for a travel mode, health-checking
+ * providers whose retry interval has passed
+ * @param {Object} provider
+ * @param {string} mode
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable(provider, mode) {
+  const key = `${provider.name}/${mode}`;
+
+  if (!retryAt.has(key)) return true;
+  if (Date.now() < retryAt.get(key)) return false;
+
+  const healthy = await provider.checkHealth(mode);
+  if (healthy) {
+    retryAt.delete(key);
+  } else {
+    retryAt.set(key, Date.now() + PROVIDER_RETRY_INTERVAL);
+  }
+  return healthy;
+}
+
+/**
+ * Providers in the order they are tried, created once per session
+ * @returns {Promise<Array>} [{name, route, checkHealth}]
+ */
+function getProviders() {
+  if (!providers) {
+    providers = loadProviderConfig().then(configs =>
+      configs
+        .filter(config => ADAPTERS[config.type])
+        .map(config => ADAPTERS[config.type](config))
+    );
+  }
+  return providers;
+}
+
+/**
+ * Provider list from the backend's .env, or ROUTING_PROVIDERS when it sets none
+ * @returns {Promise<Array>} [{type, name, url, ...}]
+ */
+async function loadProviderConfig() {
+  try {
+    const { data } = await fetchJson(`${API_BASE_URL}/routing/providers`, { timeout: HEALTH_TIMEOUT });
+    if (data.providers && data.providers.length > 0) {
+      return data.providers;
+    }
+  } catch (error) {
+    console.log('Backend unavailable, using routing providers from config');
+  }
+  return ROUTING_PROVIDERS;
+}
@@ -0,0 +1,74 @@
+/**
+ * QuietRoute Routing Providers - OSRM
+ * OSRM already answers in the shape QuietRoute routes use, so this adapter builds
+ * its URLs and retimes servers that only route cars
+ */
+
+import { DEFAULT_CENTER } from '../../config';
+import { getTravelMode, getTravelTime } from '../../utils/travelMode';
+import { fetchJson, isReachable } from './http';
+
+/**
+ * Create an OSRM provider
+ * @param {Object} config - {name, url, carOnly}; without a url each travel mode uses its own server
+ * @returns {Object} Provider {name, route, checkHealth}
+ */
+export function createOsrmProvider({ name = 'OSRM', url, carOnly = false }) {
+  const getServer = (mode) => url || getTravelMode(mode).server;
+
+  return {
+    name,
+
+    /**
+     * @param {Array} points - Ordered stops [{lat, lng}]
+     * @param {string} mode - Travel mode
+     * @param {Object} options - {alternatives}
+     * @returns {Promise<Object>} {code, routes}
+     */
+    async route(points, mode, options = {}) {
+      const { profile } = getTravelMode(mode);
+      const coords = points.map(point => `${point.lng},${point.lat}`).join(';');
+      // Alternatives are only available for a single origin/destination pair
+      const alternatives = options.alternatives && points.length === 2 ? 3 : false;
+      const { data } = await fetchJson(
+        `${getServer(mode)}/route/v1/${profile}/${coords}?overview=full&alternatives=${alternatives}&steps=true&geometries=geojson`
+      );
+
+      if (data.code !== 'Ok' || !data.routes) {
+        return { code: data.code || 'NoRoute', routes: [] };
+      }
+
+      return {
+        code: 'Ok',
+        routes: data.routes.map(route => (carOnly ? retimeRoute(route, mode) : route))
+      };
+    },
+
+    /**
+     * @param {string} mode
+     * @returns {Promise<boolean>} Whether the server snaps a point in the service area
+     */
+    checkHealth(mode) {
+      const { profile } = getTravelMode(mode);
+      return isReachable(`${getServer(mode)}/nearest/v1/${profile}/${DEFAULT_CENTER.longitude},${DEFAULT_CENTER.latitude}`);
+    }
+  };
+}
+
+/**
+ * Recompute an OSRM route's durations from its distances at a travel mode's speed
+ * @param {Object} route - OSRM route with legs and steps
+ * @param {string} mode
+ * @returns {Object} Route
+ */
+function retimeRoute(route, mode) {
+  return {
+    ...route,
+    duration: getTravelTime(route.distance, mode),
+    legs: route.legs.map(leg => ({
+      ...leg,
+      duration: getTravelTime(leg.distance, mode),
+      steps: leg.steps.map(step => ({ ...step, duration: getTravelTime(step.distance, mode) }))
+    }))
+  };
+}
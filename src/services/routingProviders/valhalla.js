@@ -0,0 +1,160 @@
+/**
+ * QuietRoute Routing Providers - Valhalla
+ * Translates Valhalla trips (per-leg encoded shapes, numbered maneuver types) into
+ * QuietRoute's OSRM-shaped routes
+ */
+
+import { VALHALLA_SERVER } from '../../config';
+import { getTravelMode } from '../../utils/travelMode';
+import { fetchJson, isReachable } from './http';
+
+// Valhalla costing for each of our OSRM profiles
+const COSTING = {
+  foot: { costing: 'pedestrian' },
+  bike: { costing: 'bicycle' },
+  wheelchair: { costing: 'pedestrian', costing_options: { pedestrian: { type: 'wheelchair' } } }
+};
+
+// Valhalla maneuver types as OSRM maneuver type and modifier
+const MANEUVERS = {
+  1: { type: 'depart' },
+  2: { type: 'depart', modifier: 'right' },
+  3: { type: 'depart', modifier: 'left' },
+  4: { type: 'arrive' },
+  5: { type: 'arrive', modifier: 'right' },
+  6: { type: 'arrive', modifier: 'left' },
+  7: { type: 'new name' },
+  8: { type: 'continue', modifier: 'straight' },
+  9: { type: 'turn', modifier: 'slight right' },
+  10: { type: 'turn', modifier: 'right' },
+  11: { type: 'turn', modifier: 'sharp right' },
+  12: { type: 'turn', modifier: 'uturn' },
+  13: { type: 'turn', modifier: 'uturn' },
+  14: { type: 'turn', modifier: 'sharp left' },
+  15: { type: 'turn', modifier: 'left' },
+  16: { type: 'turn', modifier: 'slight left' },
+  17: { type: 'on ramp', modifier: 'straight' },
+  18: { type: 'on ramp', modifier: 'right' },
+  19: { type: 'on ramp', modifier: 'left' },
+  20: { type: 'off ramp', modifier: 'right' },
+  21: { type: 'off ramp', modifier: 'left' },
+  22: { type: 'fork', modifier: 'straight' },
+  23: { type: 'fork', modifier: 'right' },
+  24: { type: 'fork', modifier: 'left' },
+  25: { type: 'merge', modifier: 'straight' },
+  26: { type: 'roundabout' },
+  27: { type: 'exit roundabout' },
+  37: { type: 'merge', modifier: 'right' },
+  38: { type: 'merge', modifier: 'left' }
+};
+
+// Valhalla shapes are polylines at 6 decimal places
+const SHAPE_PRECISION = 1e6;
+
+/**
+ * Create a Valhalla provider
+ * @param {Object} config - {name, url}
+ * @returns {Object} Provider {name, route, checkHealth}
+ */
+export function createValhallaProvider({ name = 'Valhalla', url = VALHALLA_SERVER }) {
+  return {
+    name,
+
+    /**
+     * @param {Array} points - Ordered stops [{lat, lng}]
+     * @param {string} mode - Travel mode
+     * @param {Object} options - {alternatives}
+     * @returns {Promise<Object>} {code, routes}
+     */
+    async route(points, mode, options = {}) {
+      const { status, data } = await fetchJson(`${url}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          locations: points.map(point => ({ lat: point.lat, lon: point.lng, type: 'break' })),
+          ...(COSTING[getTravelMode(mode).profile] || COSTING.foot),
+          directions_options: { units: 'kilometers' },
+          alternates: options.alternatives && points.length === 2 ? 2 : 0
+        })
+      });
+
+      if (status === 400 || !data.trip) {
+        return { code: 'NoRoute', routes: [] };
+      }
+
+      const trips = [data.trip, ...(data.alternates || []).map(alternate => alternate.trip)];
+      return { code: 'Ok', routes: trips.map(normaliseTrip) };
+    },
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    checkHealth() {
+      return isReachable(`${url}/status`);
+    }
+  };
+}
+
+/**
+ * Convert a Valhalla trip to a route with GeoJSON geometry and OSRM-style legs
+ * @param {Object} trip - {legs: [{shape, maneuvers, summary}], summary}
+ * @returns {Object} {geometry, distance, duration, legs}
+ */
+function normaliseTrip(trip) {
+  const shapes = trip.legs.map(leg => decodeShape(leg.shape));
+  // Each leg starts where the previous one ended
+  const coordinates = shapes.flatMap((shape, index) => (index === 0 ? shape : shape.slice(1)));
+
+  return {
+    geometry: { type: 'LineString', coordinates },
+    distance: trip.summary.length * 1000,
+    duration: trip.summary.time,
+    legs: trip.legs.map((leg, index) => ({
+      distance: leg.summary.length * 1000,
+      duration: leg.summary.time,
+      steps: leg.maneuvers.map(maneuver => ({
+        distance: maneuver.length * 1000,
+        duration: maneuver.time,
+        name: (maneuver.street_names || [])[0] || '',
+        maneuver: {
+          ...(MANEUVERS[maneuver.type] || { type: 'notification' }),
+          location: shapes[index][maneuver.begin_shape_index],
+          bearing_after: maneuver.bearing_after,
+          exit: maneuver.roundabout_exit_count
+        }
+      }))
+    }))
+  };
+}
+
+/**
+ * Decode an encoded polyline into [lng, lat] pairs
+ * @param {string} shape
+ * @returns {Array} Coordinates
+ */
+function decodeShape(shape) {
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = shape.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < shape.length) {
+    lat += nextValue();
+    lng += nextValue();
+    coordinates.push([lng / SHAPE_PRECISION, lat / SHAPE_PRECISION]);
+  }
+
+  return coordinates;
+}
@@ -1,67 +1,71 @@
 /**
  * QuietRoute Routing Service
- * Handles route calculation with OSRM and custom weights
+ * Handles route calculation with pluggable routing engines and custom weights
  */
 
-import { OSRM_DEMO_SERVER, OSRM_SERVER, ROUTE_COLORS } from '../config';
-import { scoreRoute } from '../utils/costFunction';
+import { bbox, lineString } from '@turf/turf';
+import { ROUTE_COLORS, API_BASE_URL, USE_NATIVE_ROUTER } from '../config';
+import { scoreRoute, haversineDistance } from '../utils/costFunction';
+import { selectDistinctRoutes } from '../utils/routeSelection';
+import { explainRoute } from '../utils/routeExplanation';
+import { getTravelTime } from '../utils/travelMode';
+import { matchRouteToStreets } from './streetService';
+import { getSafePlacesInArea } from './safePlaceService';
+import { requestRoutes } from './routingProviders';
+import { t, formatNumber, formatOrdinal } from '../i18n';
 
-// Try local OSRM first, fall back to demo server
-let osrmServer = OSRM_DEMO_SERVER;
+// Compass points for the departure heading, clockwise from north
+const COMPASS_DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Most intermediate stops a trip can have (order optimisation is brute force)
+export const MAX_WAYPOINTS = 4;
 
 /**
- * Get multiple route alternatives between two points
+ * Get multiple route alternatives between two points, optionally via stops
  * @param {Object} origin - {lat, lng}
  * @param {Object} destination - {lat, lng}
- * @param {Object} preferences - {quietness: 0-1, brightness: 0-1}
+ * @param {Object} preferences - {quietness: 0-1, brightness: 0-1, mode, accessibility, avoidZones, city, timeZone}
+ * @param {Object} options - {departAt | arriveBy (Date), waypoints: [{lat, lng}], optimizeOrder, reports}
  * @returns {Promise<Array>} Array of route options
  */
-export async function getRoutes(origin, destination, preferences = {}) {
+export async function getRoutes(origin, destination, preferences = {}, options = {}) {
   try {
-    // Request route with alternatives
-    const coords = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
-    const url = `${osrmServer}/route/v1/foot/${coords}?overview=full&alternatives=3&steps=true&geometries=geojson`;
+    let waypoints = (options.waypoints || []).slice(0, MAX_WAYPOINTS);
     
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`OSRM error: ${response.status}`);
+    if (options.optimizeOrder && waypoints.length > 1) {
+      waypoints = await optimizeStopOrder(origin, destination, waypoints, preferences, options);
     }
     
-    const data = await response.json();
+    // Request route with alternatives, scored leg by leg
+    const candidates = await fetchScoredRoutes([origin, ...waypoints, destination], preferences, options);
     
-    if (data.code !== 'Ok' || !data.routes) {
-      throw new Error('No routes found');
-    }
+    // Drop routes through blocking avoid zones or that the accessibility need can't
+    // use, unless every route does
+    const allowed = candidates.filter(route => !route.stats.blocked && !route.stats.impassable);
+    const usable = allowed.length > 0 ? allowed : candidates;
     
-    // Process and score each route
-    const routes = data.routes.map((route, index) => {
-      const processed = {
-        id: `route-${index}`,
-        geometry: route.geometry,
-        distance: route.distance, // meters
-        duration: route.duration, // seconds
-        legs: route.legs,
-        color: getRouteColor(index, preferences)
-      };
-      
-      // Add scoring based on preferences
-      return scoreRoute(processed, preferences);
-    });
+    // Keep only distinct routes that win a trade-off (fastest, quietest, brightest)
+    const routes = selectDistinctRoutes(usable).map(route => ({
+      ...route,
+      waypoints,
+      color: getRouteColor(route.label)
+    }));
     
-    // Debug: Log scores to understand sorting behavior
-    console.log('--- Route Scoring Debug ---');
-    console.log('Preferences:', preferences);
-    routes.forEach(r => {
-      console.log(`Route ${r.id}: Noise=${r.stats.noiseScore.toFixed(2)}, Light=${r.stats.lightingScore.toFixed(2)}, Total=${r.stats.overallScore.toFixed(2)}`);
-    });
-
     // Sort by best match to preferences
     routes.sort((a, b) => (b.stats?.overallScore || 0) - (a.stats?.overallScore || 0));
     
-    console.log('Top route after sort:', routes[0].id);
-    console.log('---------------------------');
-
+    // Explain each route against the fastest, with what it passes on the way
+    const fastest = routes.find(route => route.wins.includes('fastest'));
+    const safePlaces = routes.length > 0 ? await getSafePlacesAlong(routes, preferences.city) : [];
+    routes.forEach(route => {
+      route.explanation = explainRoute(route, {
+        baseline: fastest,
+        reports: options.reports,
+        safePlaces,
+        timeZone: preferences.timeZone
+      });
+    });
+    
     // Mark best route as recommended
     if (routes.length > 0) {
       routes[0].recommended = true;
@@ -71,121 +75,345 @@ export async function getRoutes(origin, destination, preferences = {}) {
     
   } catch (error) {
     console.error('Routing error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch routes through a list of stops and score them against the streets they use
+ * @param {Array} points - Ordered stops [{lat, lng}], at least origin and destination
+ * @param {Object} preferences - {quietness: 0-1, brightness: 0-1, mode, accessibility}
+ * @param {Object} options - {departAt | arriveBy, reports: active reports near the trip}
+ * @returns {Promise<Array>} Scored routes
+ */
+export async function fetchScoredRoutes(points, preferences, options) {
+  const data = USE_NATIVE_ROUTER
+    ? await requestNativeRoute(points, preferences, options)
+    : await requestRoutes(points, preferences.mode, { alternatives: true });
+  
+  if (data.code !== 'Ok' || !data.routes) {
+    throw new Error('No routes found');
+  }
+  
+  // Process and score each route against the streets it runs along
+  return Promise.all(data.routes.map(async (route, index) => {
+    const processed = {
+      id: `route-${index}`,
+      geometry: route.geometry,
+      distance: route.distance, // meters
+      duration: route.duration, // seconds
+      legs: route.legs,
+      segments: route.segments || await matchRouteToStreets(route.geometry)
+    };
     
-    // Try local server if demo fails
-    if (osrmServer === OSRM_DEMO_SERVER) {
-      console.log('Trying local OSRM server...');
-      osrmServer = OSRM_SERVER;
-      return getRoutes(origin, destination, preferences);
+    // Add scoring based on preferences, each segment at the time it is reached
+    return scoreRoute(processed, preferences, options.reports || [], options);
+  }));
+}
+
+/**
+ * Safe places within the bounding box of a set of routes
+ * @param {Array} routes - Routes with GeoJSON LineString geometry
+ * @param {string} city - City the routes are in (CITIES key)
+ * @returns {Promise<Array>} Safe places [{lat, lng, is_24_hours, schedule, ...}]
+ */
+export async function getSafePlacesAlong(routes, city) {
+  const [west, south, east, north] = bbox(lineString(routes.flatMap(route => route.geometry.coordinates)));
+  
+  return getSafePlacesInArea({ north, south, east, west }, city);
+}
+
+/**
+ * Find the order of intermediate stops with the lowest total weighted cost
+ * Scores the route between every pair of stops once, then tries every order
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {Array} waypoints - Intermediate stops [{lat, lng}]
+ * @param {Object} preferences - {quietness: 0-1, brightness: 0-1}
+ * @param {Object} options - {departAt | arriveBy}
+ * @returns {Promise<Array>} Waypoints in the quietest order
+ */
+async function optimizeStopOrder(origin, destination, waypoints, preferences, options) {
+  const points = [origin, ...waypoints, destination];
+  const last = points.length - 1;
+  const costs = new Map();
+  
+  // Walking routes are symmetric, so each unordered pair is scored once
+  const pairs = [];
+  for (let a = 0; a < last; a++) {
+    for (let b = a + 1; b <= last; b++) {
+      if (a === 0 && b === last) continue; // origin -> destination is never a leg
+      pairs.push([a, b]);
     }
-    
-    throw error;
   }
+  
+  await Promise.all(pairs.map(async ([a, b]) => {
+    const routes = await fetchScoredRoutes([points[a], points[b]], preferences, options);
+    const cheapest = Math.min(...routes.map(route => route.stats.weightedCost));
+    costs.set(`${a}-${b}`, cheapest);
+  }));
+  
+  const legCost = (a, b) => costs.get(a < b ? `${a}-${b}` : `${b}-${a}`);
+  
+  let bestOrder = null;
+  let bestCost = Infinity;
+  
+  permutations(waypoints.map((_, index) => index + 1)).forEach(order => {
+    const stops = [0, ...order, last];
+    let total = 0;
+    for (let i = 0; i < stops.length - 1; i++) {
+      total += legCost(stops[i], stops[i + 1]);
+    }
+    if (total < bestCost) {
+      bestCost = total;
+      bestOrder = order;
+    }
+  });
+  
+  return bestOrder.map(index => points[index]);
 }
 
 /**
- * Get driving/walking directions with turn-by-turn instructions
+ * All orderings of a small array
+ * @param {Array} items 
+ * @returns {Array<Array>}
+ */
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)])
+      .map(rest => [item, ...rest])
+  );
+}
+
+/**
+ * Request a route from the backend's weighted street graph
+ * @param {Array} points - Ordered stops [{lat, lng}]
+ * @param {Object} preferences - {quietness: 0-1, brightness: 0-1, mode}
+ * @param {Object} options - {departAt | arriveBy}
+ * @returns {Promise<Object>} OSRM-style response {code, routes} with segments
+ */
+async function requestNativeRoute(points, preferences, options) {
+  const stops = points.map(point => ({ lat: point.lat, lng: point.lng }));
+  
+  const response = await fetch(`${API_BASE_URL}/route`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      origin: stops[0],
+      destination: stops[stops.length - 1],
+      waypoints: stops.slice(1, -1),
+      preferences,
+      departAt: estimateDeparture(stops, options, preferences.mode).toISOString()
+    })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Routing API error: ${response.status}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Estimate the departure time for a request before the route is known
+ * Arrive-by trips assume a trip 1.3x the straight-line distance between stops
+ * @param {Array} points - Ordered stops [{lat, lng}]
+ * @param {Object} options - {departAt} or {arriveBy}
+ * @param {string} mode - Travel mode whose speed applies
+ * @returns {Date}
+ */
+function estimateDeparture(points, options, mode) {
+  if (!options.arriveBy) {
+    return options.departAt || new Date();
+  }
+  
+  let distance = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    distance += haversineDistance(points[i].lat, points[i].lng, points[i + 1].lat, points[i + 1].lng) * 1.3;
+  }
+  return new Date(options.arriveBy.getTime() - getTravelTime(distance, mode) * 1000);
+}
+
+/**
+ * Get walking, cycling or wheelchair directions with turn-by-turn instructions
  * @param {Object} origin 
  * @param {Object} destination 
+ * @param {Array} waypoints - Intermediate stops [{lat, lng}]
+ * @param {string} mode - 'walking' | 'cycling' | 'wheelchair'
  * @returns {Promise<Object>} Route with instructions
  */
-export async function getDirections(origin, destination) {
-  const coords = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
-  const url = `${osrmServer}/route/v1/foot/${coords}?overview=full&steps=true&geometries=geojson`;
+export async function getDirections(origin, destination, waypoints = [], mode) {
+  const data = await requestRoutes([origin, ...waypoints, destination], mode);
   
-  const response = await fetch(url);
-  const data = await response.json();
-  
-  if (data.code !== 'Ok') {
+  if (data.code !== 'Ok' || data.routes.length === 0) {
     throw new Error('Failed to get directions');
   }
   
   const route = data.routes[0];
+  
+  return {
+    route: route.geometry,
+    distance: route.distance,
+    duration: route.duration,
+    instructions: getInstructions(route)
+  };
+}
+
+/**
+ * List the turn-by-turn instructions of a route, leg by leg
+ * @param {Object} route - Route with OSRM-style legs and steps
+ * @returns {Array} [{text, distance, duration, location: [lng, lat], leg}]
+ */
+export function getInstructions(route) {
   const instructions = [];
   
-  route.legs.forEach(leg => {
-    leg.steps.forEach(step => {
+  (route.legs || []).forEach((leg, legIndex) => {
+    (leg.steps || []).forEach(step => {
       instructions.push({
-        text: formatInstruction(step),
+        text: formatInstruction(step, { stop: legIndex < route.legs.length - 1 ? legIndex + 1 : undefined }),
         distance: step.distance,
         duration: step.duration,
-        location: step.maneuver.location
+        location: step.maneuver.location,
+        leg: legIndex
       });
     });
   });
   
-  return {
-    route: route.geometry,
-    distance: route.distance,
-    duration: route.duration,
-    instructions
-  };
+  return instructions;
 }
 
 /**
- * Format OSRM step into readable instruction
- * @param {Object} step 
+ * Format an OSRM step as an instruction in the active language
+ * Covers every OSRM maneuver type and modifier; unknown types read as "continue"
+ * @param {Object} step - {name, ref, rotary_name, maneuver: {type, modifier, exit, bearing_after}}
+ * @param {Object} options - {stop} number of the stop a leg ends at, for all but the last leg
  * @returns {string}
  */
-function formatInstruction(step) {
-  const maneuver = step.maneuver;
-  const name = step.name || 'the path';
+export function formatInstruction(step, options = {}) {
+  const { type, modifier, exit, bearing_after: bearing } = step.maneuver;
+  const name = step.name || step.ref || '';
+  const straight = !modifier || modifier === 'straight';
+  const params = {
+    onto: name ? t('instructions.onto', { name }) : '',
+    on: name ? t('instructions.on', { name }) : '',
+    modifier: t(`modifiers.${modifier || 'straight'}`),
+    side: t(`sides.${modifier && modifier.includes('left') ? 'left' : 'right'}`),
+    roundabout: step.rotary_name || t('instructions.theRoundabout')
+  };
+  const render = (key, extra = {}) =>
+    t(`instructions.${key}`, { ...params, ...extra }).replace(/\s+/g, ' ').trim();
   
-  switch (maneuver.type) {
+  switch (type) {
     case 'depart':
-      return `Start on ${name}`;
-    case 'arrive':
-      return `Arrive at destination`;
+      return bearing === undefined
+        ? render('notification')
+        : render('depart', { direction: t(`directions.${getCompassDirection(bearing)}`) });
+    case 'arrive': {
+      const onSide = modifier && modifier !== 'straight' && modifier !== 'uturn';
+      const key = options.stop ? 'arriveStop' : 'arrive';
+      return render(onSide ? `${key}Side` : key, { stop: options.stop });
+    }
     case 'turn':
-      return `Turn ${maneuver.modifier} onto ${name}`;
+      return render(modifier === 'uturn' ? 'uturn' : straight ? 'straight' : 'turn');
+    case 'new name':
+      return render('newName');
     case 'continue':
-      return `Continue on ${name}`;
+      return render(modifier === 'uturn' ? 'uturn' : straight ? 'continueStraight' : 'continue');
+    case 'merge':
+      return render(straight ? 'newName' : 'merge');
+    case 'on ramp':
+      return render('onRamp');
+    case 'off ramp':
+      return render('offRamp');
     case 'fork':
-      return `Take the ${maneuver.modifier} fork onto ${name}`;
+      return render(straight ? 'forkStraight' : 'fork');
+    case 'end of road':
+      return render('endOfRoad');
+    case 'use lane':
+      return render(straight ? 'useLaneStraight' : 'useLane');
+    case 'roundabout':
+    case 'rotary':
+      return exit
+        ? render('roundaboutExit', { exit: formatOrdinal(exit) })
+        : render('roundabout');
+    case 'roundabout turn':
+      return render(modifier === 'uturn' ? 'uturn' : 'roundaboutTurn');
+    case 'exit roundabout':
+    case 'exit rotary':
+      return render('exitRoundabout');
+    case 'notification':
     default:
-      return `${maneuver.type} on ${name}`;
+      return render('notification');
   }
 }
 
 /**
- * Get appropriate color for route based on index and preferences
- * @param {number} index 
- * @param {Object} preferences 
+ * Nearest of the eight compass points to a bearing
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {string} 'north' | 'northeast' | ...
+ */
+function getCompassDirection(bearing) {
+  return COMPASS_DIRECTIONS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+}
+
+/**
+ * Get color for a route from the trade-off it wins
+ * @param {string} label - 'fastest' | 'quietest' | 'brightest' | 'balanced'
  * @returns {string} Color hex code
  */
-function getRouteColor(index, preferences) {
-  if (preferences.quietness > 0.7) {
-    return index === 0 ? ROUTE_COLORS.quietest : ROUTE_COLORS.alternate;
-  }
-  if (preferences.brightness > 0.7) {
-    return index === 0 ? ROUTE_COLORS.brightest : ROUTE_COLORS.alternate;
-  }
-  return index === 0 ? ROUTE_COLORS.default : ROUTE_COLORS.alternate;
+function getRouteColor(label) {
+  return ROUTE_COLORS[label] || ROUTE_COLORS.default;
 }
 
 /**
- * Format distance for display
+ * Format distance for display in the active language
  * @param {number} meters 
  * @returns {string}
  */
 export function formatDistance(meters) {
   if (meters < 1000) {
-    return `${Math.round(meters)} m`;
+    return t('units.meters', { value: Math.round(meters) });
   }
-  return `${(meters / 1000).toFixed(1)} km`;
+  return t('units.kilometers', {
+    value: formatNumber(meters / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+  });
 }
 
 /**
- * Format duration for display
+ * Format duration for display in the active language
  * @param {number} seconds 
  * @returns {string}
  */
 export function formatDuration(seconds) {
   const mins = Math.round(seconds / 60);
   if (mins < 60) {
-    return `${mins} min`;
+    return t('units.minutes', { value: mins });
   }
   const hours = Math.floor(mins / 60);
   const remainMins = mins % 60;
-  return `${hours}h ${remainMins}m`;
+  return t('units.hoursMinutes', { hours, minutes: remainMins });
+}
+
+/**
+ * Phrase one reason from a route's explanation in the active language
+ * @param {Object} reason - {type, tone, ...} from explainRoute
+ * @returns {string}
+ */
+export function formatReason(reason) {
+  const percent = reason.share !== undefined
+    ? formatNumber(reason.share, { style: 'percent', maximumFractionDigits: 0 })
+    : undefined;
+  // Round to 50 m: the figures come from matched street lengths, not survey data
+  const distance = reason.distance !== undefined
+    ? formatDistance(Math.max(50, Math.round(reason.distance / 50) * 50))
+    : undefined;
+  const road = reason.highway ? t(`roads.${reason.highway}`) : undefined;
+  
+  if (reason.type === 'reports') {
+    return t(`explanation.reports.${reason.reportType}`, { count: reason.count });
+  }
+  
+  return t(`explanation.${reason.type}`, { count: reason.count, percent, distance, road });
 }
@@ -0,0 +1,34 @@
+/**
+ * QuietRoute Safe Place Service
+ * Police stations, hospitals, metro stations and other safe public places
+ */
+
+import { API_BASE_URL } from '../config';
+
+/**
+ * Get safe places within a bounding box
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {string} city - Only places in this city (CITIES key), when given
+ * @returns {Promise<Array>} Places [{id, name, type, lat, lng, is_24_hours, opening_hours, schedule, lit}], empty when the backend is unavailable
+ */
+export async function getSafePlacesInArea(bounds, city) {
+  try {
+    const params = new URLSearchParams({
+      north: bounds.north,
+      south: bounds.south,
+      east: bounds.east,
+      west: bounds.west
+    });
+    if (city) params.append('city', city);
+
+    const response = await fetch(`${API_BASE_URL}/safe-places?${params}`);
+
+    if (response.ok) {
+      return await response.json();
+    }
+  } catch (error) {
+    console.log('Backend unavailable, routes are explained without safe places');
+  }
+
+  return [];
+}
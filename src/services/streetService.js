@@ -0,0 +1,29 @@
+/**
+ * QuietRoute Street Service
+ * Fetches street attributes (highway, lit, surface...) from the backend
+ */
+
+import { API_BASE_URL } from '../config';
+
+/**
+ * Match a route geometry to the street segments it runs along
+ * @param {Object} geometry - GeoJSON LineString of the route
+ * @returns {Promise<Array>} Segments [{osm_id, highway, lit, distance, coordinates, ...}]
+ */
+export async function matchRouteToStreets(geometry) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/street-tags/match`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ geometry })
+    });
+
+    if (response.ok) {
+      return await response.json();
+    }
+  } catch (error) {
+    console.log('Backend unavailable, scoring route without street data');
+  }
+
+  return [];
+}
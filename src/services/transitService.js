@@ -0,0 +1,172 @@
+/**
+ * QuietRoute Transit Service
+ * Walk + Kolkata Metro trips: metro journeys from the backend, walking legs
+ * routed and scored like any other walk
+ */
+
+import { API_BASE_URL, ROUTE_COLORS } from '../config';
+import { haversineDistance } from '../utils/costFunction';
+import { fetchScoredRoutes } from './routingService';
+
+const ACCESSIBILITY_ORDER = ['unknown', 'accessible', 'difficult', 'inaccessible'];
+
+/**
+ * Get walk + metro trips between two points
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {Object} preferences - {quietness: 0-1, brightness: 0-1, mode, accessibility, avoidZones}
+ * @param {Object} options - {departAt, reports}
+ * @returns {Promise<Array>} Trips in the route shape, earliest arrival first
+ */
+export async function getTransitTrips(origin, destination, preferences = {}, options = {}) {
+  const departAt = options.departAt || new Date();
+
+  const response = await fetch(`${API_BASE_URL}/transit/plan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      origin: { lat: origin.lat, lng: origin.lng },
+      destination: { lat: destination.lat, lng: destination.lng },
+      preferences: { ...preferences, avoidZones: undefined },
+      departAt: departAt.toISOString()
+    })
+  });
+
+  if (response.status === 404) {
+    return [];
+  }
+
+  if (!response.ok) {
+    throw new Error(`Transit API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  const built = await Promise.all(data.journeys.map((journey, index) =>
+    buildTrip(journey, index, origin, destination, preferences, { ...options, departAt })
+  ));
+  const trips = built.filter(Boolean);
+
+  return trips.map((trip, index) => ({
+    ...trip,
+    color: index === 0 ? ROUTE_COLORS.quietest : ROUTE_COLORS.alternate,
+    recommended: index === 0
+  }));
+}
+
+/**
+ * Route and score the walking legs of a metro journey and join them into one trip
+ * @param {Object} journey - {accessEntrance, egressEntrance, rides, transfers} from /api/transit/plan
+ * @param {number} index
+ * @param {Object} origin
+ * @param {Object} destination
+ * @param {Object} preferences
+ * @param {Object} options - {departAt, reports}
+ * @returns {Promise<Object|null>} Trip with geometry, duration, stats and transit legs, or null when a walking leg can't be routed
+ */
+async function buildTrip(journey, index, origin, destination, preferences, options) {
+  const rides = journey.rides.map(ride => ({
+    ...ride,
+    departAt: new Date(ride.departAt),
+    arriveAt: new Date(ride.arriveAt),
+    distance: getStationsDistance(ride.stations)
+  }));
+  const lastRide = rides[rides.length - 1];
+
+  const [walkIn, walkOut] = (await Promise.all([
+    fetchScoredRoutes([origin, journey.accessEntrance], preferences, options),
+    fetchScoredRoutes([journey.egressEntrance, destination], preferences, { ...options, departAt: lastRide.arriveAt })
+  ])).map(getBestWalk);
+
+  if (!walkIn || !walkOut) return null;
+
+  const arriveAt = walkOut.stats.arriveAt;
+  const coordinates = [
+    ...walkIn.geometry.coordinates,
+    ...rides.flatMap(ride => ride.stations.map(station => [station.lng, station.lat])),
+    ...walkOut.geometry.coordinates
+  ];
+
+  return {
+    id: `transit-${index}`,
+    label: 'transit',
+    geometry: { type: 'LineString', coordinates },
+    distance: walkIn.distance + rides.reduce((sum, ride) => sum + ride.distance, 0) + walkOut.distance,
+    duration: (arriveAt.getTime() - options.departAt.getTime()) / 1000,
+    transfers: journey.transfers,
+    transitLegs: [
+      { type: 'walk', to: journey.accessEntrance, distance: walkIn.distance, stats: walkIn.stats },
+      ...rides.map(ride => ({ type: 'metro', ...ride })),
+      { type: 'walk', to: null, distance: walkOut.distance, stats: walkOut.stats }
+    ],
+    stats: {
+      ...combineWalkStats([walkIn.stats, walkOut.stats]),
+      departAt: options.departAt,
+      arriveAt
+    }
+  };
+}
+
+/**
+ * The walk that best matches the preferences, keeping out of blocking avoid
+ * zones and off walks the accessibility need can't use, unless every walk is one
+ * @param {Array} walks - Scored routes from fetchScoredRoutes
+ * @returns {Object|null} Highest overallScore, or null for no walks
+ */
+function getBestWalk(walks) {
+  const allowed = walks.filter(walk => !walk.stats.blocked && !walk.stats.impassable);
+  const usable = allowed.length > 0 ? allowed : walks;
+
+  return usable.reduce((best, walk) =>
+    (!best || walk.stats.overallScore > best.stats.overallScore ? walk : best), null);
+}
+
+/**
+ * Combine the stats of a trip's walking legs
+ * Noise and lighting scores cover the walking legs only
+ * @param {Array} walks - Stats from scoreRoute
+ * @returns {Object} Stats in the scoreRoute shape
+ */
+function combineWalkStats(walks) {
+  const distance = walks.reduce((sum, walk) => sum + walk.totalDistance, 0);
+  const average = (key) => distance > 0
+    ? walks.reduce((sum, walk) => sum + walk[key] * walk.totalDistance, 0) / distance
+    : walks[0][key];
+  const sum = (key) => walks.reduce((total, walk) => total + walk[key], 0);
+
+  const verdict = walks
+    .map(walk => walk.accessibility.verdict)
+    .reduce((worst, next) => ACCESSIBILITY_ORDER.indexOf(next) > ACCESSIBILITY_ORDER.indexOf(worst) ? next : worst);
+
+  return {
+    totalDistance: distance,
+    estimatedTime: sum('estimatedTime'),
+    matchedDistance: sum('matchedDistance'),
+    weightedCost: sum('weightedCost'),
+    noiseExposure: sum('noiseExposure'),
+    noiseScore: average('noiseScore'),
+    lightingScore: average('lightingScore'),
+    safetyScore: average('safetyScore'),
+    overallScore: average('overallScore'),
+    avoidZones: walks.flatMap(walk => walk.avoidZones),
+    blocked: walks.some(walk => walk.blocked),
+    impassable: walks.some(walk => walk.impassable),
+    accessibility: {
+      verdict,
+      problems: walks.flatMap(walk => walk.accessibility.problems)
+    }
+  };
+}
+
+/**
+ * Straight-line length of a ride through its stations
+ * @param {Array} stations - [{lat, lng}]
+ * @returns {number} Meters
+ */
+function getStationsDistance(stations) {
+  let distance = 0;
+  for (let i = 0; i < stations.length - 1; i++) {
+    distance += haversineDistance(stations[i].lat, stations[i].lng, stations[i + 1].lat, stations[i + 1].lng);
+  }
+  return distance;
+}
@@ -0,0 +1,29 @@
+/**
+ * QuietRoute Cities
+ * Look up a city in the registry, and the city a point lies in
+ */
+
+import { CITIES, DEFAULT_CITY } from '../config.js';
+
+/**
+ * Get a city's settings, falling back to the default city
+ * @param {string} id - CITIES key, e.g. 'kolkata'
+ * @returns {Object} {id, name, center, bounds, timeZone, popularLocations, osmExtract, dataset}
+ */
+export function getCity(id) {
+  const key = CITIES[id] ? id : DEFAULT_CITY;
+  return { id: key, ...CITIES[key] };
+}
+
+/**
+ * Find the city whose bounds contain a point
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {string|null} City id, or null outside every city
+ */
+export function findCity(lng, lat) {
+  const match = Object.entries(CITIES).find(([, { bounds }]) =>
+    lng >= bounds.west && lng <= bounds.east && lat >= bounds.south && lat <= bounds.north
+  );
+  return match ? match[0] : null;
+}
@@ -3,38 +3,94 @@
  * The core innovation: weighted routing based on noise, lighting, and user reports
  */
 
-import { NOISE_WEIGHTS, LIGHTING_WEIGHTS, REPORT_TYPES } from '../config';
+import {
+  REPORT_TYPES, DEFAULT_CENTER, AVOID_ZONE_PENALTY, ACCESSIBILITY_ISSUES, ACCESSIBILITY_NEEDS, ZONE_TYPES
+} from '../config.js';
+import { getDarknessLevel } from './solar.js';
+import { decibelsToNoiseLevel } from './noiseLevel.js';
+import { isOpenAt, parseOpeningHours } from './openingHours.js';
+import { getTravelMode } from './travelMode.js';
+
+// Overall score points lost per avoid zone a route crosses
+const AVOID_ZONE_SCORE_PENALTY = 25;
+
+// Overall score points lost per accessibility problem, when the user has a need
+const ACCESSIBILITY_SCORE_PENALTY = 10;
+
+// Overall score points lost per unit the time of day raises a route's average cost
+const TIME_SCORE_WEIGHT = 25;
+
+// Busy hours of zones whose places don't tag their own
+const DEFAULT_ZONE_SCHEDULES = Object.fromEntries(
+  Object.entries(ZONE_TYPES).map(([zone, { hours }]) => [zone, parseOpeningHours(hours)])
+);
+
+// OSM surface values that are loose or soft underfoot (and under wheels)
+const UNPAVED_SURFACES = [
+  'unpaved', 'gravel', 'fine_gravel', 'pebblestone', 'dirt', 'earth',
+  'ground', 'grass', 'mud', 'sand', 'woodchips', 'compacted'
+];
+
+// Paved but bumpy surfaces
+const ROUGH_SURFACES = ['cobblestone', 'sett', 'unhewn_cobblestone', 'grass_paver'];
+
+// Ways where a missing sidewalk doesn't matter because the whole way is for people
+const CAR_FREE_HIGHWAYS = ['footway', 'path', 'pedestrian', 'steps', 'cycleway', 'living_street', 'track'];
+
+// Broken pavement reports closer than this affect a segment
+const BROKEN_PAVEMENT_RADIUS = 25; // meters
+
+// Segments at or below this normalised noise level count as quiet streets
+const QUIET_NOISE_LEVEL = 0.25;
 
 /**
  * Calculate the weighted cost for a route segment
  * @param {Object} edge - Road segment with properties
- * @param {Object} preferences - User preferences (quietness: 0-1, brightness: 0-1)
+ * @param {Object} preferences - User preferences (quietness: 0-1, brightness: 0-1, mode, accessibility, timeZone, avoidZones)
  * @param {Array} reports - Active user reports in the area
+ * @param {Date} time - When the walker reaches the segment
  * @returns {number} Weighted cost
  */
-export function calculateEdgeCost(edge, preferences = {}, reports = []) {
+export function calculateEdgeCost(edge, preferences = {}, reports = [], time = new Date()) {
   const baseCost = edge.distance || 100; // meters
   
   // Get multipliers
-  const noiseMultiplier = getNoiseMultiplier(edge, preferences.quietness || 0.5);
-  const darknessMultiplier = getDarknessMultiplier(edge, preferences.brightness || 0.5);
+  const noiseMultiplier = getNoiseMultiplier(edge, preferences.quietness ?? 0.5, preferences.mode);
+  const darknessMultiplier = getDarknessMultiplier(edge, preferences.brightness ?? 0.5, time, preferences.mode);
   const reportsMultiplier = getReportsMultiplier(edge, reports);
-  const timeMultiplier = getTimeBasedMultiplier(edge);
+  const timeMultiplier = getTimeBasedMultiplier(edge, time, preferences.timeZone);
+  const avoidZoneMultiplier = getAvoidZoneMultiplier(edge, preferences.avoidZones);
+  const accessibilityMultiplier = getAccessibilityMultiplier(edge, getAccessibilityNeed(preferences), reports);
   
-  return baseCost * noiseMultiplier * darknessMultiplier * reportsMultiplier * timeMultiplier;
+  return baseCost * noiseMultiplier * darknessMultiplier * reportsMultiplier * timeMultiplier *
+    avoidZoneMultiplier * accessibilityMultiplier;
+}
+
+/**
+ * How much the time the walker reaches an edge raises its cost, from darkness
+ * and busy zones (1.0 = no different from a quiet daytime hour)
+ * @param {Object} edge - Road segment
+ * @param {Object} preferences - User preferences (brightness, mode, timeZone)
+ * @param {Date} time - When the walker reaches the segment
+ * @returns {number} Multiplier
+ */
+export function getTimeCostFactor(edge, preferences = {}, time = new Date()) {
+  return getDarknessMultiplier(edge, preferences.brightness ?? 0.5, time, preferences.mode) *
+    getTimeBasedMultiplier(edge, time, preferences.timeZone);
 }
 
 /**
  * Get noise multiplier based on road type and user preference
  * @param {Object} edge - Road segment
  * @param {number} quietness - User's quietness preference (0 = don't care, 1 = very quiet)
+ * @param {string} mode - Travel mode whose exposure weights apply
  * @returns {number} Multiplier (1.0 = neutral, > 1 = avoid, < 1 = prefer)
  */
-export function getNoiseMultiplier(edge, quietness) {
+export function getNoiseMultiplier(edge, quietness, mode) {
   if (quietness === 0) return 1.0; // User doesn't care about noise
   
-  const highway = edge.highway || 'residential';
-  const baseNoise = NOISE_WEIGHTS[highway] || 1.0;
+  const { noiseWeights } = getTravelMode(mode);
+  const baseNoise = getNoiseWeight(edge, noiseWeights);
   
   // Scale by user preference
   // At quietness = 0, multiplier = 1.0 for all roads
@@ -48,28 +104,44 @@ export function getNoiseMultiplier(edge, quietness) {
  * Get darkness multiplier based on lighting data and user preference
  * @param {Object} edge - Road segment  
  * @param {number} brightness - User's brightness preference (0 = don't care, 1 = very lit)
+ * @param {Date} time - Evaluation time
+ * @param {string} mode - Travel mode whose lighting weights apply
  * @returns {number} Multiplier
  */
-export function getDarknessMultiplier(edge, brightness) {
+export function getDarknessMultiplier(edge, brightness, time = new Date(), mode) {
   if (brightness === 0) return 1.0; // User doesn't care about lighting
   
-  // Check if it's nighttime
-  const hour = new Date().getHours();
-  const isNight = hour < 6 || hour > 18;
+  // How dark it is from the sun's position at the segment (0 = day, 1 = night)
+  const [lng, lat] = getEdgeMidpoint(edge);
+  const darkness = getDarknessLevel(time, lat, lng);
   
-  if (!isNight) {
+  if (darkness === 0) {
     return 1.0; // Lighting doesn't matter during day
   }
   
+  const { lightingWeights } = getTravelMode(mode);
   const lit = edge.lit || 'unknown';
-  const baseWeight = LIGHTING_WEIGHTS[`lit_${lit}`] || LIGHTING_WEIGHTS.lit_unknown;
+  const baseWeight = lightingWeights[`lit_${lit}`] || lightingWeights.lit_unknown;
   
-  // Scale by user preference
-  const scaledWeight = 1.0 + (baseWeight - 1.0) * brightness;
+  // Scale by user preference, partially during civil twilight
+  const scaledWeight = 1.0 + (baseWeight - 1.0) * brightness * darkness;
   
   return Math.max(0.5, Math.min(2.5, scaledWeight));
 }
 
+/**
+ * Get a representative [lng, lat] for an edge, defaulting to the map center
+ * @param {Object} edge - Road segment with coordinates
+ * @returns {Array} [lng, lat]
+ */
+function getEdgeMidpoint(edge) {
+  if (!edge.coordinates || edge.coordinates.length === 0) {
+    return [DEFAULT_CENTER.longitude, DEFAULT_CENTER.latitude];
+  }
+  
+  return edge.coordinates[Math.floor(edge.coordinates.length / 2)];
+}
+
 /**
  * Get multiplier based on active user reports near the edge
  * @param {Object} edge - Road segment
@@ -100,47 +172,182 @@ export function getReportsMultiplier(edge, reports) {
 /**
  * Get time-based multiplier for dynamic routing
  * @param {Object} edge - Road segment
+ * @param {Date} time - Evaluation time
+ * @param {string} timeZone - Zone the local hours refer to (defaults to the service area)
  * @returns {number} Multiplier
  */
-export function getTimeBasedMultiplier(edge) {
-  const now = new Date();
-  const hour = now.getHours();
-  const dayOfWeek = now.getDay(); // 0 = Sunday
-  
+export function getTimeBasedMultiplier(edge, time = new Date(), timeZone) {
   let multiplier = 1.0;
   
-  // School zones are loud 7-9 AM and 2-4 PM on weekdays
-  if (edge.school_zone) {
-    const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
-    const isSchoolHours = (hour >= 7 && hour <= 9) || (hour >= 14 && hour <= 16);
-    if (isWeekday && isSchoolHours) {
-      multiplier *= 1.8;
+  // School, market and nightlife zones are costlier while busy: by the hours of the
+  // places the street is near, or the zone type's usual hours
+  Object.entries(ZONE_TYPES).forEach(([zone, { multiplier: zoneMultiplier }]) => {
+    if (!edge[`${zone}_zone`]) return;
+    
+    const schedule = edge.zone_hours?.[zone] || DEFAULT_ZONE_SCHEDULES[zone];
+    if (isOpenAt(schedule, time, timeZone)) {
+      multiplier *= zoneMultiplier;
     }
-  }
+  });
+  
+  return multiplier;
+}
+
+/**
+ * Get multiplier for segments running through the user's avoid zones
+ * @param {Object} edge - Road segment with coordinates
+ * @param {Array} avoidZones - [{id, name, mode: 'penalise' | 'block', geometry: GeoJSON Polygon}]
+ * @returns {number} Multiplier (Infinity if the edge enters a blocking zone)
+ */
+export function getAvoidZoneMultiplier(edge, avoidZones) {
+  if (!avoidZones || avoidZones.length === 0) return 1.0;
+  
+  let multiplier = 1.0;
   
-  // Club/bar areas are loud 9 PM - 2 AM on weekends
-  if (edge.nightlife_zone) {
-    const isWeekend = dayOfWeek === 0 || dayOfWeek === 5 || dayOfWeek === 6;
-    const isNightlife = hour >= 21 || hour <= 2;
-    if (isWeekend && isNightlife) {
-      multiplier *= 2.0;
+  getAvoidZoneCrossings(edge, avoidZones).forEach(({ zone, fraction }) => {
+    if (zone.mode === 'block') {
+      multiplier = Infinity;
+    } else {
+      // Scale the penalty by how much of the edge is inside the zone
+      multiplier *= 1 + (AVOID_ZONE_PENALTY - 1) * fraction;
     }
+  });
+  
+  return multiplier;
+}
+
+/**
+ * Find the avoid zones an edge passes through
+ * @param {Object} edge - Road segment with coordinates
+ * @param {Array} avoidZones - Zones with GeoJSON Polygon geometry
+ * @returns {Array} [{zone, distance, fraction}] for each zone the edge enters
+ */
+export function getAvoidZoneCrossings(edge, avoidZones) {
+  const coordinates = edge.coordinates || [];
+  if (!avoidZones || avoidZones.length === 0 || coordinates.length < 2) return [];
+  
+  const pieces = [];
+  let total = 0;
+  
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const [lng1, lat1] = coordinates[i];
+    const [lng2, lat2] = coordinates[i + 1];
+    const length = haversineDistance(lat1, lng1, lat2, lng2);
+    pieces.push({ midpoint: [(lng1 + lng2) / 2, (lat1 + lat2) / 2], length });
+    total += length;
   }
   
-  // Markets are crowded during day
-  if (edge.market_zone) {
-    const isMarketHours = hour >= 8 && hour <= 20;
-    if (isMarketHours) {
-      multiplier *= 1.5;
+  if (total === 0) return [];
+  
+  return avoidZones
+    .map(zone => {
+      const inside = pieces
+        .filter(piece => isPointInPolygon(piece.midpoint, zone.geometry))
+        .reduce((sum, piece) => sum + piece.length, 0);
+      const fraction = inside / total;
+      
+      return { zone, fraction, distance: fraction * (edge.distance || total) };
+    })
+    .filter(crossing => crossing.fraction > 0);
+}
+
+/**
+ * Ray-casting test of a point against a polygon's outer ring
+ * @param {Array} point - [lng, lat]
+ * @param {Object} polygon - GeoJSON Polygon
+ * @returns {boolean}
+ */
+function isPointInPolygon(point, polygon) {
+  const ring = polygon?.coordinates?.[0];
+  if (!ring) return false;
+  
+  const [x, y] = point;
+  let inside = false;
+  
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
     }
   }
   
+  return inside;
+}
+
+/**
+ * Get the accessibility need to route for, defaulting to wheelchair for the wheelchair travel mode
+ * @param {Object} preferences - {accessibility: 'none' | 'stroller' | 'wheelchair', mode}
+ * @returns {string} Key of ACCESSIBILITY_NEEDS
+ */
+export function getAccessibilityNeed(preferences = {}) {
+  if (ACCESSIBILITY_NEEDS[preferences.accessibility]) return preferences.accessibility;
+  return preferences.mode === 'wheelchair' ? 'wheelchair' : 'none';
+}
+
+/**
+ * Get multiplier for accessibility problems on an edge
+ * @param {Object} edge - Road segment with surface, sidewalk, kerb and highway
+ * @param {string} need - Key of ACCESSIBILITY_NEEDS
+ * @param {Array} reports - Active reports (broken_pavement reports count as problems)
+ * @returns {number} Multiplier (Infinity if the need cannot get past a problem)
+ */
+export function getAccessibilityMultiplier(edge, need, reports = []) {
+  if (!need || need === 'none') return 1.0;
+  
+  const { blocks } = ACCESSIBILITY_NEEDS[need];
+  let multiplier = 1.0;
+  
+  getAccessibilityIssues(edge, reports).forEach(key => {
+    const issue = ACCESSIBILITY_ISSUES[key];
+    multiplier = blocks && issue.impassable ? Infinity : multiplier * issue.penalty;
+  });
+  
   return multiplier;
 }
 
+/**
+ * List the accessibility problems on an edge
+ * @param {Object} edge - Road segment
+ * @param {Array} reports - Active reports [{lat, lng, type}]
+ * @returns {Array<string>} Keys of ACCESSIBILITY_ISSUES
+ */
+export function getAccessibilityIssues(edge, reports = []) {
+  const issues = [];
+  
+  if (edge.highway === 'steps') {
+    issues.push('steps');
+  }
+  
+  if (UNPAVED_SURFACES.includes(edge.surface)) {
+    issues.push('unpaved');
+  } else if (ROUGH_SURFACES.includes(edge.surface)) {
+    issues.push('rough_surface');
+  }
+  
+  if (edge.kerb === 'raised') {
+    issues.push('raised_kerb');
+  }
+  
+  const noSidewalk = edge.sidewalk === 'no' || edge.sidewalk === 'none';
+  if (noSidewalk && edge.highway && !CAR_FREE_HIGHWAYS.includes(edge.highway)) {
+    issues.push('no_sidewalk');
+  }
+  
+  const brokenPavement = (reports || []).some(report =>
+    report.type === 'broken_pavement' && getDistanceToEdge(report, edge) < BROKEN_PAVEMENT_RADIUS
+  );
+  if (brokenPavement) {
+    issues.push('broken_pavement');
+  }
+  
+  return issues;
+}
+
 /**
  * Calculate rough distance from a point to an edge
- * @param {Object} point - {lat, lon}
+ * @param {Object} point - {lat, lon} or {lat, lng}
  * @param {Object} edge - Road segment with coordinates
  * @returns {number} Distance in meters
  */
@@ -149,17 +356,19 @@ function getDistanceToEdge(point, edge) {
     return Infinity;
   }
   
+  const lon = point.lon ?? point.lng;
+  
   // Simple approximation: check distance to start/end of edge
   const start = edge.coordinates[0];
   const end = edge.coordinates[edge.coordinates.length - 1];
   
   const distToStart = haversineDistance(
-    point.lat, point.lon,
+    point.lat, lon,
     start[1], start[0]
   );
   
   const distToEnd = haversineDistance(
-    point.lat, point.lon,
+    point.lat, lon,
     end[1], end[0]
   );
   
@@ -195,18 +404,61 @@ function toRad(deg) {
 
 /**
  * Score a complete route based on preferences
- * @param {Object} route - Route with geometry and statistics
+ * Each matched street segment is costed with calculateEdgeCost at the time the
+ * walker reaches it, and the noise/lighting levels are averaged by segment length
+ * @param {Object} route - Route with geometry, distance, duration and matched segments
  * @param {Object} preferences - User preferences
+ * @param {Array} reports - Active user reports along the route
+ * @param {Object} timing - {departAt} or {arriveBy} (Date); defaults to leaving now
  * @returns {Object} Route with score and breakdown
  */
-export function scoreRoute(route, preferences) {
+export function scoreRoute(route, preferences, reports = [], timing = {}) {
+  const segments = getRouteSegments(route);
+  const duration = route.duration || 0;
+  const departAt = timing.arriveBy
+    ? new Date(timing.arriveBy.getTime() - duration * 1000)
+    : timing.departAt || new Date();
+  const totalDistance = segments.reduce((sum, segment) => sum + (segment.distance || 0), 0);
+  const legEnds = getLegEnds(route, totalDistance);
+  
+  let walked = 0;
+  const entries = segments.map(segment => {
+    const distance = segment.distance || 0;
+    
+    // Time the walker reaches this segment: departure + share of the route duration
+    const elapsed = totalDistance > 0 ? (walked / totalDistance) * duration : 0;
+    const arrivalTime = new Date(departAt.getTime() + elapsed * 1000);
+    
+    // Leg the segment belongs to, by where its midpoint falls along the route
+    const midpoint = walked + distance / 2;
+    const leg = legEnds.findIndex(end => midpoint <= end);
+    walked += distance;
+    
+    return {
+      distance,
+      name: segment.name,
+      highway: segment.highway || null,
+      lit: segment.lit || null,
+      location: getEdgeMidpoint(segment),
+      leg: leg === -1 ? legEnds.length - 1 : leg,
+      matched: Boolean(segment.osm_id),
+      cost: calculateEdgeCost(segment, preferences, reports, arrivalTime),
+      timeCost: getTimeCostFactor(segment, preferences, arrivalTime),
+      noise: getSegmentNoiseLevel(segment, preferences.mode),
+      lighting: getSegmentLightingLevel(segment, preferences.mode),
+      zones: getAvoidZoneCrossings(segment, preferences.avoidZones),
+      access: getAccessibilityIssues(segment, reports)
+    };
+  });
+  
   const stats = {
     totalDistance: route.distance || 0,
-    estimatedTime: route.duration || 0,
-    noiseScore: calculateRouteNoiseScore(route),
-    lightingScore: calculateRouteLightingScore(route),
-    safetyScore: calculateRouteSafetyScore(route)
+    estimatedTime: duration,
+    departAt,
+    arriveAt: new Date(departAt.getTime() + duration * 1000),
+    ...summarizeSegments(entries)
   };
+  stats.safetyScore = stats.lightingScore;
   
   // Overall score (0-100, higher is better for user preferences)
   const quietnessScore = 100 - (stats.noiseScore * preferences.quietness * 100);
@@ -214,70 +466,229 @@ export function scoreRoute(route, preferences) {
   
   stats.overallScore = (quietnessScore + brightnessScore) / 2;
   
+  // Darkness and busy zones at the times the walker reaches each street
+  stats.overallScore -= (stats.timeFactor - 1) * TIME_SCORE_WEIGHT;
+  
+  // Avoid zones the route runs through
+  stats.avoidZones = summarizeAvoidZones(entries);
+  stats.blocked = stats.avoidZones.some(zone => zone.mode === 'block');
+  stats.overallScore -= stats.avoidZones.length * AVOID_ZONE_SCORE_PENALTY;
+  
+  // Accessibility verdict and the segments that cause it. With a need set, each
+  // problem costs score and a route the need can't get along is impassable
+  stats.accessibility = summarizeAccessibility(entries);
+  const hasNeed = getAccessibilityNeed(preferences) !== 'none';
+  stats.impassable = hasNeed && stats.accessibility.verdict === 'inaccessible';
+  if (hasNeed) {
+    stats.overallScore -= stats.accessibility.problems.length * ACCESSIBILITY_SCORE_PENALTY;
+  }
+  
+  // Road classes and lighting along the route, for explaining it
+  stats.exposure = summarizeExposure(entries);
+  
+  // Per-leg breakdown for multi-stop trips
+  if (legEnds.length > 1) {
+    stats.legs = route.legs.map((leg, index) => ({
+      distance: leg.distance,
+      duration: leg.duration,
+      ...summarizeSegments(entries.filter(entry => entry.leg === index))
+    }));
+  }
+  
   return {
     ...route,
     stats
   };
 }
 
-function calculateRouteNoiseScore(route) {
-  // Heuristic: Combine Speed and Turn Density
-  // 1. Average Speed: Higher speed = likely major road/highway = Louder
-  // 2. Turn Density: Few turns = straight road = likely major road = Louder
-  
-  if (!route.distance || !route.duration) return 0.5;
-  
-  // 1. Speed Score
-  const avgSpeed = route.distance / route.duration; // m/s
-  // Cap speed influence at ~15 m/s (54 km/h)
-  const speedScore = Math.min(1.0, avgSpeed / 15);
-  
-  // 2. Turn Score
-  const steps = listSteps(route);
-  const turnsPerKm = steps.length > 0 ? (steps.length / (route.distance / 1000)) : 0;
+/**
+ * Total the costed segments of a route or leg
+ * @param {Array} entries - [{distance, matched, cost, timeCost, noise, lighting}]
+ * @returns {Object} {matchedDistance, weightedCost, timeFactor, noiseExposure, noiseScore, lightingScore}
+ */
+function summarizeSegments(entries) {
+  let distance = 0;
+  let matchedDistance = 0;
+  let weightedCost = 0;
+  let timeSum = 0;
+  let noiseSum = 0;
+  let lightingSum = 0;
+  
+  entries.forEach(entry => {
+    distance += entry.distance;
+    weightedCost += entry.cost;
+    timeSum += entry.timeCost * entry.distance;
+    noiseSum += entry.noise * entry.distance;
+    lightingSum += entry.lighting * entry.distance;
+    if (entry.matched) matchedDistance += entry.distance;
+  });
   
-  // High turns = Low noise. 
-  // 0 turns/km -> 1.0 noise
-  // 10 turns/km -> 0.5 noise
-  // 20 turns/km -> 0.33 noise
-  const turnScore = 1 / (1 + 0.1 * turnsPerKm);
+  return {
+    matchedDistance,
+    weightedCost,
+    timeFactor: distance > 0 ? timeSum / distance : 1,
+    noiseExposure: noiseSum, // noise-weighted meters
+    noiseScore: distance > 0 ? noiseSum / distance : 0.5,
+    lightingScore: distance > 0 ? lightingSum / distance : 0.5
+  };
+}
+
+/**
+ * Total the distance a route spends inside each avoid zone
+ * @param {Array} entries - Costed segments with zone crossings
+ * @returns {Array} [{id, name, mode, distance}]
+ */
+function summarizeAvoidZones(entries) {
+  const zones = new Map();
+  
+  entries.forEach(entry => {
+    entry.zones.forEach(({ zone, distance }) => {
+      const hit = zones.get(zone.id) || { id: zone.id, name: zone.name, mode: zone.mode, distance: 0 };
+      hit.distance += distance;
+      zones.set(zone.id, hit);
+    });
+  });
   
-  // Weighted combination (Speed is usually a stronger signal for road type)
-  const noise = (speedScore * 0.7) + (turnScore * 0.3);
+  return [...zones.values()];
+}
+
+/**
+ * Total the matched distance a route spends on each road class, on quiet streets
+ * and on lit and unlit streets
+ * @param {Array} entries - Costed segments
+ * @returns {Object} {highways: {highway: meters}, quietDistance, litDistance, unlitDistance}
+ */
+function summarizeExposure(entries) {
+  const exposure = { highways: {}, quietDistance: 0, litDistance: 0, unlitDistance: 0 };
   
-  // Clamp
-  const finalScore = Math.max(0.1, Math.min(0.9, noise));
+  entries.filter(entry => entry.matched).forEach(entry => {
+    if (entry.highway) {
+      exposure.highways[entry.highway] = (exposure.highways[entry.highway] || 0) + entry.distance;
+    }
+    if (entry.noise <= QUIET_NOISE_LEVEL) {
+      exposure.quietDistance += entry.distance;
+    }
+    if (entry.lit === 'yes') {
+      exposure.litDistance += entry.distance;
+    } else if (entry.lit === 'no') {
+      exposure.unlitDistance += entry.distance;
+    }
+  });
   
-  // Debug log (temporary, visible in console)
-  console.log(`[CostFn] Route ${route.id || '?'}: Speed=${avgSpeed.toFixed(1)}m/s (${speedScore.toFixed(2)}), Turns/km=${turnsPerKm.toFixed(1)} (${turnScore.toFixed(2)}) -> Noise=${finalScore.toFixed(2)}`);
+  return exposure;
+}
+
+/**
+ * Judge how accessible a route is from its costed segments
+ * Routes with no matched street data can't be judged and are 'unknown'
+ * @param {Array} entries - Costed segments with accessibility issues
+ * @returns {Object} {verdict: 'accessible' | 'difficult' | 'inaccessible' | 'unknown', problems: [{name, issues, distance, location}]}
+ */
+function summarizeAccessibility(entries) {
+  const problems = entries
+    .filter(entry => entry.access.length > 0)
+    .map(entry => ({
+      name: entry.name || null,
+      issues: entry.access,
+      distance: entry.distance,
+      location: entry.location
+    }));
+  
+  let verdict = 'accessible';
+  if (problems.some(problem => problem.issues.some(key => ACCESSIBILITY_ISSUES[key].impassable))) {
+    verdict = 'inaccessible';
+  } else if (problems.length > 0) {
+    verdict = 'difficult';
+  } else if (!entries.some(entry => entry.matched)) {
+    verdict = 'unknown';
+  }
   
-  return finalScore;
+  return { verdict, problems };
 }
 
-function calculateRouteLightingScore(route) {
-  // Heuristic: Straight paths (major roads) are usually better lit than winding back alleys.
-  // Inverse of noise score roughly.
+/**
+ * Cumulative distance at which each leg ends, scaled to the segment total
+ * @param {Object} route - Route with legs
+ * @param {number} totalDistance - Sum of segment distances
+ * @returns {Array<number>}
+ */
+function getLegEnds(route, totalDistance) {
+  const legs = route.legs || [];
+  const legTotal = legs.reduce((sum, leg) => sum + (leg.distance || 0), 0);
   
-  const noiseScore = calculateRouteNoiseScore(route);
+  if (legs.length <= 1 || legTotal === 0) return [totalDistance];
   
-  // High noise (major road) => High lighting (good)
-  // Low noise (alley) => Low lighting (bad)
+  let cumulative = 0;
+  return legs.map(leg => {
+    cumulative += leg.distance || 0;
+    return (cumulative / legTotal) * totalDistance;
+  });
+}
+
+/**
+ * Get the street segments of a route, treating an unmatched route as one
+ * segment so the cost function falls back to its defaults
+ * @param {Object} route 
+ * @returns {Array} Segments
+ */
+function getRouteSegments(route) {
+  if (route.segments && route.segments.length > 0) {
+    return route.segments;
+  }
   
-  return Math.max(0.2, Math.min(0.9, noiseScore * 1.2)); // Correlated
+  return [{
+    distance: route.distance || 0,
+    coordinates: route.geometry?.coordinates || []
+  }];
 }
 
-function calculateRouteSafetyScore(route) {
-  // Prefer well-lit areas for safety
-  const lighting = calculateRouteLightingScore(route);
-  return lighting; 
+/**
+ * Normalised noise level of a segment from its road type
+ * @param {Object} segment 
+ * @param {string} mode - Travel mode whose exposure weights apply
+ * @returns {number} 0 (silent) to 1 (very loud)
+ */
+function getSegmentNoiseLevel(segment, mode) {
+  const { noiseWeights } = getTravelMode(mode);
+  const weights = Object.values(noiseWeights);
+  const min = Math.min(...weights);
+  const max = Math.max(...weights);
+  const weight = getNoiseWeight(segment, noiseWeights);
+  
+  return (weight - min) / (max - min);
 }
 
-function listSteps(route) {
-  let steps = [];
-  if (route.legs) {
-    route.legs.forEach(leg => {
-      if (leg.steps) steps = steps.concat(leg.steps);
-    });
+/**
+ * Noise weight of a segment: from its measured sound level when enough people
+ * have measured it, placed on the same scale as the road class weights, otherwise
+ * from its road class
+ * @param {Object} segment
+ * @param {Object} noiseWeights - Travel mode's weights by highway type
+ * @returns {number}
+ */
+function getNoiseWeight(segment, noiseWeights) {
+  if (segment.measured_noise_db !== null && segment.measured_noise_db !== undefined) {
+    const weights = Object.values(noiseWeights);
+    const min = Math.min(...weights);
+    const max = Math.max(...weights);
+    return min + (max - min) * (decibelsToNoiseLevel(segment.measured_noise_db) - 1) / 9;
   }
-  return steps;
+  
+  return noiseWeights[segment.highway || 'residential'] || 1.0;
+}
+
+/**
+ * Normalised lighting level of a segment from its lit tag
+ * @param {Object} segment 
+ * @param {string} mode - Travel mode whose lighting weights apply
+ * @returns {number} 0 (unlit) to 1 (well lit)
+ */
+function getSegmentLightingLevel(segment, mode) {
+  const { lightingWeights } = getTravelMode(mode);
+  const weights = Object.values(lightingWeights);
+  const min = Math.min(...weights);
+  const max = Math.max(...weights);
+  const weight = lightingWeights[`lit_${segment.lit || 'unknown'}`] || lightingWeights.lit_unknown;
+  
+  return (max - weight) / (max - min);
 }
@@ -0,0 +1,54 @@
+/**
+ * QuietRoute Noise Levels
+ * Sound level arithmetic shared by the microphone meter and the server's street
+ * aggregation: A-weighting, energy averages, and dB(A) as a 1-10 noise level
+ */
+
+// dB(A) at the bottom of the noise level scale, and the step per level
+const QUIETEST_LEVEL_DB = 35;
+const DB_PER_LEVEL = 5;
+
+/**
+ * A-weighting correction for a frequency (IEC 61672)
+ * @param {number} frequency - Hz
+ * @returns {number} Correction in dB (0 at 1 kHz, very negative at low frequencies)
+ */
+export function aWeighting(frequency) {
+  if (frequency <= 0) return -Infinity;
+
+  const f2 = frequency * frequency;
+  const response = (12194 ** 2 * f2 * f2) /
+    ((f2 + 20.6 ** 2) * Math.sqrt((f2 + 107.7 ** 2) * (f2 + 737.9 ** 2)) * (f2 + 12194 ** 2));
+
+  return 20 * Math.log10(response) + 2.0;
+}
+
+/**
+ * Sum sound levels as energy (two 60 dB sources make 63 dB)
+ * @param {Array} levels - dB values
+ * @returns {number} dB
+ */
+export function sumLevels(levels) {
+  return 10 * Math.log10(levels.reduce((sum, level) => sum + 10 ** (level / 10), 0));
+}
+
+/**
+ * Energy average of sound levels (Leq): loud moments count for more than an
+ * arithmetic mean gives them, as they do to the ear
+ * @param {Array} levels - dB values
+ * @returns {number|null} dB, or null for no levels
+ */
+export function averageLevels(levels) {
+  if (levels.length === 0) return null;
+  return sumLevels(levels) - 10 * Math.log10(levels.length);
+}
+
+/**
+ * Noise level on street_tags' 1-10 scale for a measured dB(A)
+ * 40 dB(A) (quiet residential) is 1, 65 (busy street) is 6, 85 and over is 10
+ * @param {number} decibels - dB(A)
+ * @returns {number} 1-10
+ */
+export function decibelsToNoiseLevel(decibels) {
+  return Math.min(10, Math.max(1, Math.round((decibels - QUIETEST_LEVEL_DB) / DB_PER_LEVEL)));
+}
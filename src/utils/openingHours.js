@@ -0,0 +1,140 @@
+/**
+ * QuietRoute Opening Hours
+ * Parse OSM opening_hours values into weekly schedules and check them against a time
+ */
+
+import { getZonedTime } from './timeZone.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// OSM weekday abbreviations in getZonedTime's order (0 = Sunday)
+const DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+// A rule's optional weekday selector ("Mo-Fr,Su", "PH") followed by its times
+const RULE_PATTERN = /^((?:(?:Mo|Tu|We|Th|Fr|Sa|Su|PH)(?:-(?:Mo|Tu|We|Th|Fr|Sa|Su))?\s*,?\s*)+)?\s*(.*)$/;
+
+const TIME_RANGE_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+
+/**
+ * Parse an OSM opening_hours value
+ * Covers the forms shops and schools are usually tagged with: "24/7", weekday ranges
+ * and lists, several time ranges a day, "off", and ";"-separated rules where later
+ * rules override earlier ones. Public holiday rules are ignored.
+ * @param {string} value - e.g. 'Mo-Fr 08:00-14:00; Sa 08:00-12:00'
+ * @returns {Array|null} Schedule: for each weekday (0 = Sunday) a list of [from, to]
+ *   minutes after midnight, where to may run past 1440 into the next day; null if the
+ *   value can't be read
+ */
+export function parseOpeningHours(value) {
+  if (!value) return null;
+
+  const text = value.trim();
+  if (text === '24/7') return DAYS.map(() => [[0, MINUTES_PER_DAY]]);
+
+  const schedule = DAYS.map(() => []);
+  // ", Sa 10:00-12:00" starts another rule just like "; Sa 10:00-12:00"
+  const rules = text.split(/\s*(?:;|\|\|)\s*|,\s+(?=(?:Mo|Tu|We|Th|Fr|Sa|Su|PH)\b)/).filter(Boolean);
+
+  for (const rule of rules) {
+    const [, selector, times] = rule.match(RULE_PATTERN);
+    const days = selector ? parseDays(selector) : DAYS.map((day, index) => index);
+
+    // Holiday-only rules
+    if (days.length === 0) continue;
+
+    const intervals = parseTimes(times);
+    if (!intervals) return null;
+
+    days.forEach(day => {
+      schedule[day] = intervals;
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Whether a schedule is open at a time
+ * @param {Array} schedule - From parseOpeningHours
+ * @param {Date} time
+ * @param {string} timeZone - IANA zone the schedule's clock times are in
+ * @returns {boolean}
+ */
+export function isOpenAt(schedule, time = new Date(), timeZone) {
+  const { hour, minute, dayOfWeek } = getZonedTime(time, timeZone);
+  const now = hour * 60 + minute;
+  const yesterday = (dayOfWeek + 6) % 7;
+
+  return schedule[dayOfWeek].some(([from, to]) => now >= from && now < to) ||
+    schedule[yesterday].some(([, to]) => now + MINUTES_PER_DAY < to);
+}
+
+/**
+ * Whether a safe place is open at a time
+ * Places without a readable schedule are trusted only if marked open 24 hours
+ * @param {Object} place - {schedule, is_24_hours}
+ * @param {Date} time
+ * @param {string} timeZone - IANA zone
+ * @returns {boolean}
+ */
+export function isPlaceOpen(place, time = new Date(), timeZone) {
+  return place.schedule ? isOpenAt(place.schedule, time, timeZone) : Boolean(place.is_24_hours);
+}
+
+/**
+ * Combine schedules into one that is open whenever any of them is
+ * @param {Array} schedules
+ * @returns {Array} Schedule
+ */
+export function mergeSchedules(schedules) {
+  return DAYS.map((day, index) => schedules.flatMap(schedule => schedule[index]));
+}
+
+/**
+ * Weekday indexes named by a selector
+ * @param {string} selector - e.g. 'Mo-Fr,Su'
+ * @returns {Array} Day indexes (0 = Sunday)
+ */
+function parseDays(selector) {
+  const days = [];
+
+  selector.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    if (part === 'PH') return;
+
+    const [first, last = first] = part.split('-');
+    const start = DAYS.indexOf(first);
+    const end = DAYS.indexOf(last);
+    // Ranges wrap around the week ("Fr-Mo")
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === end) break;
+    }
+  });
+
+  return days;
+}
+
+/**
+ * Time ranges of a rule
+ * @param {string} times - e.g. '08:00-12:30,15:00-20:00', 'off'
+ * @returns {Array|null} [[from, to]] in minutes, or null if unreadable
+ */
+function parseTimes(times) {
+  if (times === 'off' || times === 'closed') return [];
+  if (times === '') return [[0, MINUTES_PER_DAY]];
+
+  const intervals = [];
+  for (const range of times.split(',')) {
+    const match = range.trim().match(TIME_RANGE_PATTERN);
+    if (!match) return null;
+
+    const [, fromHour, fromMinute, toHour, toMinute] = match.map(Number);
+    const from = fromHour * 60 + fromMinute;
+    let to = toHour * 60 + toMinute;
+    // "22:00-02:00" closes the next morning
+    if (to <= from) to += MINUTES_PER_DAY;
+    intervals.push([from, to]);
+  }
+
+  return intervals;
+}
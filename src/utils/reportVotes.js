@@ -0,0 +1,46 @@
+/**
+ * QuietRoute Report Votes
+ * When voters have disputed a report, shared by the server and the offline
+ * fallback. A report is hidden once we're confident most voters dispute it,
+ * so upvotes from people who confirmed it take more downvotes to outweigh
+ */
+
+// z for a 95% confidence interval
+const CONFIDENCE_Z = 1.96;
+
+// Share of voters disputing a report above which it is hidden
+const DISPUTED_SHARE = 0.5;
+
+// An anonymous vote counts for this much of a signed-in user's: anyone can
+// cast more of them by changing network or browser
+export const ANONYMOUS_VOTE_WEIGHT = 0.5;
+
+/**
+ * Lower bound of the Wilson score interval on the share of downvotes: the
+ * share we can be 95% sure is disputing, however few votes there are
+ * @param {number} upvotes
+ * @param {number} downvotes
+ * @returns {number} 0-1 (0 with no votes)
+ */
+export function getDisputedShare(upvotes, downvotes) {
+  const total = upvotes + downvotes;
+  if (total === 0) return 0;
+
+  const share = downvotes / total;
+  const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+
+  return (share + z2 / (2 * total) -
+    CONFIDENCE_Z * Math.sqrt((share * (1 - share) + z2 / (4 * total)) / total)) /
+    (1 + z2 / total);
+}
+
+/**
+ * Whether a report should be hidden as disputed
+ * 4 signed-in downvotes (8 anonymous) hide an unconfirmed report; with 2 upvotes it takes 9
+ * @param {number} upvotes - Weighted by ANONYMOUS_VOTE_WEIGHT on the server
+ * @param {number} downvotes - Weighted likewise
+ * @returns {boolean}
+ */
+export function isDisputed(upvotes, downvotes) {
+  return getDisputedShare(upvotes, downvotes) > DISPUTED_SHARE;
+}
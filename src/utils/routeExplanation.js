@@ -0,0 +1,96 @@
+/**
+ * QuietRoute Route Explanation
+ * Turns a scored route's street statistics and what it passes on the way into
+ * the reasons shown on its card
+ */
+
+import { lineString, point, pointToLineDistance } from '@turf/turf';
+import { REPORT_TYPES } from '../config.js';
+import { isPlaceOpen } from './openingHours.js';
+
+// Road classes worth calling out when a route uses or avoids them, busiest first
+const BUSY_HIGHWAYS = ['trunk', 'primary', 'secondary'];
+
+// Distances shorter than this aren't worth mentioning
+const MIN_EXPLAINED_DISTANCE = 100; // meters
+
+// Share of a route that has to be quiet or lit before it counts as a reason
+const MIN_EXPLAINED_SHARE = 0.5;
+
+// Reports and safe places this close to a route are passed on the way
+const PASSING_DISTANCE = 50; // meters
+
+/**
+ * Explain a route from its street statistics, compared with a baseline route
+ * @param {Object} route - Route with geometry and stats from scoreRoute
+ * @param {Object} context - {baseline: route to compare against (usually the fastest), reports, safePlaces, timeZone}
+ * @returns {Array} Reasons [{type, tone: 'good' | 'bad', ...}], good first
+ */
+export function explainRoute(route, context = {}) {
+  const { baseline, reports = [], safePlaces = [], timeZone } = context;
+  const { exposure, totalDistance } = route.stats;
+  const reasons = [];
+
+  if (!exposure) return reasons;
+
+  // Busy roads: what this route saves over the baseline, otherwise what it uses
+  const compared = baseline && baseline.id !== route.id ? baseline.stats.exposure : null;
+  BUSY_HIGHWAYS.forEach(highway => {
+    const used = exposure.highways[highway] || 0;
+    const avoided = compared ? (compared.highways[highway] || 0) - used : 0;
+
+    if (avoided >= MIN_EXPLAINED_DISTANCE) {
+      reasons.push({ type: 'avoidsRoad', tone: 'good', highway, distance: avoided });
+    } else if (used >= MIN_EXPLAINED_DISTANCE) {
+      reasons.push({ type: 'usesRoad', tone: 'bad', highway, distance: used });
+    }
+  });
+
+  if (totalDistance > 0) {
+    const quietShare = exposure.quietDistance / totalDistance;
+    if (quietShare >= MIN_EXPLAINED_SHARE) {
+      reasons.push({ type: 'quietStreets', tone: 'good', share: quietShare });
+    }
+
+    const litShare = exposure.litDistance / totalDistance;
+    if (litShare >= MIN_EXPLAINED_SHARE) {
+      reasons.push({ type: 'litStreets', tone: 'good', share: litShare });
+    }
+  }
+
+  if (exposure.unlitDistance >= MIN_EXPLAINED_DISTANCE) {
+    reasons.push({ type: 'unlitStreets', tone: 'bad', distance: exposure.unlitDistance });
+  }
+
+  if (route.geometry.coordinates.length < 2) return sortReasons(reasons);
+
+  // Safe places open when the trip starts, and reports along the way
+  const line = lineString(route.geometry.coordinates);
+  const passes = place => pointToLineDistance(
+    point([place.lng ?? place.lon, place.lat]), line, { units: 'meters' }
+  ) <= PASSING_DISTANCE;
+
+  const openPlaces = safePlaces.filter(place =>
+    isPlaceOpen(place, route.stats.departAt, timeZone) && passes(place)
+  );
+  if (openPlaces.length > 0) {
+    reasons.push({ type: 'safePlaces', tone: 'good', count: openPlaces.length });
+  }
+
+  const passedReports = reports.filter(passes);
+  Object.entries(REPORT_TYPES).forEach(([reportType, { weight }]) => {
+    const count = passedReports.filter(report => report.type === reportType).length;
+    if (count > 0) {
+      reasons.push({ type: 'reports', tone: weight < 1 ? 'good' : 'bad', reportType, count });
+    }
+  });
+
+  return sortReasons(reasons);
+}
+
+function sortReasons(reasons) {
+  return [
+    ...reasons.filter(reason => reason.tone === 'good'),
+    ...reasons.filter(reason => reason.tone === 'bad')
+  ];
+}
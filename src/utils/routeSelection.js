@@ -0,0 +1,115 @@
+/**
+ * QuietRoute Route Selection
+ * Picks a small set of genuinely different routes and labels the trade-off each one wins
+ */
+
+import { along, length, lineString, pointToLineDistance } from '@turf/turf';
+
+// Routes sharing this much of their length are treated as the same route
+const OVERLAP_THRESHOLD = 0.9;
+
+// How close (meters) a point must be to another route to count as shared
+const OVERLAP_TOLERANCE = 20;
+
+/**
+ * Reduce scored routes to the Pareto-optimal ones and label each by what it wins
+ * @param {Array} routes - Routes with stats from scoreRoute
+ * @returns {Array} Distinct routes with label, wins and extra time vs fastest
+ */
+export function selectDistinctRoutes(routes) {
+  if (routes.length === 0) return [];
+
+  const best = [...routes].sort((a, b) => b.stats.overallScore - a.stats.overallScore)[0];
+  const distinct = removeOverlappingRoutes(routes, best);
+  const pareto = distinct.filter(route => !distinct.some(other => dominates(other, route)));
+
+  const fastest = minBy(pareto, route => route.duration);
+  const quietest = minBy(pareto, route => route.stats.noiseExposure);
+  const brightest = minBy(pareto, route => -route.stats.lightingScore);
+
+  return pareto
+    .map(route => {
+      const wins = [];
+      if (route === fastest) wins.push('fastest');
+      if (route === quietest) wins.push('quietest');
+      if (route === brightest) wins.push('brightest');
+
+      return {
+        ...route,
+        wins,
+        label: wins[0] || 'balanced',
+        extraDuration: route.duration - fastest.duration,
+        extraDistance: route.distance - fastest.distance
+      };
+    })
+    .filter(route => route.wins.length > 0 || route.id === best.id);
+}
+
+/**
+ * Drop routes that run along almost the same streets as a better-scoring one
+ * @param {Array} routes - Scored routes
+ * @param {Object} best - Route to keep whatever it overlaps
+ * @returns {Array} Routes without near-duplicates
+ */
+export function removeOverlappingRoutes(routes, best) {
+  const ordered = [best, ...routes.filter(route => route !== best)
+    .sort((a, b) => b.stats.overallScore - a.stats.overallScore)];
+  const kept = [];
+
+  ordered.forEach(route => {
+    const duplicate = kept.some(other =>
+      Math.min(getOverlap(route, other), getOverlap(other, route)) >= OVERLAP_THRESHOLD
+    );
+    if (!duplicate) kept.push(route);
+  });
+
+  return kept;
+}
+
+/**
+ * Fraction of route a's length that runs within OVERLAP_TOLERANCE of route b
+ * @param {Object} a - Route with GeoJSON LineString geometry
+ * @param {Object} b - Route with GeoJSON LineString geometry
+ * @returns {number} 0-1
+ */
+export function getOverlap(a, b) {
+  const lineA = lineString(a.geometry.coordinates);
+  const lineB = lineString(b.geometry.coordinates);
+  const total = length(lineA, { units: 'meters' });
+
+  if (total === 0) return 1;
+
+  const step = Math.max(25, total / 200);
+  let samples = 0;
+  let shared = 0;
+
+  for (let distance = 0; distance <= total; distance += step) {
+    const point = along(lineA, distance, { units: 'meters' });
+    samples++;
+    if (pointToLineDistance(point, lineB, { units: 'meters' }) <= OVERLAP_TOLERANCE) {
+      shared++;
+    }
+  }
+
+  return shared / samples;
+}
+
+/**
+ * Whether route a is at least as good as b on every trade-off and better on one
+ */
+function dominates(a, b) {
+  const noWorse =
+    a.duration <= b.duration &&
+    a.stats.noiseExposure <= b.stats.noiseExposure &&
+    a.stats.lightingScore >= b.stats.lightingScore;
+  const better =
+    a.duration < b.duration ||
+    a.stats.noiseExposure < b.stats.noiseExposure ||
+    a.stats.lightingScore > b.stats.lightingScore;
+
+  return noWorse && better;
+}
+
+function minBy(items, getValue) {
+  return items.reduce((best, item) => (getValue(item) < getValue(best) ? item : best));
+}
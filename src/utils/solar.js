@@ -0,0 +1,69 @@
+/**
+ * QuietRoute Solar Position
+ * Works out how dark it is at a place and time from the sun's elevation
+ */
+
+// Sun's centre at sunrise/sunset, including refraction and solar radius
+const SUNSET_ELEVATION = -0.833; // degrees
+
+// End of civil twilight: streets are fully dark below this elevation
+const CIVIL_TWILIGHT_ELEVATION = -6; // degrees
+
+/**
+ * Get the sun's elevation above the horizon (low-precision almanac formula)
+ * @param {Date} time - Evaluation time
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {number} Elevation in degrees (negative = below horizon)
+ */
+export function getSolarElevation(time, lat, lng) {
+  const days = time.getTime() / 86400000 + 2440587.5 - 2451545.0; // days since J2000
+
+  const meanLongitude = normalizeDegrees(280.460 + 0.9856474 * days);
+  const meanAnomaly = toRad(normalizeDegrees(357.528 + 0.9856003 * days));
+  const eclipticLongitude = toRad(
+    meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)
+  );
+  const obliquity = toRad(23.439 - 0.0000004 * days);
+
+  const rightAscension = Math.atan2(
+    Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    Math.cos(eclipticLongitude)
+  );
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+  const siderealTime = normalizeDegrees((18.697374558 + 24.06570982441908 * days) * 15 + lng);
+  const hourAngle = toRad(siderealTime) - rightAscension;
+  const latRad = toRad(lat);
+
+  const elevation = Math.asin(
+    Math.sin(latRad) * Math.sin(declination) +
+    Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+
+  return elevation * 180 / Math.PI;
+}
+
+/**
+ * Get how dark it is outdoors
+ * @param {Date} time - Evaluation time
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {number} 0 (daylight) to 1 (night), partial during civil twilight
+ */
+export function getDarknessLevel(time, lat, lng) {
+  const elevation = getSolarElevation(time, lat, lng);
+
+  if (elevation >= SUNSET_ELEVATION) return 0;
+  if (elevation <= CIVIL_TWILIGHT_ELEVATION) return 1;
+
+  return (SUNSET_ELEVATION - elevation) / (SUNSET_ELEVATION - CIVIL_TWILIGHT_ELEVATION);
+}
+
+function normalizeDegrees(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+function toRad(deg) {
+  return deg * Math.PI / 180;
+}
@@ -0,0 +1,71 @@
+/**
+ * QuietRoute Time Zone Helpers
+ * Read and build times in the service area's zone rather than the device's
+ */
+
+import { DEFAULT_TIMEZONE } from '../config.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the wall-clock parts of a time in a time zone
+ * @param {Date} time
+ * @param {string} timeZone - IANA zone, e.g. 'Asia/Kolkata'
+ * @returns {Object} {year, month, day, hour, minute, dayOfWeek} (dayOfWeek 0 = Sunday)
+ */
+export function getZonedTime(time, timeZone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(time);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    dayOfWeek: WEEKDAYS.indexOf(get('weekday'))
+  };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a Date
+ * @param {string} value - 'YYYY-MM-DDTHH:mm' (datetime-local input value)
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+export function zonedTimeToDate(value, timeZone = DEFAULT_TIMEZONE) {
+  const [date, clock] = value.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = clock.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Shift by the zone's offset at that moment (twice to settle DST edges)
+  let time = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const zoned = getZonedTime(new Date(time), timeZone);
+    const zonedClock = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute);
+    time += wallClock - zonedClock;
+  }
+
+  return new Date(time);
+}
+
+/**
+ * Format a time as HH:MM in a time zone
+ * @param {Date} time
+ * @param {string} timeZone - IANA zone
+ * @returns {string}
+ */
+export function formatZonedClock(time, timeZone = DEFAULT_TIMEZONE) {
+  return time.toLocaleTimeString([], { timeZone, hour: '2-digit', minute: '2-digit' });
+}
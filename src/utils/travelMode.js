@@ -0,0 +1,25 @@
+/**
+ * QuietRoute Travel Modes
+ * Look up the profile, speed and weights for walking, cycling or wheelchair trips
+ */
+
+import { TRAVEL_MODES, DEFAULT_TRAVEL_MODE } from '../config.js';
+
+/**
+ * Get the settings for a travel mode, falling back to walking
+ * @param {string} mode - 'walking' | 'cycling' | 'wheelchair'
+ * @returns {Object} {label, emoji, profile, server, speed, noiseWeights, lightingWeights, excludedHighways}
+ */
+export function getTravelMode(mode) {
+  return TRAVEL_MODES[mode] || TRAVEL_MODES[DEFAULT_TRAVEL_MODE];
+}
+
+/**
+ * Travel time for a distance at a mode's speed
+ * @param {number} distance - Meters
+ * @param {string} mode
+ * @returns {number} Seconds
+ */
+export function getTravelTime(distance, mode) {
+  return distance / getTravelMode(mode).speed;
+}